@@ -3,29 +3,41 @@ import { Router } from 'itty-router';
 // import the routes
 import { chatHandler } from './routes/chat';
 import { completionHandler } from './routes/completion';
+import { tokenizeHandler } from './routes/tokenize';
 import { embeddingsHandler } from './routes/embeddings';
 import { transcriptionHandler, translationHandler, speechHandler } from './routes/audio';
 import { getImageHandler, imageGenerationHandler } from './routes/image';
 import { modelsHandler } from './routes/models';
+import { usageHandler } from './routes/usage';
+import { signedTokenHandler } from './routes/auth';
 import { storeDocumentHandler, ragSearchHandler, ragChatHandler } from './routes/rag';
+import {
+	createKeyHandler,
+	listKeysHandler,
+	getKeyHandler,
+	updateKeyHandler,
+	rotateKeyHandler,
+	revokeKeyHandler,
+} from './routes/admin';
 
 // import utilities
 import { DistributedRateLimiter } from './utils/DistributedRateLimiter';
+import { ConcurrencyLimiter } from './utils/ConcurrencyLimiter';
 import { getCORSHeaders } from './utils/format.js';
-import { AuthenticationError, PermissionError, createErrorResponse } from './utils/errors.js';
+import { authenticate, authenticateAdmin, requireScope } from './utils/auth.js';
+import { rateLimit, withRateLimitHeaders } from './utils/rateLimit.js';
+import { concurrencyLimit, withConcurrencyRelease } from './utils/concurrencyLimit.js';
+import { enforceBudget, withBudgetWarning } from './utils/budget.js';
+import { startUsageLog, withUsageLog } from './utils/usageLog.js';
 
 // Create a new router
-const router = Router({ base: '/v1' });
+const router = Router({
+	base: '/v1',
+	finally: [withRateLimitHeaders, withBudgetWarning, withUsageLog, withConcurrencyRelease],
+});
 
-function extractToken(authorizationHeader) {
-	if (authorizationHeader) {
-		const parts = authorizationHeader.split(' ');
-		if (parts.length === 2 && parts[0] === 'Bearer') {
-			return parts[1];
-		}
-	}
-	return null;
-}
+// Admin API lives outside /v1 and uses its own secret
+const adminRouter = Router({ base: '/admin' });
 
 // CORS preflight handler - must run before auth
 const handleCORS = (request) => {
@@ -37,35 +49,32 @@ const handleCORS = (request) => {
 	}
 };
 
-// MIDDLEWARE: withAuthenticatedUser - embeds user in Request or returns a 401
-const bearerAuthentication = (request, env) => {
-	const authorizationHeader = request.headers.get('Authorization');
-	if (!authorizationHeader) {
-		return createErrorResponse(new AuthenticationError('Unauthorized'));
-	}
-	const access_token = extractToken(authorizationHeader);
-	if (env.ACCESS_TOKEN !== access_token) {
-		return createErrorResponse(new PermissionError('Forbidden'));
-	}
-};
-
 router
-	// .all('*', rateLimit) // Rate limiting disabled
+	.all('*', startUsageLog)
 	.all('*', handleCORS)
-	.all('*', bearerAuthentication)
-	.post('/chat/completions', chatHandler)
-	.post('/completions', completionHandler)
-	.post('/embeddings', embeddingsHandler)
-	.post('/audio/transcriptions', transcriptionHandler)
-	.post('/audio/translations', translationHandler)
-	.post('/audio/speech', speechHandler)
-	.post('/images/generations', imageGenerationHandler)
-	.get('/images/get/:name', getImageHandler)
+	.all('*', authenticate)
+	.all('*', rateLimit)
+	.all('*', concurrencyLimit)
+	.all('*', enforceBudget)
+	.post('/chat/completions', requireScope('chat'), chatHandler)
+	.post('/completions', requireScope('completions'), completionHandler)
+	// No scope: counting tokens runs no model
+	.post('/tokenize', tokenizeHandler)
+	.post('/embeddings', requireScope('embeddings'), embeddingsHandler)
+	.post('/audio/transcriptions', requireScope('audio'), transcriptionHandler)
+	.post('/audio/translations', requireScope('audio'), translationHandler)
+	.post('/audio/speech', requireScope('audio'), speechHandler)
+	.post('/images/generations', requireScope('images'), imageGenerationHandler)
+	.get('/images/get/:name', requireScope('images'), getImageHandler)
+	// No scope: these only describe or act for the calling key. The model list is the key's own,
+	// usage is limited to the key's own requests, and signed tokens carry no more than the key's scopes.
 	.get('/models', modelsHandler)
+	.get('/usage', usageHandler)
+	.post('/auth/token', signedTokenHandler)
 	// RAG endpoints
-	.post('/rag/documents', storeDocumentHandler)
-	.post('/rag/search', ragSearchHandler)
-	.post('/rag/chat', ragChatHandler);
+	.post('/rag/documents', requireScope('rag'), storeDocumentHandler)
+	.post('/rag/search', requireScope('rag'), ragSearchHandler)
+	.post('/rag/chat', requireScope('rag'), ragChatHandler);
 
 // 404 for everything else under /v1
 router.all('*', () =>
@@ -80,8 +89,24 @@ router.all('*', () =>
 	),
 );
 
-// Export the Durable Object
-export { DistributedRateLimiter };
+adminRouter
+	.all('*', handleCORS)
+	.all('*', authenticateAdmin)
+	.post('/keys', createKeyHandler)
+	.get('/keys', listKeysHandler)
+	.get('/keys/:id', getKeyHandler)
+	.patch('/keys/:id', updateKeyHandler)
+	.post('/keys/:id/rotate', rotateKeyHandler)
+	.delete('/keys/:id', revokeKeyHandler)
+	.all('*', () =>
+		Response.json(
+			{ error: { message: 'Unknown admin endpoint.', type: 'not_found_error' } },
+			{ status: 404, headers: getCORSHeaders() },
+		),
+	);
+
+// Export the Durable Objects
+export { DistributedRateLimiter, ConcurrencyLimiter };
 
 // Root handler wraps the router to serve requests outside /v1
 export default {
@@ -100,6 +125,7 @@ export default {
 						models: '/v1/models',
 						chat_completions: '/v1/chat/completions',
 						completions: '/v1/completions',
+						tokenize: '/v1/tokenize',
 						embeddings: '/v1/embeddings',
 						audio_transcriptions: '/v1/audio/transcriptions',
 						audio_translations: '/v1/audio/translations',
@@ -108,6 +134,7 @@ export default {
 						rag_documents: '/v1/rag/documents',
 						rag_search: '/v1/rag/search',
 						rag_chat: '/v1/rag/chat',
+						admin_keys: '/admin/keys',
 					},
 					documentation: 'https://github.com/M0Rf30/openai-cf-workers-ai',
 				},
@@ -120,6 +147,11 @@ export default {
 			return router.fetch(request, env, ctx);
 		}
 
+		// Delegate /admin/* to the admin router
+		if (url.pathname.startsWith('/admin')) {
+			return adminRouter.fetch(request, env, ctx);
+		}
+
 		// Everything else is a 404
 		return Response.json(
 			{
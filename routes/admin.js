@@ -0,0 +1,239 @@
+// Admin API for issuing, rotating and revoking gateway API keys
+// Mounted under /admin and protected by env.ADMIN_TOKEN (see authenticateAdmin in utils/auth.js)
+
+import {
+	API_KEY_SCOPES,
+	MAX_ROTATION_GRACE_SECONDS,
+	createApiKey,
+	getApiKey,
+	listApiKeys,
+	revokeApiKey,
+	rotateApiKey,
+	serializeApiKey,
+	updateApiKey,
+} from '../utils/apiKeys.js';
+import { BUDGET_FIELDS } from '../utils/budget.js';
+import { getAllModels } from '../utils/models.js';
+import { RATE_LIMIT_FIELDS, getRateLimitTiers } from '../utils/rateLimit.js';
+import {
+	asyncErrorHandler,
+	NotFoundError,
+	ServerError,
+	ValidationError,
+	validateArray,
+	validateNumber,
+	validateString,
+} from '../utils/errors.js';
+
+// Default grace period during which a rotated key's old secret still works (24 hours)
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+function requireDatabase(env) {
+	if (!env.DB) {
+		throw new ServerError('API key registry is not configured. Bind a D1 database as DB and apply schema.sql.');
+	}
+	return env.DB;
+}
+
+async function findKeyOrThrow(db, id) {
+	const key = await getApiKey(db, id);
+	if (!key) {
+		throw new NotFoundError(`API key not found: ${id}`);
+	}
+	return key;
+}
+
+async function readJson(request) {
+	if (!request.headers.get('Content-Type')?.includes('application/json')) {
+		return {};
+	}
+	return request.json();
+}
+
+function validateScopes(scopes) {
+	validateArray(scopes, 'scopes', 1);
+	for (const scope of scopes) {
+		if (scope !== '*' && !API_KEY_SCOPES.includes(scope)) {
+			throw new ValidationError(`Unknown scope: ${scope}. Valid scopes: *, ${API_KEY_SCOPES.join(', ')}`, 'scopes');
+		}
+	}
+	return scopes;
+}
+
+function validateExpiry(expiresAt) {
+	if (expiresAt === undefined || expiresAt === null) {
+		return null;
+	}
+	const timestamp = Date.parse(expiresAt);
+	if (typeof expiresAt !== 'string' || isNaN(timestamp)) {
+		throw new ValidationError('expires_at must be an ISO 8601 date string', 'expires_at');
+	}
+	if (timestamp <= Date.now()) {
+		throw new ValidationError('expires_at must be in the future', 'expires_at');
+	}
+	return new Date(timestamp).toISOString();
+}
+
+function validateModelList(models, fieldName) {
+	validateArray(models, fieldName);
+	for (const model of models) {
+		validateString(model, fieldName, 1);
+	}
+	return models;
+}
+
+// model_policy: { allowed_models?: string[]|null, blocked_models?: string[], aliases?: { [name]: modelPath } }
+function validateModelPolicy(policy) {
+	if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+		throw new ValidationError('model_policy must be an object', 'model_policy');
+	}
+
+	const aliases = policy.aliases ?? {};
+	if (aliases === null || typeof aliases !== 'object' || Array.isArray(aliases)) {
+		throw new ValidationError('model_policy.aliases must be an object', 'model_policy.aliases');
+	}
+	const knownModels = getAllModels();
+	for (const [alias, target] of Object.entries(aliases)) {
+		if (!knownModels.includes(target)) {
+			throw new ValidationError(`Alias ${alias} points to unknown model: ${target}`, 'model_policy.aliases');
+		}
+	}
+
+	return {
+		allowedModels:
+			policy.allowed_models === undefined || policy.allowed_models === null
+				? null
+				: validateModelList(policy.allowed_models, 'model_policy.allowed_models'),
+		blockedModels:
+			policy.blocked_models === undefined
+				? []
+				: validateModelList(policy.blocked_models, 'model_policy.blocked_models'),
+		aliases,
+	};
+}
+
+// rate_limits: { tier?: string|null, requests_per_minute?, tokens_per_minute?, tokens_per_day?: number|null }
+function validateRateLimits(rateLimits, env) {
+	if (rateLimits === null || typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+		throw new ValidationError('rate_limits must be an object', 'rate_limits');
+	}
+
+	const tiers = Object.keys(getRateLimitTiers(env));
+	const tier = rateLimits.tier ?? null;
+	if (tier !== null && !tiers.includes(tier)) {
+		throw new ValidationError(`Unknown rate limit tier: ${tier}. Valid tiers: ${tiers.join(', ')}`, 'rate_limits.tier');
+	}
+
+	const validated = { tier };
+	for (const [field, property] of Object.entries(RATE_LIMIT_FIELDS)) {
+		const limit = rateLimits[field] ?? null;
+		validated[property] = limit === null ? null : Math.floor(validateNumber(limit, `rate_limits.${field}`, 1));
+	}
+	return validated;
+}
+
+// budget: { tokens_per_day?, tokens_per_month?, neurons_per_day?, neurons_per_month?: number|null,
+//           soft_limit?: number|null (share of a budget, 0-1, after which x-budget-warning is sent) }
+function validateBudget(budget) {
+	if (budget === null || typeof budget !== 'object' || Array.isArray(budget)) {
+		throw new ValidationError('budget must be an object', 'budget');
+	}
+
+	const validated = {};
+	for (const [field, property] of Object.entries(BUDGET_FIELDS)) {
+		const value = budget[field] ?? null;
+		if (value === null) {
+			validated[property] = null;
+		} else if (field === 'soft_limit') {
+			validated[property] = validateNumber(value, 'budget.soft_limit', 0, 1);
+		} else if (field.startsWith('tokens_')) {
+			validated[property] = Math.floor(validateNumber(value, `budget.${field}`, 1));
+		} else {
+			validated[property] = validateNumber(value, `budget.${field}`, 1);
+		}
+	}
+	return validated;
+}
+
+// POST /admin/keys
+export const createKeyHandler = asyncErrorHandler(async (request, env) => {
+	const db = requireDatabase(env);
+	const json = await readJson(request);
+
+	const name = validateString(json.name, 'name', 1, 100);
+	const scopes = json.scopes === undefined ? ['*'] : validateScopes(json.scopes);
+	const expiresAt = validateExpiry(json.expires_at);
+	const modelPolicy = json.model_policy === undefined ? {} : validateModelPolicy(json.model_policy);
+	const rateLimits = json.rate_limits === undefined ? {} : validateRateLimits(json.rate_limits, env);
+	const budget = json.budget === undefined ? {} : validateBudget(json.budget);
+
+	const { key, secret } = await createApiKey(db, { name, scopes, expiresAt, modelPolicy, rateLimits, budget });
+
+	// The plaintext secret is only ever returned here
+	return Response.json({ ...serializeApiKey(key), key: secret }, { status: 201 });
+});
+
+// GET /admin/keys
+export const listKeysHandler = asyncErrorHandler(async (request, env) => {
+	const keys = await listApiKeys(requireDatabase(env));
+
+	return Response.json({
+		object: 'list',
+		data: keys.map(serializeApiKey),
+	});
+});
+
+// GET /admin/keys/:id
+export const getKeyHandler = asyncErrorHandler(async (request, env) => {
+	const key = await findKeyOrThrow(requireDatabase(env), request.params.id);
+	return Response.json(serializeApiKey(key));
+});
+
+// PATCH /admin/keys/:id
+export const updateKeyHandler = asyncErrorHandler(async (request, env) => {
+	const db = requireDatabase(env);
+	const key = await findKeyOrThrow(db, request.params.id);
+	const json = await readJson(request);
+
+	const changes = {};
+	if (json.name !== undefined) changes.name = validateString(json.name, 'name', 1, 100);
+	if (json.scopes !== undefined) changes.scopes = validateScopes(json.scopes);
+	if (json.expires_at !== undefined) changes.expiresAt = validateExpiry(json.expires_at);
+	if (json.model_policy !== undefined) changes.modelPolicy = validateModelPolicy(json.model_policy);
+	if (json.rate_limits !== undefined) changes.rateLimits = validateRateLimits(json.rate_limits, env);
+	if (json.budget !== undefined) changes.budget = validateBudget(json.budget);
+
+	const updated = await updateApiKey(db, key, changes);
+
+	return Response.json(serializeApiKey(updated));
+});
+
+// POST /admin/keys/:id/rotate
+export const rotateKeyHandler = asyncErrorHandler(async (request, env) => {
+	const db = requireDatabase(env);
+	const key = await findKeyOrThrow(db, request.params.id);
+	const json = await readJson(request);
+
+	if (!key.enabled) {
+		throw new ValidationError('Cannot rotate a revoked API key');
+	}
+
+	const graceSeconds =
+		json.grace_period_seconds === undefined
+			? DEFAULT_ROTATION_GRACE_SECONDS
+			: validateNumber(json.grace_period_seconds, 'grace_period_seconds', 0, MAX_ROTATION_GRACE_SECONDS);
+
+	const rotated = await rotateApiKey(db, key, Math.floor(graceSeconds));
+
+	return Response.json({ ...serializeApiKey(rotated.key), key: rotated.secret });
+});
+
+// DELETE /admin/keys/:id
+export const revokeKeyHandler = asyncErrorHandler(async (request, env) => {
+	const db = requireDatabase(env);
+	const key = await findKeyOrThrow(db, request.params.id);
+
+	const revoked = await revokeApiKey(db, key);
+
+	return Response.json(serializeApiKey(revoked));
+});
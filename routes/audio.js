@@ -9,8 +9,9 @@ import {
 	formatSRTTime,
 	formatVTTTime,
 } from '../utils/format.js';
-import { MODEL_CATEGORIES, MODEL_MAPPING } from '../utils/models.js';
-import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { MODEL_CATEGORIES, MODEL_MAPPING, assertModelAllowed, lookupModelAlias } from '../utils/models.js';
+import { asyncErrorHandler, ValidationError, PermissionError } from '../utils/errors.js';
+import { checkUsage, reportUsage } from '../utils/usage.js';
 
 // Available Cloudflare Workers AI models
 const AVAILABLE_MODELS = {
@@ -35,9 +36,11 @@ const VOICE_MAPPING = {
 const VOICES = Object.keys(VOICE_MAPPING);
 
 // Utility function to validate model and convert to Cloudflare format
-function validateModel(type, modelName) {
-	// First try to map OpenAI model names to Cloudflare paths
-	const cloudflareModel = MODEL_MAPPING[modelName] || modelName;
+// The optional per-key policy can override aliases and restrict the allowed models
+function validateModel(type, modelName, policy = null) {
+	// First try to map per-key aliases and OpenAI model names to Cloudflare paths
+	const cloudflareModel =
+		lookupModelAlias(policy?.aliases, modelName) || lookupModelAlias(MODEL_MAPPING, modelName) || modelName;
 
 	if (!AVAILABLE_MODELS[type] || !AVAILABLE_MODELS[type].includes(cloudflareModel)) {
 		// Get available OpenAI-compatible model names for error message
@@ -49,7 +52,7 @@ function validateModel(type, modelName) {
 
 		throw new Error(`Invalid ${type} model: ${modelName}. Available models: ${allAvailable.join(', ')}`);
 	}
-	return cloudflareModel;
+	return assertModelAllowed(cloudflareModel, policy, modelName);
 }
 
 // OpenAI-compatible transcription handler
@@ -78,8 +81,11 @@ export const transcriptionHandler = asyncErrorHandler(async (request, env) => {
 	// Validate model
 	let modelPath;
 	try {
-		modelPath = validateModel('stt', model);
+		modelPath = validateModel('stt', model, request.principal?.modelPolicy);
 	} catch (error) {
+		if (error instanceof PermissionError) {
+			throw error;
+		}
 		throw new ValidationError(error.message);
 	}
 
@@ -115,7 +121,10 @@ export const transcriptionHandler = asyncErrorHandler(async (request, env) => {
 		};
 	}
 
+	// Audio models are billed per call rather than per token
+	await checkUsage(request, { model: modelPath, promptTokens: 0 });
 	const response = await env.AI.run(modelPath, input);
+	reportUsage(request, { model: modelPath, requestedModel: model, promptTokens: 0, calls: 1 });
 
 	// Handle different response formats based on model
 	let transcriptionText = '';
@@ -311,8 +320,8 @@ export const translationHandler = asyncErrorHandler(async (request, env) => {
 	}
 
 	// Validate models
-	const sttModelPath = validateModel('stt', model);
-	const translationModelPath = '@cf/meta/m2m100-1.2b';
+	const sttModelPath = validateModel('stt', model, request.principal?.modelPolicy);
+	const translationModelPath = assertModelAllowed('@cf/meta/m2m100-1.2b', request.principal?.modelPolicy);
 
 	// Step 1: Transcribe audio using Cloudflare Whisper
 	const blob = await file.arrayBuffer();
@@ -335,7 +344,9 @@ export const translationHandler = asyncErrorHandler(async (request, env) => {
 		};
 	}
 
+	await checkUsage(request, { model: sttModelPath, promptTokens: 0 });
 	const transcriptionResponse = await env.AI.run(sttModelPath, transcriptionInput);
+	reportUsage(request, { model: sttModelPath, requestedModel: model, promptTokens: 0, calls: 1 });
 
 	// Step 2: Detect language using LLM
 	const languageDetectionResponse = await env.AI.run('@cf/meta/llama-2-7b-chat-int8', {
@@ -362,6 +373,7 @@ export const translationHandler = asyncErrorHandler(async (request, env) => {
 			source_lang: detectedLanguage,
 			target_lang: 'english',
 		});
+		reportUsage(request, { model: translationModelPath, promptTokens: 0, calls: 1 });
 
 		if (!translationResponse.translated_text) {
 			throw new Error('Translation failed');
@@ -414,7 +426,7 @@ export const speechHandler = asyncErrorHandler(async (request, env) => {
 	}
 
 	// Validate model
-	const modelPath = validateModel('tts', model);
+	const modelPath = validateModel('tts', model, request.principal?.modelPolicy);
 
 	// Prepare input based on the model
 	// Different TTS models expect different parameter formats
@@ -458,6 +470,8 @@ export const speechHandler = asyncErrorHandler(async (request, env) => {
 		}
 	}
 
+	await checkUsage(request, { model: modelPath, promptTokens: 0 });
+
 	let response;
 	try {
 		response = await env.AI.run(modelPath, aiInput);
@@ -474,6 +488,7 @@ export const speechHandler = asyncErrorHandler(async (request, env) => {
 			throw error;
 		}
 	}
+	reportUsage(request, { model: modelPath, requestedModel: model, promptTokens: 0, calls: 1 });
 
 	// MeloTTS returns either:
 	// 1. JSON with base64-encoded audio: { audio: "base64string" }
@@ -0,0 +1,31 @@
+// Signed query-string tokens for GET requests from clients that cannot send headers (e.g. EventSource)
+import { createSignedToken, SIGNED_TOKEN_DEFAULT_TTL_SECONDS, SIGNED_TOKEN_MAX_TTL_SECONDS } from '../utils/auth.js';
+import { asyncErrorHandler, PermissionError, ValidationError, validateNumber } from '../utils/errors.js';
+
+// POST /auth/token - body: { expires_in?: seconds, path?: '/v1/...' }
+export const signedTokenHandler = asyncErrorHandler(async (request, env) => {
+	if (!env.SIGNED_TOKEN_SECRET) {
+		throw new PermissionError('Signed tokens are disabled. Set the SIGNED_TOKEN_SECRET secret to enable them.');
+	}
+
+	const json = request.headers.get('Content-Type')?.includes('application/json') ? await request.json() : {};
+
+	const ttlSeconds =
+		json.expires_in === undefined
+			? SIGNED_TOKEN_DEFAULT_TTL_SECONDS
+			: Math.floor(validateNumber(json.expires_in, 'expires_in', 1, SIGNED_TOKEN_MAX_TTL_SECONDS));
+
+	const path = json.path ?? null;
+	if (path !== null && (typeof path !== 'string' || !path.startsWith('/v1/'))) {
+		throw new ValidationError('path must be a /v1/ request path', 'path');
+	}
+
+	const { token, expiresAt } = await createSignedToken(request.principal, env, { ttlSeconds, path });
+
+	return Response.json({
+		object: 'signed_token',
+		token,
+		expires_at: expiresAt,
+		path,
+	});
+});
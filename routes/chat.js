@@ -4,12 +4,78 @@ import {
 	processFunctionMessages,
 	addFunctionContext,
 	parseFunctionCall,
+	normalizeToolCalls,
+	processNativeToolMessages,
 	formatFunctionCallResponse,
+	resolveToolChoice,
+	checkToolCalls,
+	toolCallReminder,
+	parseToolCallArguments,
 } from '../utils/functionCalling.js';
-import { MODEL_CONTEXT_WINDOWS, MODEL_CAPABILITIES, resolveModel, isOSSModel } from '../utils/models.js';
-import { processThink, extractOSSResponse, estimateTokens, getCORSHeaders } from '../utils/format.js';
-import { createChatStreamTransformer } from '../utils/stream.js';
-import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { MODEL_CONTEXT_WINDOWS, MODEL_CAPABILITIES, resolveModel, isOSSModel, isModelAllowed } from '../utils/models.js';
+import {
+	splitThink,
+	extractOSSResponse,
+	extractOSSReasoning,
+	reportedFinishReason,
+	resolveFinishReason,
+	getCORSHeaders,
+} from '../utils/format.js';
+import {
+	createChatStreamTransformer,
+	createChatCompletionReplay,
+	mergeEventStreams,
+	sumUsage,
+} from '../utils/stream.js';
+import {
+	asyncErrorHandler,
+	ValidationError,
+	ModelOutputError,
+	ContextLengthError,
+	validateNumber,
+} from '../utils/errors.js';
+import {
+	resolveResponseFormat,
+	nativeResponseFormat,
+	addResponseFormatContext,
+	checkResponseFormat,
+	responseFormatReminder,
+} from '../utils/responseFormat.js';
+import { checkUsage, reportUsage, runReserved } from '../utils/usage.js';
+import { loadTokenizer } from '../utils/tokenizer.js';
+import { truncateMessages, summarizeMessages } from '../utils/context.js';
+import {
+	mapSamplingParameters,
+	requestedMaxTokens,
+	applyStopSequences,
+	parameterWarningHeaders,
+} from '../utils/parameters.js';
+
+// Error messages for output that still breaks the request's constraints after a repair round-trip
+const REJECTION_REASONS = {
+	tool_choice_not_satisfied: 'The model did not satisfy tool_choice',
+	invalid_tool_arguments: 'The model returned arguments that do not match a strict function',
+	response_format_not_satisfied: 'The model did not return output matching response_format',
+};
+
+// Accepted reasoning_effort values; 'none' leaves the reasoning out of the response
+const REASONING_EFFORTS = ['none', 'minimal', 'low', 'medium', 'high'];
+
+// Accepted truncation values: 'auto' drops the oldest turns of a conversation too long for the model
+const TRUNCATION_MODES = ['auto', 'disabled'];
+
+// The fewest tokens a reply is given
+const MIN_MAX_TOKENS = 10;
+
+// Accepted context_management strategies: 'summarize' replaces older turns with a summary
+const CONTEXT_STRATEGIES = ['summarize'];
+
+// Share of the context window a prompt may fill before context_management summarizes it, unless the
+// request sets a threshold
+const SUMMARY_THRESHOLD = 0.75;
+
+// The cheap chat model that writes conversation summaries, unless SUMMARY_MODEL names another
+const DEFAULT_SUMMARY_MODEL = '@cf/meta/llama-3.2-3b-instruct';
 
 // Helper function to process messages with potential image content
 async function processMultimodalMessages(messages) {
@@ -90,7 +156,7 @@ export const chatHandler = asyncErrorHandler(async (request, env) => {
 	const json = await request.json();
 
 	// Resolve model using shared helper
-	const model = resolveModel('chat', json?.model);
+	const model = resolveModel('chat', json?.model, {}, request.principal?.modelPolicy);
 
 	if (!json?.messages || !Array.isArray(json.messages) || json.messages.length === 0) {
 		throw new ValidationError('messages are required and must be a non-empty array', 'messages');
@@ -99,27 +165,36 @@ export const chatHandler = asyncErrorHandler(async (request, env) => {
 	const messages = json.messages;
 	if (!json?.stream) json.stream = false;
 
+	// stream_options.include_usage ends the stream with a usage chunk
+	if (json.stream_options !== undefined && json.stream_options !== null && !json.stream) {
+		throw new ValidationError('stream_options is only allowed when stream is true', 'stream_options');
+	}
+	const includeUsage = json.stream_options?.include_usage === true;
+
 	// Get model configuration and context window
 	const context_window = MODEL_CONTEXT_WINDOWS[model];
 
 	// Handle max_tokens parameter with reasonable defaults and limits
 	let max_tokens = 1024; // Fallback default
-	if (typeof json.max_tokens === 'number' && json.max_tokens > 0) {
-		max_tokens = Math.min(json.max_tokens, context_window);
+	if (requestedMaxTokens(json)) {
+		max_tokens = Math.min(requestedMaxTokens(json), context_window);
 	} else {
 		max_tokens = Math.min(Math.floor(context_window * 0.7), 16384);
 	}
-	max_tokens = Math.max(10, max_tokens);
+	max_tokens = Math.max(MIN_MAX_TOKENS, max_tokens);
 
-	// Handle other generation parameters
-	const temperature =
-		json?.temperature && typeof json.temperature === 'number' ? Math.max(0, Math.min(json.temperature, 2)) : 0.7;
+	// n choices are generated by concurrent runs, up to MAX_CHOICES
+	const maxChoices = parseInt(env.MAX_CHOICES) > 0 ? parseInt(env.MAX_CHOICES) : 8;
+	const n = Math.floor(validateNumber(json.n ?? 1, 'n', 1, maxChoices));
 
-	const topP = json?.top_p && typeof json.top_p === 'number' ? Math.max(0, Math.min(json.top_p, 1)) : 0.9;
+	// Handle other generation parameters
+	const sampling = mapSamplingParameters(json, model);
+	const warningHeaders = parameterWarningHeaders(sampling.warnings);
 
 	// Handle function calling
 	let tools = null;
 	let toolChoice = null;
+	const parallelToolCalls = json?.parallel_tool_calls !== false;
 	if (json?.tools && Array.isArray(json.tools)) {
 		tools = json.tools;
 		toolChoice = json?.tool_choice || 'auto';
@@ -143,35 +218,162 @@ export const chatHandler = asyncErrorHandler(async (request, env) => {
 		toolChoice = json?.function_call || 'auto';
 	}
 
+	// 'none' withdraws the tools and a named function is the only tool offered
+	const resolvedToolChoice = resolveToolChoice(toolChoice ?? json?.tool_choice, tools);
+	if (resolvedToolChoice.type === 'none') {
+		tools = null;
+		toolChoice = null;
+	} else if (resolvedToolChoice.type === 'function') {
+		tools = tools.filter(tool => tool.function.name === resolvedToolChoice.name);
+	}
+
+	// Structured outputs: JSON replies, optionally conforming to a schema
+	const responseFormat = resolveResponseFormat(json.response_format);
+
+	// Reasoning is returned as reasoning_content unless include_reasoning is false or reasoning_effort is 'none'
+	const reasoningEffort = json.reasoning_effort;
+	if (reasoningEffort !== undefined && !REASONING_EFFORTS.includes(reasoningEffort)) {
+		throw new ValidationError(`reasoning_effort must be one of: ${REASONING_EFFORTS.join(', ')}`, 'reasoning_effort');
+	}
+	if (json.include_reasoning !== undefined && typeof json.include_reasoning !== 'boolean') {
+		throw new ValidationError('include_reasoning must be a boolean', 'include_reasoning');
+	}
+	const includeReasoning = json.include_reasoning ?? reasoningEffort !== 'none';
+
+	// Conversations too long for the model are an error unless truncation is 'auto'
+	const truncation = json.truncation ?? 'disabled';
+	if (!TRUNCATION_MODES.includes(truncation)) {
+		throw new ValidationError(`truncation must be one of: ${TRUNCATION_MODES.join(', ')}`, 'truncation');
+	}
+
+	// context_management summarizes older turns once the prompt passes a threshold
+	const contextManagement = json.context_management ?? null;
+	if (contextManagement !== null) {
+		if (typeof contextManagement !== 'object' || !CONTEXT_STRATEGIES.includes(contextManagement.strategy)) {
+			throw new ValidationError(
+				`context_management.strategy must be one of: ${CONTEXT_STRATEGIES.join(', ')}`,
+				'context_management',
+			);
+		}
+		if (contextManagement.threshold !== undefined) {
+			validateNumber(contextManagement.threshold, 'context_management.threshold', 1);
+		}
+	}
+
+	// 'required', a named function, strict functions and JSON response formats are checked against the
+	// response before it is returned, so streamed requests using them are generated in full first
+	const checkBeforeStreaming =
+		resolvedToolChoice.type === 'required' ||
+		resolvedToolChoice.type === 'function' ||
+		Boolean(tools?.some(tool => tool.function.strict)) ||
+		responseFormat.type !== 'text';
+
 	// Prepare AI parameters
 	let processedMessages = messages;
 	const aiParams = {
-		stream: json.stream,
+		stream: json.stream && !checkBeforeStreaming,
 		max_tokens,
-		temperature,
-		topP,
+		...sampling.params,
 	};
 
 	// Store original messages before any processing that might be skipped
 	const originalMessages = [...messages];
 
-	// Process messages for multimodal content
-	processedMessages = await processMultimodalMessages(originalMessages);
+	// Models with native function calling take tools as a parameter and return structured tool_calls;
+	// for the rest the tools are described in the system prompt and calls are parsed from the reply
+	const nativeToolCalls =
+		Boolean(tools) && !isOSSModel(model) && MODEL_CAPABILITIES[model]?.includes('function-calling');
+
+	// Models with native JSON mode take response_format as a parameter; the rest are instructed in the prompt
+	const nativeJsonMode =
+		responseFormat.type !== 'text' && !isOSSModel(model) && MODEL_CAPABILITIES[model]?.includes('json-mode');
+
+	// Rewrite tool messages and the response format for the model
+	const rewriteMessages = conversation => {
+		let rewritten = conversation;
+		if (nativeToolCalls) {
+			rewritten = processNativeToolMessages(rewritten);
+		} else if (tools) {
+			rewritten = processFunctionMessages(rewritten, tools);
+			rewritten = addFunctionContext(rewritten, tools, {
+				parallelToolCalls,
+				toolChoice: resolvedToolChoice,
+			});
+		}
+		if (responseFormat.type !== 'text' && !nativeJsonMode) {
+			rewritten = addResponseFormatContext(rewritten, responseFormat);
+		}
+		return rewritten;
+	};
 
-	// Determine if the model supports function calling
-	const modelSupportsFunctionCalling = MODEL_CAPABILITIES[model]?.includes('function-calling');
+	// Count the prompt with the model's tokenizer. It must leave room for the max_tokens the request asked for,
+	// or else for the shortest reply; with truncation 'auto' the oldest turns are dropped until it does.
+	// Turns are summarized and dropped in the conversation as sent, before tool results become user messages,
+	// with room left for the tokens the rewrites add.
+	const tokenizer = await loadTokenizer(model, env);
+	const reservedTokens = requestedMaxTokens(json) ? max_tokens : MIN_MAX_TOKENS;
+	let fittedMessages = originalMessages;
+	let promptTokens = tokenizer.countMessages(rewriteMessages(fittedMessages));
+	const rewriteTokens = Math.max(0, promptTokens - tokenizer.countMessages(fittedMessages));
+
+	// With context_management, older turns past the threshold are summarized by a cheap model first,
+	// unless the key's model policy does not allow the summary model
+	let summarizedTurns = 0;
+	const summaryModel = env.SUMMARY_MODEL || DEFAULT_SUMMARY_MODEL;
+	if (contextManagement && context_window && isModelAllowed(summaryModel, request.principal?.modelPolicy)) {
+		const budget = context_window - reservedTokens;
+		const threshold = Math.min(contextManagement.threshold ?? Math.floor(budget * SUMMARY_THRESHOLD), budget);
+		const runSummary = async params => {
+			const summaryPromptTokens = tokenizer.countMessages(params.messages);
+			await checkUsage(request, { model: summaryModel, promptTokens: summaryPromptTokens });
+			const result = await runReserved(request, summaryModel, () => env.AI.run(summaryModel, params));
+			reportUsage(request, {
+				model: summaryModel,
+				promptTokens: summaryPromptTokens,
+				completionTokens: tokenizer.count(result?.response),
+			});
+			return result;
+		};
+		({ messages: fittedMessages, summarizedTurns } = await summarizeMessages(
+			fittedMessages,
+			threshold - rewriteTokens,
+			tokenizer,
+			{ kv: env.CACHE_KV, run: runSummary },
+		));
+		promptTokens = tokenizer.countMessages(rewriteMessages(fittedMessages));
+	}
+	// Reported with the response as a gateway extension, and in a header for streams without a usage chunk
+	const gatewayInfo = contextManagement ? { x_gateway: { summarized_turns: summarizedTurns } } : {};
+	const responseHeaders = { ...warningHeaders };
+	if (contextManagement) {
+		responseHeaders['x-gateway-summarized-turns'] = String(summarizedTurns);
+		responseHeaders['Access-Control-Expose-Headers'] = [
+			warningHeaders['Access-Control-Expose-Headers'],
+			'x-gateway-summarized-turns',
+		]
+			.filter(Boolean)
+			.join(', ');
+	}
 
-	// Handle function calling logic
-	if (tools) {
-		if (modelSupportsFunctionCalling) {
-			processedMessages = processFunctionMessages(processedMessages, tools);
-			processedMessages = addFunctionContext(processedMessages, tools);
-		} else {
-			tools = null;
-			toolChoice = null;
-			processedMessages = await processMultimodalMessages(originalMessages, model);
+	if (context_window && promptTokens + reservedTokens > context_window) {
+		if (truncation === 'auto') {
+			({ messages: fittedMessages } = truncateMessages(
+				fittedMessages,
+				context_window - reservedTokens - rewriteTokens,
+				tokenizer,
+			));
+			promptTokens = tokenizer.countMessages(rewriteMessages(fittedMessages));
+		}
+		if (promptTokens + reservedTokens > context_window) {
+			throw new ContextLengthError(context_window, promptTokens, reservedTokens);
 		}
 	}
+	if (context_window) {
+		aiParams.max_tokens = Math.min(aiParams.max_tokens, context_window - promptTokens);
+	}
+
+	// Process the fitted messages for multimodal content and rewrite them for the model
+	processedMessages = rewriteMessages(await processMultimodalMessages(fittedMessages));
 
 	// Special handling for OpenAI OSS models that require 'input' instead of 'messages'
 	if (isOSSModel(model)) {
@@ -186,28 +388,48 @@ export const chatHandler = asyncErrorHandler(async (request, env) => {
 			}
 		}
 		aiParams.input = inputText.trim();
+		if (reasoningEffort && reasoningEffort !== 'none') {
+			aiParams.reasoning = { effort: reasoningEffort === 'minimal' ? 'low' : reasoningEffort };
+		}
 		delete aiParams.tools;
 		delete aiParams.tool_choice;
 	} else {
 		aiParams.messages = processedMessages;
-		if (tools) {
+		if (nativeToolCalls) {
 			aiParams.tools = tools;
 			aiParams.tool_choice = toolChoice;
 		}
+		if (nativeJsonMode) {
+			aiParams.response_format = nativeResponseFormat(responseFormat);
+		}
 	}
 
 	// Check cache for non-streaming requests (don't cache function calls)
 	let cacheKey = null;
-	if (env.CACHE_KV && shouldCache(aiParams) && !tools) {
-		cacheKey = await generateCacheKey(model, processedMessages, aiParams);
+	if (env.CACHE_KV && !json.stream && shouldCache(aiParams) && !tools && n === 1) {
+		cacheKey = await generateCacheKey(model, processedMessages, {
+			...aiParams,
+			stop: sampling.stop,
+			include_reasoning: includeReasoning,
+		});
 		const cachedResponse = await getCachedResponse(env.CACHE_KV, cacheKey);
 
 		if (cachedResponse) {
-			return Response.json({
-				...cachedResponse,
-				id: uuid,
-				created,
+			reportUsage(request, {
+				model,
+				requestedModel: json.model,
+				promptTokens: cachedResponse.usage?.prompt_tokens,
+				completionTokens: cachedResponse.usage?.completion_tokens,
+				cached: true,
 			});
+			return Response.json(
+				{
+					...cachedResponse,
+					id: uuid,
+					created,
+				},
+				{ headers: responseHeaders },
+			);
 		}
 	}
 
@@ -217,95 +439,261 @@ export const chatHandler = asyncErrorHandler(async (request, env) => {
 		finalParams.max_tokens = Math.floor(context_window * 0.7);
 	}
 
-	// Run the AI model
-	const aiResp = await env.AI.run(model, finalParams);
+	// Let rate limits reject the request before the model runs
+	await checkUsage(request, { model, promptTokens: promptTokens * n });
+
+	// Each choice gets its own run; with n > 1 the seed is varied so the choices differ
+	const baseSeed = sampling.params.seed ?? Math.floor(Math.random() * 10000);
+	const choiceParams = index => (n > 1 && !isOSSModel(model) ? { ...finalParams, seed: baseSeed + index } : finalParams);
+
+	// Run the AI model; a failed run releases the tokens reserved for it
+	const aiResps = await runReserved(request, model, () =>
+		Promise.all(Array.from({ length: n }, (_, index) => env.AI.run(model, choiceParams(index)))),
+	);
 
 	// Use the model name the client sent (for response compatibility)
 	const responseModel = json.model || model;
 
 	// Handle streaming response
-	if (json.stream) {
-		const transformer = createChatStreamTransformer(uuid, created, responseModel);
-		return new Response(aiResp.pipeThrough(transformer), {
+	if (aiParams.stream) {
+		// Usage is reported once: when every stream has ended, or for the text sent so far when the client
+		// cancels, so aborting a stream still meters it
+		const usages = [];
+		const streamed = aiResps.map(() => '');
+		let usageReported = false;
+		const reportStreamUsage = () => {
+			const usage = sumUsage(
+				streamed.map(
+					(text, index) => usages[index] ?? { prompt_tokens: promptTokens, completion_tokens: tokenizer.count(text) },
+				),
+			);
+			if (!usageReported) {
+				usageReported = true;
+				reportUsage(request, {
+					model,
+					requestedModel: json.model,
+					promptTokens: usage.prompt_tokens,
+					completionTokens: usage.completion_tokens,
+				});
+			}
+			return usage;
+		};
+		const streams = aiResps.map((aiResp, index) =>
+			aiResp.pipeThrough(
+				createChatStreamTransformer(uuid, created, responseModel, {
+					index,
+					standalone: false,
+					thinking: MODEL_CAPABILITIES[model]?.includes('reasoning'),
+					reasoning: includeReasoning,
+					toolCalls: Boolean(tools) && !nativeToolCalls,
+					parallelToolCalls,
+					stop: sampling.stop,
+					maxTokens: finalParams.max_tokens,
+					promptTokens,
+					countTokens: tokenizer.count,
+					includeUsage,
+					onText: text => {
+						streamed[index] += text;
+					},
+					onComplete: (text, usage) => {
+						usages[index] = usage;
+					},
+				}),
+			),
+		);
+		const body = mergeEventStreams(
+			streams,
+			() => {
+				const usage = reportStreamUsage();
+				return includeUsage
+					? [
+						{
+							id: uuid,
+							created,
+							object: 'chat.completion.chunk',
+							model: responseModel,
+							choices: [],
+							usage,
+							...gatewayInfo,
+						},
+					]
+					: [];
+			},
+			reportStreamUsage,
+		);
+		return new Response(body, {
 			headers: {
 				'Content-Type': 'text/event-stream',
 				'Cache-Control': 'no-cache',
 				'Connection': 'keep-alive',
 				...getCORSHeaders(),
+				...responseHeaders,
 			},
 		});
 	}
 
-	// Non-streaming: extract content
-	let contentToProcess;
-	if (isOSSModel(model)) {
-		contentToProcess = extractOSSResponse(aiResp);
-	} else if (typeof aiResp === 'object' && aiResp !== null && 'response' in aiResp) {
-		contentToProcess = aiResp.response;
-	} else {
-		contentToProcess = aiResp;
-	}
+	// Non-streaming: extract content and reasoning, and collect tool calls from the structured response
+	// or from the text when they were prompted for
+	const readResponse = result => {
+		let text;
+		if (isOSSModel(model)) {
+			text = extractOSSResponse(result);
+		} else if (typeof result === 'object' && result !== null && 'response' in result) {
+			text = result.response;
+		} else {
+			text = result;
+		}
+		// JSON mode may return the reply already parsed
+		if (nativeJsonMode && text !== null && typeof text === 'object') {
+			text = JSON.stringify(text);
+		}
 
-	const { hasFunction, functionCall, content } = parseFunctionCall(contentToProcess);
-
-	// Estimate token usage
-	const promptText = processedMessages.map(m => (typeof m.content === 'string' ? m.content : '')).join(' ');
-	const promptTokens = estimateTokens(promptText);
-	const completionTokens = estimateTokens(typeof content === 'string' ? content : '');
-
-	let response;
-	if (hasFunction && tools) {
-		const message = formatFunctionCallResponse(functionCall, content);
-		response = {
-			id: uuid,
-			model: responseModel,
-			created,
-			object: 'chat.completion',
-			choices: [
-				{
-					index: 0,
-					message,
-					finish_reason: 'tool_calls',
-				},
-			],
-			usage: {
-				prompt_tokens: promptTokens,
-				completion_tokens: completionTokens,
-				total_tokens: promptTokens + completionTokens,
-			},
-		};
-	} else {
-		const finalContent = processThink(content);
-		const finalCompletionTokens = estimateTokens(typeof finalContent === 'string' ? finalContent : '');
-		response = {
-			id: uuid,
-			model: responseModel,
-			created,
-			object: 'chat.completion',
-			choices: [
-				{
-					index: 0,
-					message: {
-						role: 'assistant',
-						content: finalContent,
-					},
-					finish_reason: 'stop',
-				},
-			],
-			usage: {
-				prompt_tokens: promptTokens,
-				completion_tokens: finalCompletionTokens,
-				total_tokens: promptTokens + finalCompletionTokens,
-			},
+		// The think block is split off before the reply is parsed; OSS models return reasoning separately
+		let { reasoning, content } = splitThink(text);
+		if (isOSSModel(model)) {
+			reasoning = extractOSSReasoning(result) ?? reasoning;
+		}
+		const cut = applyStopSequences(content, sampling.stop);
+		content = cut.text;
+		const finishReason = resolveFinishReason({
+			reported: reportedFinishReason(result),
+			stopped: cut.stopped,
+			completionTokens: result?.usage?.completion_tokens ?? tokenizer.count(text),
+			maxTokens: finalParams.max_tokens,
+			text,
+		});
+
+		let functionCalls = [];
+		if (nativeToolCalls) {
+			functionCalls = normalizeToolCalls(result?.tool_calls);
+		} else if (tools) {
+			({ functionCalls, content } = parseFunctionCall(content));
+		}
+		if (!parallelToolCalls) {
+			functionCalls = functionCalls.slice(0, 1);
+		}
+		// Return clean JSON arguments where they can be recovered from surrounding prose
+		functionCalls = functionCalls.map(call => ({
+			...call,
+			arguments: parseToolCallArguments(call.arguments) ?? call.arguments,
+		}));
+		return { text, functionCalls, content, reasoning, finishReason };
+	};
+
+	// Check tool calls against tool_choice and their schemas, or else the content against response_format
+	const reviewOutput = ({ functionCalls, content }) => {
+		const toolProblems = checkToolCalls(resolvedToolChoice, functionCalls, tools);
+		if (functionCalls.length > 0 || toolProblems.length > 0) {
+			return { problems: toolProblems, reminder: () => toolCallReminder(resolvedToolChoice, toolProblems) };
+		}
+		const { json: formatted, problems } = checkResponseFormat(responseFormat, content);
+		return { formatted, problems, reminder: () => responseFormatReminder(responseFormat, problems) };
+	};
+
+	// Check a choice's output, repair it once if needed and build its message
+	const generateChoice = async (aiResp, index) => {
+		let choicePromptTokens = promptTokens;
+		let output = readResponse(aiResp);
+		let review = reviewOutput(output);
+
+		// Output with problems gets one repair round-trip
+		if (review.problems.length > 0) {
+			const params = choiceParams(index);
+			const reply = output.text || JSON.stringify({ tool_calls: output.functionCalls });
+			const reminder = review.reminder();
+			const retryParams = { ...params };
+			if ('input' in params) {
+				retryParams.input = `${params.input}\n[ASSISTANT] ${reply}\n[USER] ${reminder}`;
+			} else {
+				retryParams.messages = [
+					...params.messages,
+					{ role: 'assistant', content: reply },
+					{ role: 'user', content: reminder },
+				];
+			}
+			choicePromptTokens += promptTokens + tokenizer.count(`${reply} ${reminder}`);
+
+			output = readResponse(await env.AI.run(model, retryParams));
+			review = reviewOutput(output);
+
+			// Problems without a code are tolerated and the output is returned as the model made it;
+			// an answer in prose where JSON was asked for is returned as a refusal
+			const rejected = review.problems.filter(problem => problem.code && problem.code !== 'refusal');
+			if (rejected.length > 0) {
+				const { code } = rejected[0];
+				const messages = rejected.map(problem => problem.message).join('; ');
+				throw new ModelOutputError(`${REJECTION_REASONS[code]}: ${messages}`, code);
+			}
+		}
+		const { functionCalls, content, reasoning, finishReason } = output;
+		const hasFunction = functionCalls.length > 0;
+		const refused = review.problems.some(problem => problem.code === 'refusal');
+
+		let message;
+		let completionTokens;
+		if (hasFunction) {
+			message = formatFunctionCallResponse(functionCalls, content);
+			completionTokens = tokenizer.count(
+				[content, ...message.tool_calls.map(call => call.function.arguments)].filter(Boolean).join(' '),
+			);
+		} else {
+			message = { role: 'assistant', content };
+			completionTokens = tokenizer.count(content);
+			if (responseFormat.type !== 'text') {
+				// JSON is returned without any text around it; a reply in prose is the model's refusal
+				message.content = refused ? null : (review.formatted ?? content);
+				message.refusal = refused ? content : null;
+			}
+		}
+		if (includeReasoning && reasoning) {
+			message.reasoning_content = reasoning;
+		}
+
+		return {
+			hasFunction,
+			choice: { index, message, finish_reason: hasFunction ? 'tool_calls' : finishReason },
+			usage: { prompt_tokens: choicePromptTokens, completion_tokens: completionTokens },
 		};
-	}
+	};
+
+	const choices = await Promise.all(aiResps.map(generateChoice));
+	const hasFunction = choices.some(result => result.hasFunction);
+	const response = {
+		id: uuid,
+		model: responseModel,
+		created,
+		object: 'chat.completion',
+		choices: choices.map(result => result.choice),
+		usage: sumUsage(choices.map(result => result.usage)),
+		...gatewayInfo,
+	};
 
 	// Cache the response if caching is enabled (don't cache function calls)
-	if (env.CACHE_KV && cacheKey && shouldCache(aiParams) && !hasFunction) {
+	if (env.CACHE_KV && cacheKey && !hasFunction) {
 		const cacheTtl =
 			env.CACHE_TTL_SECONDS && parseInt(env.CACHE_TTL_SECONDS) > 0 ? parseInt(env.CACHE_TTL_SECONDS) : 3600;
 		await cacheResponse(env.CACHE_KV, cacheKey, response, cacheTtl);
 	}
 
-	return Response.json(response);
+	reportUsage(request, {
+		model,
+		requestedModel: json.model,
+		promptTokens: response.usage.prompt_tokens,
+		completionTokens: response.usage.completion_tokens,
+	});
+
+	// Streamed requests held back for output checks are replayed as chunks
+	if (json.stream) {
+		return new Response(createChatCompletionReplay(response, { includeUsage }), {
+			headers: {
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				'Connection': 'keep-alive',
+				...getCORSHeaders(),
+				...responseHeaders,
+			},
+		});
+	}
+
+	return Response.json(response, { headers: responseHeaders });
 });
@@ -1,7 +1,27 @@
-import { MODEL_CONTEXT_WINDOWS, calculateDefaultMaxTokens, resolveModel, isOSSModel } from '../utils/models.js';
-import { processThink, extractOSSResponse, estimateTokens, getCORSHeaders } from '../utils/format.js';
-import { createCompletionStreamTransformer } from '../utils/stream.js';
-import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import {
+	MODEL_CONTEXT_WINDOWS,
+	MODEL_CAPABILITIES,
+	calculateDefaultMaxTokens,
+	resolveModel,
+	isOSSModel,
+} from '../utils/models.js';
+import {
+	processThink,
+	extractOSSResponse,
+	reportedFinishReason,
+	resolveFinishReason,
+	getCORSHeaders,
+} from '../utils/format.js';
+import { createCompletionStreamTransformer, mergeEventStreams, sumUsage } from '../utils/stream.js';
+import { asyncErrorHandler, ValidationError, validateNumber } from '../utils/errors.js';
+import { checkUsage, reportUsage, runReserved } from '../utils/usage.js';
+import { loadTokenizer } from '../utils/tokenizer.js';
+import {
+	mapSamplingParameters,
+	requestedMaxTokens,
+	applyStopSequences,
+	parameterWarningHeaders,
+} from '../utils/parameters.js';
 
 export const completionHandler = asyncErrorHandler(async (request, env) => {
 	// Get the current time in epoch seconds
@@ -15,7 +35,7 @@ export const completionHandler = asyncErrorHandler(async (request, env) => {
 	const json = await request.json();
 
 	// Resolve model using shared helper
-	const model = resolveModel('completion', json?.model, env.MODEL_MAPPER ?? {});
+	const model = resolveModel('completion', json?.model, env.MODEL_MAPPER ?? {}, request.principal?.modelPolicy);
 
 	// Validate prompt
 	if (!json?.prompt) {
@@ -33,114 +53,172 @@ export const completionHandler = asyncErrorHandler(async (request, env) => {
 	// Handle streaming
 	if (!json?.stream) json.stream = false;
 
+	// stream_options.include_usage ends the stream with a usage chunk
+	if (json.stream_options !== undefined && json.stream_options !== null && !json.stream) {
+		throw new ValidationError('stream_options is only allowed when stream is true', 'stream_options');
+	}
+	const includeUsage = json.stream_options?.include_usage === true;
+
+	// Count the prompt with the model's tokenizer
+	const tokenizer = await loadTokenizer(model, env);
+	const promptTokens = tokenizer.count(json.prompt);
+
 	// Handle max_tokens parameter with reasonable defaults and limits
 	const contextWindow = MODEL_CONTEXT_WINDOWS[model] || 4096;
 
 	let maxTokens;
-	if (typeof json.max_tokens === 'number' && json.max_tokens > 0) {
+	if (requestedMaxTokens(json)) {
 		// Use provided value if it's a valid number (clamped to context window)
-		maxTokens = Math.max(1, Math.min(json.max_tokens, contextWindow));
+		maxTokens = Math.max(1, Math.min(requestedMaxTokens(json), contextWindow));
 	} else {
 		// Use our helper function to calculate a sensible default
 		maxTokens = calculateDefaultMaxTokens(model);
 	}
+	// The prompt takes its share of the context window
+	maxTokens = Math.max(1, Math.min(maxTokens, contextWindow - promptTokens));
 
-	// Handle other generation parameters
-	const temperature =
-		json?.temperature && typeof json.temperature === 'number'
-			? Math.max(0, Math.min(json.temperature, 2)) // Clamp between 0 and 2
-			: 0.7; // Default temperature
+	// n choices are generated by concurrent runs, up to MAX_CHOICES
+	const maxChoices = parseInt(env.MAX_CHOICES) > 0 ? parseInt(env.MAX_CHOICES) : 8;
+	const n = Math.floor(validateNumber(json.n ?? 1, 'n', 1, maxChoices));
 
-	const topP =
-		json?.top_p && typeof json.top_p === 'number'
-			? Math.max(0, Math.min(json.top_p, 1)) // Clamp between 0 and 1
-			: 0.9; // Default top_p
+	// Handle other generation parameters
+	const sampling = mapSamplingParameters(json, model);
+	const warningHeaders = parameterWarningHeaders(sampling.warnings);
 
 	// Store the response model name (what client sent or resolved model)
 	const responseModel = json.model || model;
 
-	// Handle streaming response
+	// Let rate limits reject the request before the model runs
+	await checkUsage(request, { model, promptTokens: promptTokens * n });
+
+	// Prepare AI parameters
+	const aiParams = {
+		max_tokens: maxTokens,
+		...sampling.params,
+	};
 	if (json.stream) {
-		const transformer = createCompletionStreamTransformer(uuid, created, responseModel);
-
-		// Prepare AI parameters
-		const aiParams = {
-			stream: json.stream,
-			max_tokens: maxTokens,
-			temperature,
-			top_p: topP,
-		};
+		aiParams.stream = true;
+	}
 
-		// Special handling for OpenAI OSS models that require 'input' instead of 'prompt'
-		if (isOSSModel(model)) {
-			aiParams.input = json.prompt;
-		} else {
-			aiParams.prompt = json.prompt;
-		}
+	// Special handling for OpenAI OSS models that require 'input' instead of 'prompt'
+	if (isOSSModel(model)) {
+		aiParams.input = json.prompt;
+	} else {
+		aiParams.prompt = json.prompt;
+	}
 
-		// Run the AI model with configured parameters
-		const aiResp = await env.AI.run(model, aiParams);
+	// Run the AI model once per choice; with n > 1 the seed is varied so the choices differ.
+	// A failed run releases the tokens reserved for it.
+	const baseSeed = sampling.params.seed ?? Math.floor(Math.random() * 10000);
+	const aiResps = await runReserved(request, model, () =>
+		Promise.all(
+			Array.from({ length: n }, (_, index) =>
+				env.AI.run(model, n > 1 && !isOSSModel(model) ? { ...aiParams, seed: baseSeed + index } : aiParams),
+			),
+		),
+	);
+
+	// Handle streaming response
+	if (json.stream) {
+		// Usage is reported once: when every stream has ended, or for the text sent so far when the client
+		// cancels, so aborting a stream still meters it
+		const usages = [];
+		const streamed = aiResps.map(() => '');
+		let usageReported = false;
+		const reportStreamUsage = () => {
+			const usage = sumUsage(
+				streamed.map(
+					(text, index) => usages[index] ?? { prompt_tokens: promptTokens, completion_tokens: tokenizer.count(text) },
+				),
+			);
+			if (!usageReported) {
+				usageReported = true;
+				reportUsage(request, {
+					model,
+					requestedModel: json.model,
+					promptTokens: usage.prompt_tokens,
+					completionTokens: usage.completion_tokens,
+				});
+			}
+			return usage;
+		};
+		const streams = aiResps.map((aiResp, index) =>
+			aiResp.pipeThrough(
+				createCompletionStreamTransformer(uuid, created, responseModel, {
+					index,
+					standalone: false,
+					thinking: MODEL_CAPABILITIES[model]?.includes('reasoning'),
+					stop: sampling.stop,
+					maxTokens,
+					promptTokens,
+					countTokens: tokenizer.count,
+					includeUsage,
+					onText: text => {
+						streamed[index] += text;
+					},
+					onComplete: (text, usage) => {
+						usages[index] = usage;
+					},
+				}),
+			),
+		);
+		const body = mergeEventStreams(
+			streams,
+			() => {
+				const usage = reportStreamUsage();
+				return includeUsage
+					? [{ id: uuid, created, object: 'text_completion', model: responseModel, choices: [], usage }]
+					: [];
+			},
+			reportStreamUsage,
+		);
 
 		// Return streaming response
-		return new Response(aiResp.pipeThrough(transformer), {
+		return new Response(body, {
 			headers: {
 				'Content-Type': 'text/event-stream',
 				'Cache-Control': 'no-cache',
 				'Connection': 'keep-alive',
 				...getCORSHeaders(),
+				...warningHeaders,
 			},
 		});
-	} else {
-		// Non-streaming response
-		// Prepare AI parameters
-		const aiParams = {
-			max_tokens: maxTokens,
-			temperature,
-			top_p: topP,
-		};
-
-		// Special handling for OpenAI OSS models that require 'input' instead of 'prompt'
-		if (isOSSModel(model)) {
-			aiParams.input = json.prompt;
-		} else {
-			aiParams.prompt = json.prompt;
-		}
-
-		// Run the AI model with configured parameters
-		const aiResp = await env.AI.run(model, aiParams);
-
-		// Extract response text using shared helper
-		let responseText;
-		if (isOSSModel(model)) {
-			responseText = extractOSSResponse(aiResp);
-		} else {
-			responseText = aiResp.response || '';
-		}
-
-		const finalResponseText = processThink(responseText);
-
-		// Estimate token usage
-		const promptTokens = estimateTokens(json.prompt);
-		const completionTokens = estimateTokens(finalResponseText);
+	}
 
-		return Response.json({
+	// Non-streaming response: extract response text using shared helper
+	const choices = aiResps.map((aiResp, index) => {
+		const responseText = isOSSModel(model) ? extractOSSResponse(aiResp) : aiResp.response || '';
+		const { text, stopped } = applyStopSequences(processThink(responseText), sampling.stop);
+		const finishReason = resolveFinishReason({
+			reported: reportedFinishReason(aiResp),
+			stopped,
+			completionTokens: aiResp?.usage?.completion_tokens ?? tokenizer.count(responseText),
+			maxTokens,
+			text: responseText,
+		});
+		return { index, finish_reason: finishReason, text, logprobs: null };
+	});
+
+	// Count token usage
+	const usage = sumUsage(
+		choices.map(choice => ({ prompt_tokens: promptTokens, completion_tokens: tokenizer.count(choice.text) })),
+	);
+	reportUsage(request, {
+		model,
+		requestedModel: json.model,
+		promptTokens: usage.prompt_tokens,
+		completionTokens: usage.completion_tokens,
+	});
+
+	return Response.json(
+		{
 			id: uuid,
 			model: responseModel,
 			created,
 			object: 'text_completion',
-			choices: [
-				{
-					index: 0,
-					finish_reason: 'stop',
-					text: finalResponseText,
-					logprobs: null,
-				},
-			],
-			usage: {
-				prompt_tokens: promptTokens,
-				completion_tokens: completionTokens,
-				total_tokens: promptTokens + completionTokens,
-			},
-		});
-	}
+			choices,
+			usage,
+		},
+		{ headers: warningHeaders },
+	);
 });
@@ -1,6 +1,8 @@
 import { storeVectors } from '../utils/vectorize.js';
-import { MODEL_CATEGORIES, resolveModel } from '../utils/models.js';
-import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { MODEL_CATEGORIES, resolveModel, assertModelAllowed } from '../utils/models.js';
+import { APIError, asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { checkUsage, reportUsage, runReserved } from '../utils/usage.js';
+import { loadTokenizer } from '../utils/tokenizer.js';
 
 export const embeddingsHandler = asyncErrorHandler(async (request, env) => {
 	let model = '@cf/baai/bge-base-en-v1.5';
@@ -20,9 +22,9 @@ export const embeddingsHandler = asyncErrorHandler(async (request, env) => {
 		}
 
 		// Handle model selection - support both OpenAI and Cloudflare model names
-		if (json.model) {
-			model = resolveModel('embeddings', json.model);
-		}
+		model = json.model
+			? resolveModel('embeddings', json.model, {}, request.principal?.modelPolicy)
+			: assertModelAllowed(model, request.principal?.modelPolicy);
 
 		// Handle pooling method (Cloudflare specific feature)
 		if (json.pooling && ['mean', 'cls'].includes(json.pooling)) {
@@ -56,11 +58,18 @@ export const embeddingsHandler = asyncErrorHandler(async (request, env) => {
 			}
 		}
 
+		// Count the input with the model's tokenizer and check it against rate limits
+		const tokenizer = await loadTokenizer(model, env);
+		const totalTokens = inputText.reduce((sum, text) => sum + tokenizer.count(text), 0);
+		await checkUsage(request, { model, promptTokens: totalTokens });
+
 		// Call Cloudflare Workers AI
-		const embeddings = await env.AI.run(model, {
-			text: inputText,
-			pooling,
-		});
+		const embeddings = await runReserved(request, model, () =>
+			env.AI.run(model, {
+				text: inputText,
+				pooling,
+			}),
+		);
 
 		// Optional: Store embeddings in Vectorize if configured and metadata provided
 		if (env.VECTOR_INDEX && json.store_in_vectorize && json.metadata) {
@@ -84,8 +93,7 @@ export const embeddingsHandler = asyncErrorHandler(async (request, env) => {
 			}
 		}
 
-		// Calculate approximate token usage
-		const totalTokens = inputText.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0);
+		reportUsage(request, { model, requestedModel: json.model, promptTokens: totalTokens });
 
 		// Format response to match OpenAI API structure
 		const data = embeddings.data.map((embedding, index) => ({
@@ -106,6 +114,11 @@ export const embeddingsHandler = asyncErrorHandler(async (request, env) => {
 	} catch (e) {
 		console.error('Embeddings error:', e);
 
+		// Our own rate limit and budget errors already carry the right status and headers
+		if (e instanceof APIError) {
+			throw e;
+		}
+
 		// Handle specific Cloudflare AI errors
 		if (e.message?.includes('rate limit')) {
 			return Response.json({ error: 'Rate limit exceeded. Please try again later.' }, { status: 429 });
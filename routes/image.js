@@ -3,6 +3,7 @@ import { uuidv4 } from '../utils/ids';
 import { streamToBuffer } from '../utils/stream';
 import { resolveModel } from '../utils/models.js';
 import { asyncErrorHandler, ValidationError, NotFoundError } from '../utils/errors.js';
+import { checkUsage, reportUsage } from '../utils/usage.js';
 
 export const imageGenerationHandler = asyncErrorHandler(async (request, env) => {
 	let model = '@cf/black-forest-labs/flux-1-schnell'; // Default model
@@ -28,10 +29,10 @@ export const imageGenerationHandler = asyncErrorHandler(async (request, env) =>
 
 	// Handle model selection - support both OpenAI and Cloudflare model names
 	if (json?.model) {
-		model = resolveModel('image_generation', json.model);
+		model = resolveModel('image_generation', json.model, {}, request.principal?.modelPolicy);
 	} else {
 		// Use default model if none provided
-		model = resolveModel('image_generation');
+		model = resolveModel('image_generation', undefined, {}, request.principal?.modelPolicy);
 	}
 
 	const inputs = {
@@ -39,8 +40,12 @@ export const imageGenerationHandler = asyncErrorHandler(async (request, env) =>
 		seed: json.seed || Math.floor(Math.random() * 10000),
 	};
 
+	// Image models are billed per call rather than per token
+	await checkUsage(request, { model, promptTokens: 0 });
+
 	// Run the AI model
 	const response = await env.AI.run(model, inputs);
+	reportUsage(request, { model, requestedModel: json.model, promptTokens: 0, calls: 1 });
 
 	// Handle the response based on the model type
 	let imageBuffer;
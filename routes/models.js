@@ -1,4 +1,6 @@
+import { asyncErrorHandler } from '../utils/errors.js';
 import { getCORSHeaders } from '../utils/format.js';
+import { MODEL_MAPPING, isModelAllowed, lookupModelAlias } from '../utils/models.js';
 
 const getModels = async env => {
 	const url = `https://api.cloudflare.com/client/v4/accounts/${env.CLOUDFLARE_ACCOUNT_ID}/ai/models/search?hide_experimental=false`;
@@ -40,8 +42,22 @@ const OPENAI_MODEL_ALIASES = [
 	{ id: 'dall-e-3', object: 'model', owned_by: 'openai' },
 ];
 
-export const modelsHandler = async (request, env) => {
+// Aliases from the caller's own alias table, listed alongside the OpenAI ones
+const getKeyAliases = policy =>
+	Object.keys(policy?.aliases || {})
+		.filter(id => !OPENAI_MODEL_ALIASES.some(alias => alias.id === id))
+		.map(id => ({ id, object: 'model', owned_by: 'gateway' }));
+
+// A listed id is visible when the model it resolves to is allowed by the caller's policy
+const isVisible = (id, policy) =>
+	isModelAllowed(lookupModelAlias(policy?.aliases, id) || lookupModelAlias(MODEL_MAPPING, id) || id, policy);
+
+export const modelsHandler = asyncErrorHandler(async (request, env) => {
 	const timestamp = Math.round(Date.now());
+	const policy = request.principal?.modelPolicy;
+	const aliases = [...OPENAI_MODEL_ALIASES, ...getKeyAliases(policy)]
+		.filter(model => isVisible(model.id, policy))
+		.map(model => ({ ...model, created: timestamp }));
 
 	if (!env.CLOUDFLARE_ACCOUNT_ID || !env.CLOUDFLARE_API_TOKEN) {
 		// In test mode, return OpenAI aliases plus a test model
@@ -49,14 +65,14 @@ export const modelsHandler = async (request, env) => {
 			{
 				object: 'list',
 				data: [
-					...OPENAI_MODEL_ALIASES.map(model => ({ ...model, created: timestamp })),
+					...aliases,
 					{
 						id: 'test-model',
 						object: 'model',
 						created: timestamp,
 						owned_by: 'cloudflare',
 					},
-				],
+				].filter(model => isVisible(model.id, policy)),
 			},
 			{ headers: getCORSHeaders() },
 		);
@@ -65,19 +81,21 @@ export const modelsHandler = async (request, env) => {
 	const models = await getModels(env);
 
 	// Map Cloudflare models to OpenAI format
-	const cloudflareModels = models.map(model => ({
-		id: model.name,
-		object: 'model',
-		created: timestamp,
-		owned_by: model.source === 1 ? 'cloudflare' : 'huggingface',
-	}));
+	const cloudflareModels = models
+		.filter(model => isVisible(model.name, policy))
+		.map(model => ({
+			id: model.name,
+			object: 'model',
+			created: timestamp,
+			owned_by: model.source === 1 ? 'cloudflare' : 'huggingface',
+		}));
 
 	// Combine OpenAI aliases with Cloudflare models
 	return Response.json(
 		{
 			object: 'list',
-			data: [...OPENAI_MODEL_ALIASES.map(model => ({ ...model, created: timestamp })), ...cloudflareModels],
+			data: [...aliases, ...cloudflareModels],
 		},
 		{ headers: getCORSHeaders() },
 	);
-};
+});
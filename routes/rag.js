@@ -1,5 +1,17 @@
 import { processAndStoreDocument, performRAGSearch } from '../utils/vectorize.js';
+import { assertModelAllowed } from '../utils/models.js';
 import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { loadTokenizer } from '../utils/tokenizer.js';
+import { checkUsage, reportUsage, runReserved } from '../utils/usage.js';
+
+// Embed text while metering its tokens: document chunks and queries count as prompt tokens
+async function withEmbeddingUsage(request, env, model, text, embed) {
+	const promptTokens = (await loadTokenizer(model, env)).count(text);
+	await checkUsage(request, { model, promptTokens });
+	const result = await runReserved(request, model, embed);
+	reportUsage(request, { model, promptTokens });
+	return result;
+}
 
 /**
  * Handler for storing documents in Vectorize for RAG
@@ -25,8 +37,11 @@ export const storeDocumentHandler = asyncErrorHandler(async (request, env) => {
 		chunkOverlap: body.chunkOverlap || 200,
 		namespace: body.namespace || 'documents',
 	};
+	assertModelAllowed(options.model, request.principal?.modelPolicy);
 
-	const result = await processAndStoreDocument(env, body.text, body.metadata, options);
+	const result = await withEmbeddingUsage(request, env, options.model, body.text, () =>
+		processAndStoreDocument(env, body.text, body.metadata, options),
+	);
 
 	return Response.json({
 		success: true,
@@ -56,8 +71,11 @@ export const ragSearchHandler = asyncErrorHandler(async (request, env) => {
 		scoreThreshold: body.score_threshold || 0.7,
 		namespace: body.namespace || 'documents',
 	};
+	assertModelAllowed(options.model, request.principal?.modelPolicy);
 
-	const result = await performRAGSearch(env, body.query, options);
+	const result = await withEmbeddingUsage(request, env, options.model, body.query, () =>
+		performRAGSearch(env, body.query, options),
+	);
 
 	return Response.json({
 		query: result.query,
@@ -93,8 +111,11 @@ export const ragChatHandler = asyncErrorHandler(async (request, env) => {
 		scoreThreshold: body.rag_score_threshold || 0.7,
 		namespace: body.namespace || 'documents',
 	};
+	assertModelAllowed(ragOptions.model, request.principal?.modelPolicy);
 
-	const ragResult = await performRAGSearch(env, lastMessage.content, ragOptions);
+	const ragResult = await withEmbeddingUsage(request, env, ragOptions.model, lastMessage.content, () =>
+		performRAGSearch(env, lastMessage.content, ragOptions),
+	);
 
 	// Enhance the conversation with RAG context
 	const enhancedMessages = [...body.messages];
@@ -124,6 +145,9 @@ Sources: ${ragResult.sources.length} relevant documents found.`,
 			messages: enhancedMessages,
 		}),
 	});
+	// Carry the caller's identity and usage hooks over so its model policy and limits apply to the forwarded request
+	chatRequest.principal = request.principal;
+	chatRequest.usageHooks = request.usageHooks;
 
 	// Import and call the regular chat handler
 	const { chatHandler } = await import('./chat.js');
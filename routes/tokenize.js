@@ -0,0 +1,45 @@
+import { MODEL_CONTEXT_WINDOWS, resolveModel } from '../utils/models.js';
+import { asyncErrorHandler, ValidationError } from '../utils/errors.js';
+import { loadTokenizer } from '../utils/tokenizer.js';
+
+// Count the tokens of a chat conversation or a completion prompt with the model's tokenizer
+export const tokenizeHandler = asyncErrorHandler(async (request, env) => {
+	if (!request.headers.get('Content-Type')?.includes('application/json')) {
+		throw new ValidationError('Invalid request. Content-Type must be application/json');
+	}
+
+	const json = await request.json();
+
+	const hasMessages = json?.messages !== undefined;
+	if (hasMessages === (json?.prompt !== undefined)) {
+		throw new ValidationError('Provide either messages or prompt');
+	}
+	if (hasMessages && (!Array.isArray(json.messages) || json.messages.length === 0)) {
+		throw new ValidationError('messages must be a non-empty array', 'messages');
+	}
+	const prompts = typeof json.prompt === 'string' ? [json.prompt] : json.prompt;
+	if (!hasMessages && (!Array.isArray(prompts) || prompts.some(prompt => typeof prompt !== 'string'))) {
+		throw new ValidationError('prompt must be a string or an array of strings', 'prompt');
+	}
+
+	// Messages are counted for a chat model and prompts for a completion model, template overhead included
+	const model = resolveModel(
+		hasMessages ? 'chat' : 'completion',
+		json.model,
+		hasMessages ? {} : (env.MODEL_MAPPER ?? {}),
+		request.principal?.modelPolicy,
+	);
+	const tokenizer = await loadTokenizer(model, env);
+	const count = hasMessages
+		? tokenizer.countMessages(json.messages)
+		: prompts.reduce((sum, prompt) => sum + tokenizer.count(prompt), 0);
+
+	return Response.json({
+		object: 'tokenize',
+		model: json.model || model,
+		tokenizer: tokenizer.name,
+		estimate: tokenizer.estimate,
+		count,
+		context_window: MODEL_CONTEXT_WINDOWS[model] ?? null,
+	});
+});
@@ -0,0 +1,94 @@
+// Usage reporting from the usage ledger (utils/usageLog.js)
+// GET /usage?start_date=2026-10-01&end_date=2026-10-31&group_by=day,model,key&key_id=...&model=...&format=json|csv
+import { asyncErrorHandler, PermissionError, ServerError, ValidationError } from '../utils/errors.js';
+import { getCORSHeaders } from '../utils/format.js';
+import { USAGE_GROUPS, queryUsage, usageColumns } from '../utils/usageLog.js';
+
+// Days reported when no start_date is given
+const DEFAULT_RANGE_DAYS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateDate(value, field) {
+	if (!DATE_PATTERN.test(value) || isNaN(Date.parse(`${value}T00:00:00Z`))) {
+		throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`, field);
+	}
+	return value;
+}
+
+function validateGroupBy(value) {
+	const groups = value.split(',').map(group => group.trim()).filter(Boolean);
+	for (const group of groups) {
+		if (!USAGE_GROUPS[group]) {
+			throw new ValidationError(
+				`Unknown group_by value: ${group}. Valid values: ${Object.keys(USAGE_GROUPS).join(', ')}`,
+				'group_by',
+			);
+		}
+	}
+	return [...new Set(groups)];
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+	return [columns, ...rows.map(row => columns.map(column => row[column]))]
+		.map(fields => fields.map(csvField).join(','))
+		.join('\r\n');
+}
+
+// GET /usage - registry keys see their own usage; the shared ACCESS_TOKEN sees every key's
+export const usageHandler = asyncErrorHandler(async (request, env) => {
+	if (!env.DB) {
+		throw new ServerError('Usage reporting is not configured. Bind a D1 database as DB and apply schema.sql.');
+	}
+
+	const params = new URL(request.url).searchParams;
+	const today = new Date().toISOString().slice(0, 10);
+	const endDate = params.has('end_date') ? validateDate(params.get('end_date'), 'end_date') : today;
+	const startDate = params.has('start_date')
+		? validateDate(params.get('start_date'), 'start_date')
+		: new Date(Date.parse(`${endDate}T00:00:00Z`) - (DEFAULT_RANGE_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+	if (startDate > endDate) {
+		throw new ValidationError('start_date must not be after end_date', 'start_date');
+	}
+
+	const groupBy = validateGroupBy(params.get('group_by') ?? 'day,model,key');
+	const format = params.get('format') ?? 'json';
+	if (format !== 'json' && format !== 'csv') {
+		throw new ValidationError('format must be json or csv', 'format');
+	}
+
+	const principal = request.principal;
+	let keyId = params.get('key_id');
+	if (!principal?.legacy) {
+		if (keyId && keyId !== principal?.id) {
+			throw new PermissionError('API keys can only read their own usage');
+		}
+		keyId = principal?.id;
+	}
+
+	const rows = await queryUsage(env.DB, { startDate, endDate, groupBy, keyId, model: params.get('model') });
+
+	if (format === 'csv') {
+		return new Response(toCsv(rows, usageColumns(groupBy)), {
+			headers: {
+				'Content-Type': 'text/csv; charset=utf-8',
+				'Content-Disposition': `attachment; filename="usage-${startDate}-${endDate}.csv"`,
+				...getCORSHeaders(),
+			},
+		});
+	}
+
+	return Response.json({
+		object: 'list',
+		start_date: startDate,
+		end_date: endDate,
+		group_by: groupBy,
+		data: rows,
+	});
+});
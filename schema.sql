@@ -1 +1,72 @@
--- schema goes here
+-- D1 schema for the gateway
+-- Apply with: wrangler d1 execute <database-name> --file=schema.sql
+
+-- API key registry. Only the SHA-256 hash of each secret is stored.
+-- scopes is a JSON array of route scopes (chat, completions, embeddings, audio, images, rag) or ["*"].
+-- allowed_models / blocked_models are JSON arrays of model paths (a trailing * matches a prefix);
+-- a NULL allowed_models permits every model. model_aliases is a JSON object of per-key alias overrides.
+-- rate_limit_tier names a tier from utils/rateLimit.js; requests_per_minute, request_burst, tokens_per_minute,
+-- tokens_per_day and max_concurrent_requests override the tier's limits. NULL falls back to the tier (or the default tier).
+-- budget_* columns cap the key's spend per UTC day and month (see utils/budget.js); NULL means no cap.
+CREATE TABLE IF NOT EXISTS api_keys (
+	id TEXT PRIMARY KEY,
+	name TEXT NOT NULL,
+	key_hash TEXT NOT NULL UNIQUE,
+	key_prefix TEXT NOT NULL,
+	scopes TEXT NOT NULL DEFAULT '["*"]',
+	enabled INTEGER NOT NULL DEFAULT 1,
+	created_at TEXT NOT NULL,
+	expires_at TEXT,
+	last_used_at TEXT,
+	allowed_models TEXT,
+	blocked_models TEXT,
+	model_aliases TEXT,
+	rate_limit_tier TEXT,
+	requests_per_minute INTEGER,
+	request_burst INTEGER,
+	tokens_per_minute INTEGER,
+	tokens_per_day INTEGER,
+	max_concurrent_requests INTEGER,
+	budget_tokens_per_day INTEGER,
+	budget_tokens_per_month INTEGER,
+	budget_neurons_per_day REAL,
+	budget_neurons_per_month REAL,
+	budget_soft_limit REAL,
+	-- Set while a rotated key's old secret is still accepted during its grace period
+	previous_key_hash TEXT,
+	previous_key_expires_at TEXT,
+	revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_hash ON api_keys (previous_key_hash);
+
+-- Spend per key and budget period: period is a UTC day ('2026-10-19') or month ('2026-10').
+-- neurons are estimated from the model price weights in utils/budget.js.
+CREATE TABLE IF NOT EXISTS usage_budgets (
+	key_id TEXT NOT NULL,
+	period TEXT NOT NULL,
+	tokens INTEGER NOT NULL DEFAULT 0,
+	neurons REAL NOT NULL DEFAULT 0,
+	PRIMARY KEY (key_id, period)
+);
+
+-- Usage ledger: one row per /v1 request (see utils/usageLog.js), aggregated by GET /v1/usage.
+-- key_id is NULL for unauthenticated requests and 'legacy' for ACCESS_TOKEN. model is the resolved model path,
+-- requested_model what the client asked for (an alias such as gpt-4o, or NULL for the default model).
+-- latency_ms runs until the response body (or stream) has been sent. cache_hit is 1 for KV cache hits.
+CREATE TABLE IF NOT EXISTS usage_log (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	created_at TEXT NOT NULL,
+	key_id TEXT,
+	route TEXT NOT NULL,
+	model TEXT,
+	requested_model TEXT,
+	prompt_tokens INTEGER NOT NULL DEFAULT 0,
+	completion_tokens INTEGER NOT NULL DEFAULT 0,
+	latency_ms INTEGER NOT NULL,
+	status INTEGER NOT NULL,
+	cache_hit INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_log_created_at ON usage_log (created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_log_key_id ON usage_log (key_id, created_at);
@@ -109,6 +109,35 @@ const TASK_TO_CAPABILITY_MAP = {
 	'Voice Activity Detection': ['voice-activity-detection'],
 };
 
+// Models that accept `tools` natively and return structured tool_calls
+const FUNCTION_CALLING_MODELS = [
+	'@hf/nousresearch/hermes-2-pro-mistral-7b',
+	'@cf/meta/llama-3.3-70b-instruct-fp8-fast',
+	'@cf/meta/llama-4-scout-17b-16e-instruct',
+	'@cf/mistralai/mistral-small-3.1-24b-instruct',
+	'@cf/qwen/qwen3-30b-a3b-fp8',
+];
+
+// Models with JSON mode: they accept response_format and constrain their output to JSON
+const JSON_MODE_MODELS = [
+	'@cf/meta/llama-3.1-8b-instruct',
+	'@cf/meta/llama-3.1-8b-instruct-fast',
+	'@cf/meta/llama-3.1-70b-instruct',
+	'@cf/meta/llama-3.3-70b-instruct-fp8-fast',
+	'@cf/meta/llama-3-8b-instruct',
+	'@cf/meta/llama-3.2-11b-vision-instruct',
+	'@hf/nousresearch/hermes-2-pro-mistral-7b',
+	'@hf/thebloke/deepseek-coder-6.7b-instruct-awq',
+	'@cf/deepseek-ai/deepseek-r1-distill-qwen-32b',
+];
+
+// Reasoning models: they open every reply with a <think> block
+const REASONING_MODELS = [
+	'@cf/deepseek-ai/deepseek-r1-distill-qwen-32b',
+	'@cf/qwen/qwq-32b',
+	'@cf/qwen/qwen3-30b-a3b-fp8',
+];
+
 // Category mappings based on tasks
 const TASK_TO_CATEGORY_MAP = {
 	'Text Generation': ['chat', 'completion'],
@@ -215,7 +244,17 @@ function getContextWindow(model) {
  */
 function getCapabilities(model) {
 	const task = model.task?.name || 'Unknown';
-	return TASK_TO_CAPABILITY_MAP[task] || [];
+	const capabilities = [...(TASK_TO_CAPABILITY_MAP[task] || [])];
+	if (FUNCTION_CALLING_MODELS.includes(model.name) || model.properties?.function_calling) {
+		capabilities.push('function-calling');
+	}
+	if (JSON_MODE_MODELS.includes(model.name) || model.properties?.json_mode) {
+		capabilities.push('json-mode');
+	}
+	if (REASONING_MODELS.includes(model.name) || model.properties?.reasoning) {
+		capabilities.push('reasoning');
+	}
+	return capabilities;
 }
 
 /**
@@ -308,6 +347,8 @@ function generateModelsFile(processedData) {
 // Auto-generated on: ${timestamp}
 // To update: npm run update-models
 
+import { PermissionError } from './errors.js';
+
 // === CONTEXT WINDOW MAPPING ===
 export const MODEL_CONTEXT_WINDOWS = ${JSON.stringify(modelContextWindows, null, '\t')};
 
@@ -469,41 +510,137 @@ export const isOSSModel = (model) => {
 	return model === '@cf/openai/gpt-oss-120b' || model === '@cf/openai/gpt-oss-20b';
 };
 
+// Sampling parameters most Workers AI text-generation models take
+const DEFAULT_SAMPLING_PARAMETERS = [
+	'temperature',
+	'top_p',
+	'top_k',
+	'seed',
+	'frequency_penalty',
+	'presence_penalty',
+	'repetition_penalty',
+];
+
+// Models whose input schema takes fewer sampling parameters than the default set
+const MODEL_SAMPLING_PARAMETERS = {
+	// OSS models take a Responses-style request without the extended sampling parameters
+	'@cf/openai/gpt-oss-120b': ['temperature', 'top_p'],
+	'@cf/openai/gpt-oss-20b': ['temperature', 'top_p'],
+	// The safety classifier only takes a temperature
+	'@cf/meta/llama-guard-3-8b': ['temperature'],
+};
+
+/**
+ * Get the sampling parameters a text-generation model takes, by their Workers AI names.
+ * @param {string} model - The Cloudflare model path
+ * @returns {Array<string>}
+ */
+export const getSamplingParameters = model =>
+	Object.hasOwn(MODEL_SAMPLING_PARAMETERS, model) ? MODEL_SAMPLING_PARAMETERS[model] : DEFAULT_SAMPLING_PARAMETERS;
+
+/**
+ * Check whether a per-key model policy permits a Cloudflare model.
+ * Policy entries match a model path exactly, or by prefix when they end in '*' (e.g. '@cf/meta/*').
+ * @param {string} model - The Cloudflare model path
+ * @param {Object|null} [policy] - Per-key model policy
+ * @param {Array<string>|null} [policy.allowedModels] - If set, only these models may be used
+ * @param {Array<string>} [policy.blockedModels] - Models that may never be used
+ * @returns {boolean}
+ */
+export const isModelAllowed = (model, policy) => {
+	if (!policy) {
+		return true;
+	}
+	const matches = pattern => pattern === model || (pattern.endsWith('*') && model.startsWith(pattern.slice(0, -1)));
+	if (policy.blockedModels?.some(matches)) {
+		return false;
+	}
+	if (Array.isArray(policy.allowedModels)) {
+		return policy.allowedModels.some(matches);
+	}
+	return true;
+};
+
+/**
+ * Throw a 403 unless the per-key model policy permits the model.
+ * @param {string} model - The Cloudflare model path
+ * @param {Object|null} [policy] - Per-key model policy (see isModelAllowed)
+ * @param {string} [requestedModel] - The name the client asked for, used in the error message
+ * @returns {string} The model, for chaining
+ * @throws {PermissionError} If the model is disallowed
+ */
+export const assertModelAllowed = (model, policy, requestedModel = model) => {
+	if (!isModelAllowed(model, policy)) {
+		const resolved = requestedModel !== model ? \` (resolves to \${model})\` : '';
+		throw new PermissionError(\`Model \${requestedModel}\${resolved} is not allowed for this API key\`);
+	}
+	return model;
+};
+
+/**
+ * Look up a model name in an alias table, ignoring inherited keys such as "constructor" or "__proto__".
+ * @param {Object|null|undefined} aliases - Table of model names to Cloudflare model paths
+ * @param {string|undefined} name - The model name to look up
+ * @returns {string|undefined} The aliased model path, if the table has its own entry for the name
+ */
+export const lookupModelAlias = (aliases, name) =>
+	aliases && typeof name === 'string' && Object.hasOwn(aliases, name) ? aliases[name] : undefined;
+
 /**
  * Resolve a requested model name to a Cloudflare model path.
- * Handles OpenAI model name mapping, direct Cloudflare model names, and env-based overrides.
+ * Handles per-key alias overrides, OpenAI model name mapping, direct Cloudflare model names, and env-based overrides.
  * @param {string} category - The model category key from MODEL_CATEGORIES (e.g. 'chat', 'completion')
  * @param {string|undefined} requestedModel - The model name from the request
  * @param {Object} [envMapper={}] - Optional env.MODEL_MAPPER for backward-compatible overrides
+ * @param {Object|null} [policy=null] - Optional per-key model policy ({ allowedModels, blockedModels, aliases })
  * @returns {string} The resolved Cloudflare model path
  * @throws {Error} If the model is not supported
+ * @throws {PermissionError} If the caller's policy does not allow the model
  */
-export const resolveModel = (category, requestedModel, envMapper = {}) => {
+export const resolveModel = (category, requestedModel, envMapper = {}, policy = null) => {
 	const supportedModels = MODEL_CATEGORIES[category];
 	if (!supportedModels) {
 		throw new Error(\`Unknown model category: \${category}\`);
 	}
 
-	// No model specified — use default
+	// No model specified — use default, or the first model the policy allows
 	if (!requestedModel) {
-		return DEFAULT_MODELS[category];
+		const defaultModel = DEFAULT_MODELS[category];
+		if (isModelAllowed(defaultModel, policy)) {
+			return defaultModel;
+		}
+		const fallback = supportedModels.find(model => isModelAllowed(model, policy));
+		if (!fallback) {
+			throw new PermissionError(\`This API key is not allowed to use any \${category} model\`);
+		}
+		return fallback;
+	}
+
+	// Per-key alias table takes precedence over the global mapping
+	const keyAlias = lookupModelAlias(policy?.aliases, requestedModel);
+	if (keyAlias) {
+		if (!supportedModels.includes(keyAlias)) {
+			throw new Error(\`Model alias \${requestedModel} points to unsupported \${category} model: \${keyAlias}\`);
+		}
+		return assertModelAllowed(keyAlias, policy, requestedModel);
 	}
 
 	// OpenAI model name mapping
-	if (MODEL_MAPPING[requestedModel]) {
-		return MODEL_MAPPING[requestedModel];
+	const mappedModel = lookupModelAlias(MODEL_MAPPING, requestedModel);
+	if (mappedModel) {
+		return assertModelAllowed(mappedModel, policy, requestedModel);
 	}
 
 	// Direct Cloudflare model name
 	if (supportedModels.includes(requestedModel)) {
-		return requestedModel;
+		return assertModelAllowed(requestedModel, policy);
 	}
 
 	// Env-based mapper fallback (used by completion handler for backward compat)
-	if (envMapper && envMapper[requestedModel]) {
-		const mapped = envMapper[requestedModel];
+	const mapped = lookupModelAlias(envMapper, requestedModel);
+	if (mapped) {
 		if (supportedModels.includes(mapped)) {
-			return mapped;
+			return assertModelAllowed(mapped, policy, requestedModel);
 		}
 	}
 
@@ -0,0 +1,260 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+	createKeyHandler,
+	listKeysHandler,
+	getKeyHandler,
+	updateKeyHandler,
+	rotateKeyHandler,
+	revokeKeyHandler,
+} from '../../routes/admin';
+import { authenticate, authenticateAdmin } from '../../utils/auth';
+
+// In-memory stand-in for the api_keys table, covering the statements used by utils/apiKeys.js
+const createMockDB = () => {
+	const rows = [];
+	const execute = (sql, args) => {
+		if (sql.startsWith('INSERT INTO api_keys')) {
+			const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+			rows.push(Object.fromEntries(columns.map((column, i) => [column, args[i]])));
+			return null;
+		}
+		if (sql.includes('previous_key_hash = CASE')) {
+			const [previousExpiresAt, keyHash, keyPrefix, id] = args;
+			const row = rows.find(r => r.id === id);
+			row.previous_key_hash = previousExpiresAt ? row.key_hash : null;
+			row.previous_key_expires_at = previousExpiresAt;
+			row.key_hash = keyHash;
+			row.key_prefix = keyPrefix;
+			return null;
+		}
+		if (sql.includes('SET enabled = 0')) {
+			const row = rows.find(r => r.id === args[1]);
+			Object.assign(row, { enabled: 0, revoked_at: args[0], previous_key_hash: null, previous_key_expires_at: null });
+			return null;
+		}
+		if (sql.startsWith('UPDATE api_keys SET')) {
+			const columns = sql.match(/SET (.+) WHERE/)[1].split(', ').map(part => part.split(' = ')[0]);
+			const row = rows.find(r => r.id === args[columns.length]);
+			columns.forEach((column, i) => (row[column] = args[i]));
+			return null;
+		}
+		if (sql.includes('WHERE key_hash')) {
+			return rows.find(r => r.key_hash === args[0] || r.previous_key_hash === args[0]) || null;
+		}
+		if (sql.includes('WHERE id')) {
+			return rows.find(r => r.id === args[0]) || null;
+		}
+		return rows;
+	};
+
+	return {
+		rows,
+		prepare: sql => ({
+			bind: (...args) => ({
+				first: async () => execute(sql, args),
+				run: async () => ({ success: true, result: execute(sql, args) }),
+			}),
+			all: async () => ({ results: execute(sql, []) }),
+		}),
+	};
+};
+
+const createMockRequest = (body, params = {}, token = 'admin-secret') => ({
+	method: 'POST',
+	url: 'http://localhost:8787/admin/keys',
+	params,
+	json: () => Promise.resolve(body),
+	headers: new Headers({
+		'Authorization': `Bearer ${token}`,
+		'Content-Type': 'application/json',
+	}),
+});
+
+describe('Admin Key API', () => {
+	let mockEnv;
+
+	beforeEach(() => {
+		mockEnv = { ADMIN_TOKEN: 'admin-secret', ACCESS_TOKEN: 'client-token', DB: createMockDB() };
+	});
+
+	it('should require the admin token', async () => {
+		expect(authenticateAdmin(createMockRequest({}), mockEnv)).toBeUndefined();
+
+		const clientKey = authenticateAdmin(createMockRequest({}, {}, 'client-token'), mockEnv);
+		expect(clientKey.status).toBe(403);
+
+		const disabled = authenticateAdmin(createMockRequest({}), { ...mockEnv, ADMIN_TOKEN: undefined });
+		expect(disabled.status).toBe(403);
+	});
+
+	it('should create a key and show the secret once', async () => {
+		const response = await createKeyHandler(createMockRequest({ name: 'ci-bot', scopes: ['chat'] }), mockEnv);
+		const result = await response.json();
+
+		expect(response.status).toBe(201);
+		expect(result.key).toMatch(/^sk-gw-[0-9a-f]{48}$/);
+		expect(result.scopes).toEqual(['chat']);
+		expect(mockEnv.DB.rows[0].key_hash).not.toBe(result.key);
+
+		const list = await (await listKeysHandler(createMockRequest(), mockEnv)).json();
+		expect(list.data).toHaveLength(1);
+		expect(list.data[0].key).toBeUndefined();
+		expect(list.data[0]).toHaveProperty('last_used_at');
+	});
+
+	it('should validate scopes and expiry', async () => {
+		const badScope = await createKeyHandler(createMockRequest({ name: 'x', scopes: ['admin'] }), mockEnv);
+		expect(badScope.status).toBe(400);
+
+		const pastExpiry = await createKeyHandler(
+			createMockRequest({ name: 'x', expires_at: '2000-01-01T00:00:00Z' }),
+			mockEnv,
+		);
+		expect(pastExpiry.status).toBe(400);
+	});
+
+	it('should accept both secrets during the rotation grace period', async () => {
+		const created = await (await createKeyHandler(createMockRequest({ name: 'svc' }), mockEnv)).json();
+		const rotated = await (
+			await rotateKeyHandler(createMockRequest({ grace_period_seconds: 600 }, { id: created.id }), mockEnv)
+		).json();
+
+		expect(rotated.key).not.toBe(created.key);
+		expect(rotated.previous_key_expires_at).not.toBeNull();
+
+		for (const secret of [created.key, rotated.key]) {
+			const request = createMockRequest({}, {}, secret);
+			expect(await authenticate(request, mockEnv, { waitUntil: vi.fn() })).toBeUndefined();
+			expect(request.principal.id).toBe(created.id);
+		}
+	});
+
+	it('should reject the old secret after rotating without a grace period', async () => {
+		const created = await (await createKeyHandler(createMockRequest({ name: 'svc' }), mockEnv)).json();
+		await rotateKeyHandler(createMockRequest({ grace_period_seconds: 0 }, { id: created.id }), mockEnv);
+
+		const response = await authenticate(createMockRequest({}, {}, created.key), mockEnv, {});
+		expect(response.status).toBe(401);
+	});
+
+	it('should revoke a key immediately', async () => {
+		const created = await (await createKeyHandler(createMockRequest({ name: 'svc' }), mockEnv)).json();
+		const rotated = await (await rotateKeyHandler(createMockRequest({}, { id: created.id }), mockEnv)).json();
+
+		const response = await revokeKeyHandler(createMockRequest({}, { id: created.id }), mockEnv);
+		const result = await response.json();
+		expect(result.enabled).toBe(false);
+		expect(result.revoked_at).not.toBeNull();
+
+		for (const secret of [created.key, rotated.key]) {
+			const denied = await authenticate(createMockRequest({}, {}, secret), mockEnv, {});
+			expect(denied.status).toBe(401);
+		}
+	});
+
+	it('should store and update a key model policy', async () => {
+		const created = await (
+			await createKeyHandler(
+				createMockRequest({
+					name: 'intern-sandbox',
+					model_policy: { aliases: { 'gpt-4': '@cf/meta/llama-3.2-3b-instruct' } },
+				}),
+				mockEnv,
+			)
+		).json();
+		expect(created.model_policy.aliases['gpt-4']).toBe('@cf/meta/llama-3.2-3b-instruct');
+		expect(created.model_policy.allowed_models).toBeNull();
+
+		const response = await updateKeyHandler(
+			createMockRequest(
+				{ model_policy: { blocked_models: ['@cf/openai/gpt-oss-120b'] } },
+				{ id: created.id },
+			),
+			mockEnv,
+		);
+		expect(response.status).toBe(200);
+
+		const request = createMockRequest({}, {}, created.key);
+		await authenticate(request, mockEnv, {});
+		expect(request.principal.modelPolicy.blockedModels).toEqual(['@cf/openai/gpt-oss-120b']);
+		expect(request.principal.modelPolicy.aliases).toEqual({});
+	});
+
+	it('should store per-key rate limits and reject unknown tiers', async () => {
+		const created = await (
+			await createKeyHandler(createMockRequest({ name: 'batch', rate_limits: { tier: 'pro' } }), mockEnv)
+		).json();
+		expect(created.rate_limits).toEqual({
+			tier: 'pro',
+			requests_per_minute: null,
+			request_burst: null,
+			tokens_per_minute: null,
+			tokens_per_day: null,
+			max_concurrent_requests: null,
+		});
+
+		await updateKeyHandler(
+			createMockRequest({ rate_limits: { tier: 'free', requests_per_minute: 5, tokens_per_day: 1000 } }, { id: created.id }),
+			mockEnv,
+		);
+		const request = createMockRequest({}, {}, created.key);
+		await authenticate(request, mockEnv, {});
+		expect(request.principal.rateLimits).toEqual({
+			tier: 'free',
+			requestsPerMinute: 5,
+			requestBurst: null,
+			tokensPerMinute: null,
+			tokensPerDay: 1000,
+			maxConcurrentRequests: null,
+		});
+
+		const badTier = await createKeyHandler(createMockRequest({ name: 'x', rate_limits: { tier: 'gold' } }), mockEnv);
+		expect(badTier.status).toBe(400);
+	});
+
+	it('should store per-key budgets and validate the soft limit', async () => {
+		const created = await (
+			await createKeyHandler(
+				createMockRequest({ name: 'capped', budget: { tokens_per_day: 1000.5, neurons_per_month: 50 } }),
+				mockEnv,
+			)
+		).json();
+		expect(created.budget).toEqual({
+			tokens_per_day: 1000,
+			tokens_per_month: null,
+			neurons_per_day: null,
+			neurons_per_month: 50,
+			soft_limit: null,
+		});
+
+		await updateKeyHandler(
+			createMockRequest({ budget: { tokens_per_month: 5000, soft_limit: 0.5 } }, { id: created.id }),
+			mockEnv,
+		);
+		const request = createMockRequest({}, {}, created.key);
+		await authenticate(request, mockEnv, {});
+		expect(request.principal.budget).toEqual({
+			tokensPerDay: null,
+			tokensPerMonth: 5000,
+			neuronsPerDay: null,
+			neuronsPerMonth: null,
+			softLimit: 0.5,
+		});
+
+		const badSoftLimit = await createKeyHandler(createMockRequest({ name: 'x', budget: { soft_limit: 2 } }), mockEnv);
+		expect(badSoftLimit.status).toBe(400);
+	});
+
+	it('should reject aliases to unknown models', async () => {
+		const response = await createKeyHandler(
+			createMockRequest({ name: 'x', model_policy: { aliases: { 'gpt-4': 'not-a-model' } } }),
+			mockEnv,
+		);
+		expect(response.status).toBe(400);
+	});
+
+	it('should return 404 for unknown keys', async () => {
+		const response = await getKeyHandler(createMockRequest({}, { id: 'key_missing' }), mockEnv);
+		expect(response.status).toBe(404);
+	});
+});
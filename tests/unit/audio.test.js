@@ -287,6 +287,19 @@ describe('Audio Routes', () => {
 			expect(response.status).toBe(400);
 		});
 
+		it('should not resolve model names inherited from Object.prototype', async () => {
+			const mockRequest = createMockRequest({ 'Content-Type': 'application/json' }, null, {
+				model: 'constructor',
+				input: 'Hello, world!',
+				voice: 'alloy',
+			});
+
+			const response = await speechHandler({ ...mockRequest, principal: { modelPolicy: { aliases: {} } } }, mockEnv);
+
+			expect((await response.json()).error.message).toMatch(/^Invalid tts model: constructor\./);
+			expect(mockEnv.AI.run).not.toHaveBeenCalled();
+		});
+
 		it('should handle invalid voice error', async () => {
 			const mockRequest = createMockRequest({ 'Content-Type': 'application/json' }, null, {
 				model: 'tts-1',
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { authenticate, requireScope, extractToken, createSignedToken } from '../../utils/auth';
+import { hashApiKey } from '../../utils/apiKeys';
+import { signedTokenHandler } from '../../routes/auth';
+
+// Minimal D1 mock: first() returns the row whose key_hash (or, for lookups by id, id) matches the bound value
+const createMockDB = rows => {
+	const run = vi.fn().mockResolvedValue({ success: true });
+	return {
+		run,
+		prepare: vi.fn(sql => ({
+			bind: (...args) => ({
+				first: () =>
+					Promise.resolve(
+						rows.find(row => (sql.includes('key_hash') ? row.key_hash : row.id) === args[0]) || null,
+					),
+				run,
+			}),
+		})),
+	};
+};
+
+const createMockRequest = (headers = {}, method = 'POST', url = 'http://localhost:8787/v1/chat/completions') => ({
+	method,
+	url,
+	headers: new Headers(headers),
+});
+
+const createKeyRow = async (secret, overrides = {}) => ({
+	id: 'key_1',
+	name: 'ci-bot',
+	key_hash: await hashApiKey(secret),
+	key_prefix: secret.slice(0, 10),
+	scopes: '["chat","embeddings"]',
+	enabled: 1,
+	created_at: '2026-01-01T00:00:00.000Z',
+	expires_at: null,
+	last_used_at: null,
+	...overrides,
+});
+
+describe('Authentication', () => {
+	let ctx;
+
+	beforeEach(() => {
+		ctx = { waitUntil: vi.fn() };
+	});
+
+	it('should extract bearer tokens', () => {
+		expect(extractToken('Bearer abc')).toBe('abc');
+		expect(extractToken('Basic abc')).toBeNull();
+		expect(extractToken(null)).toBeNull();
+	});
+
+	it('should reject requests without a key', async () => {
+		const response = await authenticate(createMockRequest(), { ACCESS_TOKEN: 'test-token' }, ctx);
+		const result = await response.json();
+
+		expect(response.status).toBe(401);
+		expect(result.error.type).toBe('authentication_error');
+	});
+
+	it('should accept the legacy ACCESS_TOKEN with all scopes', async () => {
+		const request = createMockRequest({ Authorization: 'Bearer test-token' });
+		const response = await authenticate(request, { ACCESS_TOKEN: 'test-token' }, ctx);
+
+		expect(response).toBeUndefined();
+		expect(request.principal.legacy).toBe(true);
+		expect(requireScope('audio')(request)).toBeUndefined();
+	});
+
+	it('should resolve a registered key to a principal', async () => {
+		const env = { DB: createMockDB([await createKeyRow('sk-gw-valid')]) };
+		const request = createMockRequest({ Authorization: 'Bearer sk-gw-valid' });
+
+		const response = await authenticate(request, env, ctx);
+
+		expect(response).toBeUndefined();
+		expect(request.principal).toMatchObject({ id: 'key_1', name: 'ci-bot', scopes: ['chat', 'embeddings'] });
+		expect(ctx.waitUntil).toHaveBeenCalled();
+	});
+
+	it('should reject unknown keys', async () => {
+		const env = { ACCESS_TOKEN: 'test-token', DB: createMockDB([]) };
+		const response = await authenticate(createMockRequest({ Authorization: 'Bearer sk-gw-nope' }), env, ctx);
+
+		expect(response.status).toBe(401);
+	});
+
+	it('should reject disabled and expired keys', async () => {
+		const env = {
+			DB: createMockDB([
+				await createKeyRow('sk-gw-disabled', { id: 'key_2', enabled: 0 }),
+				await createKeyRow('sk-gw-expired', { id: 'key_3', expires_at: '2020-01-01T00:00:00.000Z' }),
+			]),
+		};
+
+		const disabled = await authenticate(createMockRequest({ Authorization: 'Bearer sk-gw-disabled' }), env, ctx);
+		const expired = await authenticate(createMockRequest({ Authorization: 'Bearer sk-gw-expired' }), env, ctx);
+
+		expect(disabled.status).toBe(401);
+		expect(expired.status).toBe(401);
+		expect((await expired.json()).error.message).toContain('expired');
+	});
+
+	it('should return 403 when the key lacks the route scope', async () => {
+		const env = { DB: createMockDB([await createKeyRow('sk-gw-valid')]) };
+		const request = createMockRequest({ Authorization: 'Bearer sk-gw-valid' });
+		await authenticate(request, env, ctx);
+
+		expect(requireScope('chat')(request)).toBeUndefined();
+
+		const response = requireScope('images')(request);
+		const result = await response.json();
+		expect(response.status).toBe(403);
+		expect(result.error.type).toBe('permission_error');
+	});
+
+	it('should accept keys in the api-key and x-api-key headers', async () => {
+		const env = { DB: createMockDB([await createKeyRow('sk-gw-valid')]) };
+
+		for (const header of ['api-key', 'x-api-key']) {
+			const request = createMockRequest({ [header]: 'sk-gw-valid' });
+			expect(await authenticate(request, env, ctx)).toBeUndefined();
+			expect(request.principal.id).toBe('key_1');
+		}
+
+		const disabled = { DB: createMockDB([await createKeyRow('sk-gw-valid', { enabled: 0 })]) };
+		expect((await authenticate(createMockRequest({ 'x-api-key': 'sk-gw-valid' }), disabled, ctx)).status).toBe(401);
+	});
+
+	describe('signed query-string tokens', () => {
+		const usageUrl = 'http://localhost:8787/v1/usage';
+		let env;
+
+		beforeEach(async () => {
+			env = { SIGNED_TOKEN_SECRET: 'signing-secret', DB: createMockDB([await createKeyRow('sk-gw-valid')]) };
+		});
+
+		const issue = async body => {
+			const request = {
+				...createMockRequest({ 'Content-Type': 'application/json' }),
+				principal: { id: 'key_1', scopes: ['chat'] },
+				json: () => Promise.resolve(body),
+			};
+			return (await signedTokenHandler(request, env)).json();
+		};
+
+		it('should authenticate GET requests as the issuing key', async () => {
+			const { token, expires_at } = await issue({ expires_in: 60, path: '/v1/usage' });
+			expect(expires_at - Date.now() / 1000).toBeLessThanOrEqual(60);
+
+			const request = createMockRequest({}, 'GET', `${usageUrl}?token=${token}`);
+			expect(await authenticate(request, env, ctx)).toBeUndefined();
+			expect(request.principal.id).toBe('key_1');
+		});
+
+		it('should only be accepted on GET requests and on their path', async () => {
+			const { token } = await issue({ path: '/v1/usage' });
+
+			const post = createMockRequest({}, 'POST', `${usageUrl}?token=${token}`);
+			expect((await authenticate(post, env, ctx)).status).toBe(401);
+
+			const otherPath = createMockRequest({}, 'GET', `http://localhost:8787/v1/models?token=${token}`);
+			expect((await authenticate(otherPath, env, ctx)).status).toBe(401);
+		});
+
+		it('should reject expired, forged and revoked tokens', async () => {
+			const expired = await createSignedToken({ id: 'key_1' }, env, { ttlSeconds: -1 });
+			const forged = await createSignedToken({ id: 'key_1' }, { SIGNED_TOKEN_SECRET: 'other-secret' });
+			const { token } = await issue({});
+			const revoked = { ...env, DB: createMockDB([await createKeyRow('sk-gw-valid', { enabled: 0 })]) };
+
+			const get = (value, environment = env) =>
+				authenticate(createMockRequest({}, 'GET', `${usageUrl}?token=${value}`), environment, ctx);
+
+			expect((await (await get(expired.token)).json()).error.message).toContain('expired');
+			expect((await get(forged.token)).status).toBe(401);
+			expect((await get('not-a-token')).status).toBe(401);
+			expect((await get(token, revoked)).status).toBe(401);
+		});
+
+		it('should refuse to issue tokens without a signing secret or beyond the maximum lifetime', async () => {
+			const request = { ...createMockRequest(), principal: { id: 'key_1' } };
+			expect((await signedTokenHandler(request, {})).status).toBe(403);
+
+			const tooLong = {
+				...createMockRequest({ 'Content-Type': 'application/json' }),
+				principal: { id: 'key_1' },
+				json: () => Promise.resolve({ expires_in: 86400 }),
+			};
+			expect((await signedTokenHandler(tooLong, env)).status).toBe(400);
+		});
+	});
+});
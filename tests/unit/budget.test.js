@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { enforceBudget, estimateCost, withBudgetWarning } from '../../utils/budget';
+import { checkUsage, reportUsage } from '../../utils/usage';
+import { imageGenerationHandler } from '../../routes/image';
+
+// In-memory stand-in for the usage_budgets table, covering the statements used by utils/budget.js
+const createMockDB = () => {
+	const rows = new Map();
+	const statement = sql => ({
+		bind: (...args) => ({
+			sql,
+			args,
+			all: async () => ({
+				results: [...rows.values()].filter(row => row.key_id === args[0] && args.slice(1).includes(row.period)),
+			}),
+		}),
+	});
+
+	return {
+		rows,
+		prepare: vi.fn(statement),
+		batch: vi.fn(async statements => {
+			for (const { args } of statements) {
+				const [keyId, period, tokens, neurons] = args;
+				const row = rows.get(`${keyId}:${period}`) || { key_id: keyId, period, tokens: 0, neurons: 0 };
+				rows.set(`${keyId}:${period}`, { ...row, tokens: row.tokens + tokens, neurons: row.neurons + neurons });
+			}
+		}),
+	};
+};
+
+const createMockRequest = (budget, body = {}) => ({
+	method: 'POST',
+	url: 'http://localhost:8787/v1/chat/completions',
+	headers: new Headers({ 'Content-Type': 'application/json' }),
+	json: () => Promise.resolve(body),
+	principal: { id: 'key_1', scopes: ['*'], modelPolicy: {}, budget },
+});
+
+const CHAT_MODEL = '@cf/meta/llama-3.2-3b-instruct';
+
+describe('Budgets', () => {
+	let mockEnv;
+	let ctx;
+
+	beforeEach(() => {
+		mockEnv = { DB: createMockDB() };
+		ctx = { waitUntil: vi.fn() };
+	});
+
+	const settle = () => Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+
+	const spend = async (budget, usage) => {
+		const request = createMockRequest(budget);
+		enforceBudget(request, mockEnv, ctx);
+		await checkUsage(request, { model: usage.model, promptTokens: usage.promptTokens });
+		reportUsage(request, usage);
+		await settle();
+		return request;
+	};
+
+	it('should reject a key with insufficient_quota once its daily token budget is spent', async () => {
+		const budget = { tokensPerDay: 100 };
+		await spend(budget, { model: CHAT_MODEL, promptTokens: 60, completionTokens: 40 });
+
+		const request = createMockRequest(budget);
+		enforceBudget(request, mockEnv, ctx);
+		const error = await checkUsage(request, { model: CHAT_MODEL, promptTokens: 10 }).catch(e => e);
+
+		expect(error.status).toBe(429);
+		expect(error.type).toBe('insufficient_quota');
+		expect(error.code).toBe('insufficient_quota');
+		expect(error.message).toContain('daily token budget');
+	});
+
+	it('should count spend towards both the day and the month', async () => {
+		await spend({ tokensPerMonth: 1000 }, { model: CHAT_MODEL, promptTokens: 10, completionTokens: 5 });
+
+		const periods = [...mockEnv.DB.rows.values()].map(row => row.period);
+		expect(periods).toHaveLength(2);
+		expect(periods.some(period => /^\d{4}-\d{2}-\d{2}$/.test(period))).toBe(true);
+		expect(periods.some(period => /^\d{4}-\d{2}$/.test(period))).toBe(true);
+		expect([...mockEnv.DB.rows.values()].every(row => row.tokens === 15)).toBe(true);
+	});
+
+	it('should add a warning header past the soft limit', async () => {
+		const budget = { tokensPerDay: 100, softLimit: 0.5 };
+		await spend(budget, { model: CHAT_MODEL, promptTokens: 60 });
+
+		const request = await spend(budget, { model: CHAT_MODEL, promptTokens: 1 });
+		const response = withBudgetWarning(new Response('ok'), request);
+
+		expect(response.headers.get('x-budget-warning')).toBe('60% of the daily token budget used');
+		expect(response.headers.get('Access-Control-Expose-Headers')).toContain('x-budget-warning');
+	});
+
+	it('should cost per-call models from their price weights', () => {
+		const flux = '@cf/black-forest-labs/flux-1-schnell';
+		expect(estimateCost({ model: flux, calls: 1 })).toEqual({ tokens: 1000, neurons: 100 });
+
+		const env = { MODEL_PRICE_WEIGHTS: JSON.stringify({ [flux]: { tokens_per_call: 2500, neurons_per_call: 7 } }) };
+		expect(estimateCost({ model: flux, calls: 2 }, env)).toEqual({ tokens: 5000, neurons: 14 });
+		expect(estimateCost({ model: CHAT_MODEL, totalTokens: 2000 })).toEqual({ tokens: 2000, neurons: 60 });
+	});
+
+	it('should charge image generations against the budget', async () => {
+		mockEnv.AI = { run: vi.fn().mockResolvedValue({ image: btoa('png') }) };
+		const budget = { neuronsPerDay: 150 };
+
+		const generate = () => {
+			const request = createMockRequest(budget, { prompt: 'a cat', format: 'b64_json' });
+			enforceBudget(request, mockEnv, ctx);
+			return imageGenerationHandler(request, mockEnv, ctx);
+		};
+
+		expect((await generate()).status).toBe(200);
+		await settle();
+		expect((await generate()).status).toBe(200);
+		await settle();
+
+		const response = await generate();
+		expect(response.status).toBe(429);
+		expect((await response.json()).error.code).toBe('insufficient_quota');
+		expect(mockEnv.AI.run).toHaveBeenCalledTimes(2);
+	});
+
+	it('should not cap keys without a budget or without D1', () => {
+		const request = createMockRequest({ tokensPerDay: null });
+		enforceBudget(request, mockEnv, ctx);
+		expect(request.usageHooks).toBeUndefined();
+
+		const unbound = createMockRequest({ tokensPerDay: 100 });
+		enforceBudget(unbound, {}, ctx);
+		expect(unbound.usageHooks).toBeUndefined();
+	});
+});
@@ -132,6 +132,21 @@ describe('Chat Handler', () => {
 		expect(response.status).toBe(400);
 	});
 
+	it('should return 403 when the key policy blocks the model', async () => {
+		const mockRequest = createMockRequest({
+			model: '@cf/openai/gpt-oss-120b',
+			messages: [{ role: 'user', content: 'Hello!' }],
+		});
+		mockRequest.principal = { modelPolicy: { blockedModels: ['@cf/openai/gpt-oss-120b'] } };
+
+		const response = await chatHandler(mockRequest, mockEnv);
+		const result = await response.json();
+
+		expect(response.status).toBe(403);
+		expect(result.error.message).toContain('not allowed');
+		expect(mockEnv.AI.run).not.toHaveBeenCalled();
+	});
+
 	it('should handle temperature parameter', async () => {
 		const mockRequest = createMockRequest({
 			model: '@cf/meta/llama-3.1-8b-instruct-fp8',
@@ -152,4 +167,942 @@ describe('Chat Handler', () => {
 			})
 		);
 	});
+
+	describe('tool calling', () => {
+		const tools = [
+			{
+				type: 'function',
+				function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+			},
+		];
+
+		it('should pass tools natively and return structured tool_calls', async () => {
+			const mockRequest = createMockRequest({
+				model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast',
+				messages: [{ role: 'user', content: 'Weather in Paris and Oslo?' }],
+				tools,
+			});
+
+			mockEnv.AI.run.mockResolvedValue({
+				response: null,
+				tool_calls: [
+					{ name: 'get_weather', arguments: { city: 'Paris' } },
+					{ id: 'call_oslo', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+				],
+			});
+
+			const response = await chatHandler(mockRequest, mockEnv);
+			const result = await response.json();
+
+			const [, params] = mockEnv.AI.run.mock.calls[0];
+			expect(params.tools).toEqual(tools);
+			expect(params.messages).toEqual([{ role: 'user', content: 'Weather in Paris and Oslo?' }]);
+
+			expect(result.choices[0].finish_reason).toBe('tool_calls');
+			expect(result.choices[0].message.tool_calls).toEqual([
+				{ id: expect.stringMatching(/^call_/), type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+				{ id: 'call_oslo', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+			]);
+		});
+
+		it('should fall back to prompting for models without native support', async () => {
+			const mockRequest = createMockRequest({
+				model: '@cf/meta/llama-3.2-3b-instruct',
+				messages: [{ role: 'user', content: 'Weather in Paris?' }],
+				tools,
+			});
+
+			mockEnv.AI.run.mockResolvedValue({
+				response: '{"tool_calls": [{"name": "get_weather", "arguments": {"city": "Paris"}}]}',
+			});
+
+			const response = await chatHandler(mockRequest, mockEnv);
+			const result = await response.json();
+
+			const [, params] = mockEnv.AI.run.mock.calls[0];
+			expect(params.tools).toBeUndefined();
+			expect(params.messages[0].role).toBe('system');
+			expect(params.messages[0].content).toContain('get_weather');
+
+			expect(result.choices[0].message.tool_calls[0].function).toEqual({
+				name: 'get_weather',
+				arguments: '{"city":"Paris"}',
+			});
+		});
+
+		it('should stream native tool calls', async () => {
+			const mockRequest = createMockRequest({
+				model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast',
+				messages: [{ role: 'user', content: 'Weather in Paris?' }],
+				tools,
+				stream: true,
+			});
+
+			mockEnv.AI.run.mockResolvedValue(
+				new ReadableStream({
+					start(controller) {
+						controller.enqueue(
+							new TextEncoder().encode(
+								'data: {"response":"","tool_calls":[{"name":"get_weather","arguments":{"city":"Paris"}}]}\n\n',
+							),
+						);
+						controller.enqueue(new TextEncoder().encode('data: [DONE]\n\n'));
+						controller.close();
+					},
+				}),
+			);
+
+			const response = await chatHandler(mockRequest, mockEnv);
+			const chunks = (await response.text())
+				.split('\n\n')
+				.filter(line => line.startsWith('data: {'))
+				.map(line => JSON.parse(line.slice('data: '.length)));
+
+			const toolCalls = chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls ?? []);
+			expect(toolCalls[0]).toMatchObject({ index: 0, type: 'function', function: { name: 'get_weather' } });
+			expect(toolCalls.map(call => call.function.arguments).join('')).toBe('{"city":"Paris"}');
+			expect(chunks.at(-1).choices[0].finish_reason).toBe('tool_calls');
+		});
+
+		describe('argument validation', () => {
+			const bookingTool = (strict = false) => ({
+				type: 'function',
+				function: {
+					name: 'book_table',
+					strict,
+					parameters: {
+						type: 'object',
+						properties: { party: { type: 'integer', minimum: 1 }, time: { type: 'string' } },
+						required: ['party', 'time'],
+						additionalProperties: false,
+					},
+				},
+			});
+			const request = body =>
+				createMockRequest({
+					model: '@cf/meta/llama-3.2-3b-instruct',
+					messages: [{ role: 'user', content: 'Table for two at 7pm' }],
+					...body,
+				});
+			const callWith = args => ({
+				response: `{"tool_calls": [{"name": "book_table", "arguments": ${JSON.stringify(args)}}]}`,
+			});
+
+			it('should send schema errors back to the model once and return the repaired call', async () => {
+				mockEnv.AI.run
+					.mockResolvedValueOnce(callWith({ party: 'two' }))
+					.mockResolvedValueOnce(callWith({ party: 2, time: '19:00' }));
+
+				const result = await (await chatHandler(request({ tools: [bookingTool()] }), mockEnv)).json();
+
+				const repair = mockEnv.AI.run.mock.calls[1][1].messages.at(-1).content;
+				expect(repair).toContain('book_table: arguments.party: expected integer, got string');
+				expect(repair).toContain('book_table: arguments.time: is required');
+				expect(JSON.parse(result.choices[0].message.tool_calls[0].function.arguments)).toEqual({
+					party: 2,
+					time: '19:00',
+				});
+			});
+
+			it('should return non-strict calls that are still invalid after the repair', async () => {
+				mockEnv.AI.run.mockResolvedValue(callWith({ party: 0, time: '19:00' }));
+
+				const response = await chatHandler(request({ tools: [bookingTool()] }), mockEnv);
+				const result = await response.json();
+
+				expect(mockEnv.AI.run).toHaveBeenCalledTimes(2);
+				expect(response.status).toBe(200);
+				expect(result.choices[0].message.tool_calls[0].function.arguments).toBe('{"party":0,"time":"19:00"}');
+			});
+
+			it('should never return non-conforming arguments for strict functions', async () => {
+				mockEnv.AI.run.mockResolvedValue(callWith({ party: 2, time: '19:00', note: 'window' }));
+
+				const response = await chatHandler(request({ tools: [bookingTool(true)], stream: true }), mockEnv);
+				const result = await response.json();
+
+				expect(mockEnv.AI.run.mock.calls[0][1].stream).toBe(false);
+				expect(response.status).toBe(502);
+				expect(result.error.code).toBe('invalid_tool_arguments');
+				expect(result.error.message).toContain('arguments.note: is not an allowed property');
+			});
+
+			it('should recover arguments from trailing prose without a repair', async () => {
+				mockEnv.AI.run.mockResolvedValue({
+					response: '',
+					tool_calls: [{ name: 'book_table', arguments: '{"party": 2, "time": "19:00"} Booked!' }],
+				});
+
+				const result = await (
+					await chatHandler(
+						request({ model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast', tools: [bookingTool(true)] }),
+						mockEnv,
+					)
+				).json();
+
+				expect(mockEnv.AI.run).toHaveBeenCalledTimes(1);
+				expect(result.choices[0].message.tool_calls[0].function.arguments).toBe('{"party":2,"time":"19:00"}');
+			});
+		});
+
+		describe('tool_choice', () => {
+			const extractTools = [
+				...tools,
+				{
+					type: 'function',
+					function: {
+						name: 'extract_contact',
+						parameters: { type: 'object', properties: { email: { type: 'string' } }, required: ['email'] },
+					},
+				},
+			];
+			const forceExtract = { type: 'function', function: { name: 'extract_contact' } };
+			const request = body =>
+				createMockRequest({
+					model: '@cf/meta/llama-3.2-3b-instruct',
+					messages: [{ role: 'user', content: 'Reach me at ada@example.com' }],
+					tools: extractTools,
+					...body,
+				});
+
+			it('should withdraw the tools for none', async () => {
+				mockEnv.AI.run.mockResolvedValue({ response: 'Noted.' });
+
+				const result = await (await chatHandler(request({ tool_choice: 'none' }), mockEnv)).json();
+
+				const [, params] = mockEnv.AI.run.mock.calls[0];
+				expect(params.messages).toEqual([{ role: 'user', content: 'Reach me at ada@example.com' }]);
+				expect(result.choices[0].message.content).toBe('Noted.');
+			});
+
+			it('should offer only the named function and re-prompt when the model answers in prose', async () => {
+				mockEnv.AI.run
+					.mockResolvedValueOnce({ response: 'Your email is ada@example.com.' })
+					.mockResolvedValueOnce({
+						response: '{"tool_calls": [{"name": "extract_contact", "arguments": {"email": "ada@example.com"}}]}',
+					});
+
+				const result = await (await chatHandler(request({ tool_choice: forceExtract }), mockEnv)).json();
+
+				const [[, first], [, retry]] = mockEnv.AI.run.mock.calls;
+				expect(first.messages[0].content).toContain('You must call the function "extract_contact"');
+				expect(first.messages[0].content).not.toContain('get_weather');
+				expect(retry.messages.at(-1).content).toContain('no function was called');
+				expect(result.choices[0].message.tool_calls[0].function.name).toBe('extract_contact');
+			});
+
+			it('should fail when the retry still misses required arguments', async () => {
+				mockEnv.AI.run.mockResolvedValue({
+					response: '{"tool_calls": [{"name": "extract_contact", "arguments": {}}]}',
+				});
+
+				const response = await chatHandler(request({ tool_choice: forceExtract }), mockEnv);
+				const result = await response.json();
+
+				expect(mockEnv.AI.run).toHaveBeenCalledTimes(2);
+				expect(response.status).toBe(502);
+				expect(result.error.code).toBe('tool_choice_not_satisfied');
+				expect(result.error.message).toContain('extract_contact: arguments.email: is required');
+			});
+
+			it('should check required calls before streaming them', async () => {
+				mockEnv.AI.run.mockResolvedValue({
+					response: '{"tool_calls": [{"name": "get_weather", "arguments": {"city": "Paris"}}]}',
+				});
+
+				const response = await chatHandler(request({ tool_choice: 'required', stream: true }), mockEnv);
+				const chunks = (await response.text())
+					.split('\n\n')
+					.filter(line => line.startsWith('data: {'))
+					.map(line => JSON.parse(line.slice('data: '.length)));
+
+				expect(mockEnv.AI.run.mock.calls[0][1].stream).toBe(false);
+				expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+				expect(chunks[0].choices[0].delta.tool_calls[0].function.name).toBe('get_weather');
+				expect(chunks.at(-1).choices[0].finish_reason).toBe('tool_calls');
+			});
+
+			it('should reject unknown functions and tool_choice without tools', async () => {
+				const unknown = await chatHandler(
+					request({ tool_choice: { type: 'function', function: { name: 'nope' } } }),
+					mockEnv,
+				);
+				const withoutTools = await chatHandler(request({ tools: undefined, tool_choice: 'required' }), mockEnv);
+
+				expect(unknown.status).toBe(400);
+				expect(withoutTools.status).toBe(400);
+				expect(mockEnv.AI.run).not.toHaveBeenCalled();
+			});
+		});
+	});
+
+	describe('response_format', () => {
+		const schema = {
+			type: 'object',
+			properties: { name: { type: 'string' }, age: { type: 'integer' } },
+			required: ['name', 'age'],
+			additionalProperties: false,
+		};
+		const jsonSchema = (strict = true) => ({ type: 'json_schema', json_schema: { name: 'person', schema, strict } });
+		const request = body =>
+			createMockRequest({
+				model: '@cf/meta/llama-3.2-3b-instruct',
+				messages: [{ role: 'user', content: 'Ada Lovelace, 36' }],
+				...body,
+			});
+
+		it('should instruct models without JSON mode and return the JSON alone', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'Sure!\n```json\n{"name": "Ada", "age": 36}\n```' });
+
+			const result = await (await chatHandler(request({ response_format: { type: 'json_object' } }), mockEnv)).json();
+
+			const [, params] = mockEnv.AI.run.mock.calls[0];
+			expect(params.response_format).toBeUndefined();
+			expect(params.messages[0].content).toContain('Respond only with a single valid JSON object');
+			expect(result.choices[0].message).toEqual({ role: 'assistant', content: '{"name":"Ada","age":36}', refusal: null });
+		});
+
+		it('should use native JSON mode where the model supports it', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: { name: 'Ada', age: 36 } });
+
+			const result = await (
+				await chatHandler(
+					request({ model: '@cf/meta/llama-3.3-70b-instruct-fp8-fast', response_format: jsonSchema() }),
+					mockEnv,
+				)
+			).json();
+
+			const [, params] = mockEnv.AI.run.mock.calls[0];
+			expect(params.response_format).toEqual({ type: 'json_schema', json_schema: schema });
+			expect(params.messages).toEqual([{ role: 'user', content: 'Ada Lovelace, 36' }]);
+			expect(JSON.parse(result.choices[0].message.content)).toEqual({ name: 'Ada', age: 36 });
+		});
+
+		it('should repair output that breaks the schema', async () => {
+			mockEnv.AI.run
+				.mockResolvedValueOnce({ response: '{"name": "Ada", "age": "36"}' })
+				.mockResolvedValueOnce({ response: '{"name": "Ada", "age": 36}' });
+
+			const response = await chatHandler(request({ response_format: jsonSchema(), stream: true }), mockEnv);
+			const chunks = (await response.text())
+				.split('\n\n')
+				.filter(line => line.startsWith('data: {'))
+				.map(line => JSON.parse(line.slice('data: '.length)));
+
+			expect(mockEnv.AI.run.mock.calls[1][1].messages.at(-1).content).toContain('$.age: expected integer, got string');
+			expect(chunks[0].choices[0].delta.content).toBe('{"name":"Ada","age":36}');
+		});
+
+		it('should fail when strict output still breaks the schema', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: '{"name": "Ada"}' });
+
+			const response = await chatHandler(request({ response_format: jsonSchema() }), mockEnv);
+			const result = await response.json();
+
+			expect(mockEnv.AI.run).toHaveBeenCalledTimes(2);
+			expect(response.status).toBe(502);
+			expect(result.error.code).toBe('response_format_not_satisfied');
+
+			mockEnv.AI.run.mockClear();
+			const lenient = await (await chatHandler(request({ response_format: jsonSchema(false) }), mockEnv)).json();
+			expect(lenient.choices[0].message.content).toBe('{"name":"Ada"}');
+		});
+
+		it('should return an answer in prose as a refusal', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: "I can't share personal details." });
+
+			const result = await (await chatHandler(request({ response_format: jsonSchema() }), mockEnv)).json();
+
+			expect(mockEnv.AI.run).toHaveBeenCalledTimes(2);
+			expect(result.choices[0].message).toEqual({
+				role: 'assistant',
+				content: null,
+				refusal: "I can't share personal details.",
+			});
+		});
+
+		it('should reject unsupported formats', async () => {
+			const unknown = await chatHandler(request({ response_format: { type: 'xml' } }), mockEnv);
+			const unnamed = await chatHandler(
+				request({ response_format: { type: 'json_schema', json_schema: { schema } } }),
+				mockEnv,
+			);
+
+			expect(unknown.status).toBe(400);
+			expect(unnamed.status).toBe(400);
+		});
+	});
+
+	describe('sampling parameters', () => {
+		const request = body =>
+			createMockRequest({
+				model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+				messages: [{ role: 'user', content: 'Count to five.' }],
+				...body,
+			});
+
+		it('should pass sampling parameters under their Workers AI names', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: '1 2 3 4 5' });
+
+			const response = await chatHandler(
+				request({
+					temperature: 0,
+					top_p: 0.5,
+					top_k: 20,
+					seed: 7,
+					frequency_penalty: 0.5,
+					presence_penalty: -0.5,
+					repetition_penalty: 1.1,
+					max_completion_tokens: 50,
+				}),
+				mockEnv,
+			);
+			const params = mockEnv.AI.run.mock.calls[0][1];
+
+			expect(params).toMatchObject({
+				temperature: 0,
+				top_p: 0.5,
+				top_k: 20,
+				seed: 7,
+				frequency_penalty: 0.5,
+				presence_penalty: -0.5,
+				repetition_penalty: 1.1,
+				max_tokens: 50,
+			});
+			expect(params).not.toHaveProperty('topP');
+			expect(response.headers.get('x-parameter-warning')).toBeNull();
+		});
+
+		it('should cut the reply at a stop sequence the model ignored', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: '1 2 3\nEND\n4 5' });
+
+			const result = await (await chatHandler(request({ stop: ['END', '###'] }), mockEnv)).json();
+
+			expect(result.choices[0].message.content).toBe('1 2 3\n');
+			expect(result.choices[0].finish_reason).toBe('stop');
+			expect(mockEnv.AI.run.mock.calls[0][1]).not.toHaveProperty('stop');
+		});
+
+		it('should warn about parameters the model does not support', async () => {
+			mockEnv.AI.run.mockResolvedValue({ output: [], response: 'Five.' });
+
+			const response = await chatHandler(
+				request({ model: '@cf/openai/gpt-oss-20b', top_k: 5, logit_bias: { 50256: -100 } }),
+				mockEnv,
+			);
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('x-parameter-warning')).toBe(
+				'top_k is not supported by @cf/openai/gpt-oss-20b and was ignored; ' +
+					'logit_bias is not supported by @cf/openai/gpt-oss-20b and was ignored',
+			);
+			expect(mockEnv.AI.run.mock.calls[0][1]).not.toHaveProperty('top_k');
+		});
+
+		it('should only send the sampling parameters the model takes', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'safe' });
+
+			const response = await chatHandler(
+				request({ model: '@cf/meta/llama-guard-3-8b', temperature: 0, top_p: 0.5, seed: 7 }),
+				mockEnv,
+			);
+			const params = mockEnv.AI.run.mock.calls[0][1];
+
+			expect(params.temperature).toBe(0);
+			expect(params).not.toHaveProperty('top_p');
+			expect(params).not.toHaveProperty('seed');
+			expect(response.headers.get('x-parameter-warning')).toBe(
+				'top_p is not supported by @cf/meta/llama-guard-3-8b and was ignored; ' +
+					'seed is not supported by @cf/meta/llama-guard-3-8b and was ignored',
+			);
+		});
+
+		it('should report length for a reply cut off at max_tokens', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'One, two, three, four, five, six, seven' });
+
+			const result = await (await chatHandler(request({ max_tokens: 10 }), mockEnv)).json();
+
+			expect(result.choices[0].finish_reason).toBe('length');
+		});
+
+		it('should report length for an incomplete OSS response', async () => {
+			mockEnv.AI.run.mockResolvedValue({
+				status: 'incomplete',
+				incomplete_details: { reason: 'max_output_tokens' },
+				output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'One, two' }] }],
+			});
+
+			const result = await (await chatHandler(request({ model: '@cf/openai/gpt-oss-20b' }), mockEnv)).json();
+
+			expect(result.choices[0]).toMatchObject({ message: { content: 'One, two' }, finish_reason: 'length' });
+		});
+
+		it('should reject invalid values', async () => {
+			const penalty = await chatHandler(request({ presence_penalty: 3 }), mockEnv);
+			const stop = await chatHandler(request({ stop: ['a', 'b', 'c', 'd', 'e'] }), mockEnv);
+			const topK = await chatHandler(request({ top_k: 2.5 }), mockEnv);
+
+			expect([penalty.status, stop.status, topK.status]).toEqual([400, 400, 400]);
+		});
+	});
+
+	describe('truncation', () => {
+		const LONG = 'word '.repeat(200);
+		// Leaves 100 tokens of the 128000-token context window for the prompt
+		const request = body =>
+			createMockRequest({ model: '@cf/meta/llama-3.1-8b-instruct-fp8', max_tokens: 127900, ...body });
+
+		it('should reject a prompt that does not fit with the context_length_exceeded code', async () => {
+			const response = await chatHandler(request({ messages: [{ role: 'user', content: LONG }] }), mockEnv);
+			const result = await response.json();
+
+			expect(response.status).toBe(400);
+			expect(result.error).toMatchObject({ code: 'context_length_exceeded', param: 'messages' });
+			expect(result.error.message).toMatch(/maximum context length is 128000 tokens.*\(208 in the messages, 127900/);
+			expect(mockEnv.AI.run).not.toHaveBeenCalled();
+		});
+
+		it('should drop earlier tool calls and their results first with truncation auto', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'Rain.' });
+			const messages = [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: 'What is the weather?' },
+				{
+					role: 'assistant',
+					content: '',
+					tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{}' } }],
+				},
+				{ role: 'tool', tool_call_id: 'call_1', content: LONG },
+				{ role: 'assistant', content: 'Sunny.' },
+				{ role: 'user', content: 'And tomorrow?' },
+			];
+
+			const response = await chatHandler(request({ messages, truncation: 'auto' }), mockEnv);
+
+			expect(response.status).toBe(200);
+			expect(mockEnv.AI.run.mock.calls[0][1].messages).toEqual([
+				messages[0],
+				messages[1],
+				messages[4],
+				messages[5],
+			]);
+		});
+
+		it('should drop tool calls with their results when tools are described in the prompt', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'It is raining in Oslo.' });
+			const tools = [
+				{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } },
+			];
+			const toolCall = id => ({
+				role: 'assistant',
+				content: '',
+				tool_calls: [{ id, type: 'function', function: { name: 'get_weather', arguments: '{}' } }],
+			});
+			const messages = [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: 'What is the weather in Paris?' },
+				toolCall('call_1'),
+				{ role: 'tool', tool_call_id: 'call_1', content: LONG },
+				{ role: 'assistant', content: 'Sunny.' },
+				{ role: 'user', content: 'And in Oslo?' },
+				toolCall('call_2'),
+				{ role: 'tool', tool_call_id: 'call_2', content: 'Rain.' },
+			];
+
+			const response = await chatHandler(
+				request({ model: '@cf/meta/llama-3.2-3b-instruct', max_tokens: 127750, messages, tools, truncation: 'auto' }),
+				mockEnv,
+			);
+
+			expect(response.status).toBe(200);
+			const sent = mockEnv.AI.run.mock.calls[0][1].messages;
+			expect(sent.slice(1).map(message => message.content)).toEqual([
+				'What is the weather in Paris?',
+				'Sunny.',
+				'And in Oslo?',
+				'Function Call: get_weather\nArguments: {}',
+				'Function Result for call_2: Rain.',
+			]);
+		});
+
+		it('should drop the oldest turns and keep system messages and the last turn', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'Four.' });
+			const messages = [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: LONG },
+				{ role: 'assistant', content: 'Noted.' },
+				{ role: 'user', content: 'Two plus two?' },
+			];
+
+			await chatHandler(request({ messages, truncation: 'auto' }), mockEnv);
+
+			expect(mockEnv.AI.run.mock.calls[0][1].messages).toEqual([messages[0], messages[3]]);
+		});
+
+		it('should fail when the last turn alone does not fit, and reject unknown modes', async () => {
+			const tooLong = await chatHandler(
+				request({ messages: [{ role: 'user', content: LONG }], truncation: 'auto' }),
+				mockEnv,
+			);
+			const unknown = await chatHandler(
+				request({ messages: [{ role: 'user', content: 'Hi' }], truncation: 'oldest' }),
+				mockEnv,
+			);
+
+			expect((await tooLong.json()).error.code).toBe('context_length_exceeded');
+			expect(unknown.status).toBe(400);
+		});
+	});
+
+	describe('context_management', () => {
+		const LONG = 'word '.repeat(200);
+		// Six earlier turns of about 210 tokens each, then the question
+		const messages = [
+			{ role: 'system', content: 'Be brief.' },
+			...Array.from({ length: 6 }, (_, turn) => [
+				{ role: 'user', content: `Note ${turn}: ${LONG}` },
+				{ role: 'assistant', content: 'Noted.' },
+			]).flat(),
+			{ role: 'user', content: 'What did I note?' },
+		];
+		const request = body =>
+			createMockRequest({
+				model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+				messages,
+				context_management: { strategy: 'summarize', threshold: 1000 },
+				...body,
+			});
+
+		beforeEach(() => {
+			const store = new Map();
+			mockEnv.CACHE_KV = {
+				get: vi.fn(async key => store.get(key) ?? null),
+				put: vi.fn(async (key, value) => store.set(key, value)),
+			};
+		});
+
+		it('should summarize the oldest turns in a block and report how many', async () => {
+			mockEnv.AI.run.mockResolvedValueOnce({ response: 'The user noted six things.' });
+			mockEnv.AI.run.mockResolvedValueOnce({ response: 'Six notes.' });
+
+			const result = await (await chatHandler(request(), mockEnv)).json();
+
+			const [summaryModel, summaryParams] = mockEnv.AI.run.mock.calls[0];
+			expect(summaryModel).toBe('@cf/meta/llama-3.2-3b-instruct');
+			expect(summaryParams.messages[1].content).toMatch(/^USER: Note 0:/);
+			expect(summaryParams.messages[1].content).not.toMatch(/Note 4:/);
+			expect(mockEnv.AI.run.mock.calls[1][1].messages).toEqual([
+				messages[0],
+				{ role: 'system', content: 'Summary of the earlier conversation:\nThe user noted six things.' },
+				...messages.slice(9),
+			]);
+			expect(result.x_gateway).toEqual({ summarized_turns: 4 });
+			expect(mockEnv.CACHE_KV.put).toHaveBeenCalledWith(
+				expect.stringMatching(/^summary:[0-9a-f]{64}$/),
+				'The user noted six things.',
+				{ expirationTtl: 86400 },
+			);
+		});
+
+		it('should reuse the cached summary of the same turns', async () => {
+			mockEnv.AI.run.mockResolvedValueOnce({ response: 'The user noted six things.' });
+			mockEnv.AI.run.mockResolvedValue({ response: 'Six notes.' });
+
+			await chatHandler(request(), mockEnv);
+			mockEnv.AI.run.mockClear();
+			await chatHandler(request({ messages: [...messages, { role: 'assistant', content: 'Six.' }] }), mockEnv);
+
+			expect(mockEnv.AI.run).toHaveBeenCalledTimes(1);
+			expect(mockEnv.AI.run.mock.calls[0][1].messages[1].content).toContain('The user noted six things.');
+		});
+
+		it('should leave prompts under the threshold alone and send the conversation when summarizing fails', async () => {
+			mockEnv.AI.run.mockRejectedValueOnce(new Error('Model unavailable'));
+			mockEnv.AI.run.mockResolvedValue({ response: 'Six notes.' });
+
+			const failed = await (await chatHandler(request(), mockEnv)).json();
+			const short = await (
+				await chatHandler(request({ messages: [{ role: 'user', content: 'Hi' }] }), mockEnv)
+			).json();
+
+			expect(mockEnv.AI.run.mock.calls[1][1].messages).toEqual(messages);
+			expect([failed.x_gateway, short.x_gateway]).toEqual([{ summarized_turns: 0 }, { summarized_turns: 0 }]);
+		});
+
+		it('should report the summarized turns in a header of streamed responses', async () => {
+			mockEnv.AI.run.mockResolvedValueOnce({ response: 'The user noted six things.' });
+			mockEnv.AI.run.mockResolvedValueOnce(
+				new ReadableStream({
+					start(controller) {
+						controller.enqueue(new TextEncoder().encode('data: {"response":"Six notes."}\n\n'));
+						controller.close();
+					},
+				}),
+			);
+
+			const response = await chatHandler(request({ stream: true }), mockEnv);
+
+			expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+			expect(response.headers.get('x-gateway-summarized-turns')).toBe('4');
+			expect(response.headers.get('Access-Control-Expose-Headers')).toContain('x-gateway-summarized-turns');
+		});
+
+		it('should not summarize with a model the key is not allowed to use', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'Six notes.' });
+			const mockRequest = request();
+			mockRequest.principal = { modelPolicy: { allowedModels: ['@cf/meta/llama-3.1-8b-instruct-fp8'] } };
+
+			const response = await chatHandler(mockRequest, mockEnv);
+
+			expect(mockEnv.AI.run).toHaveBeenCalledTimes(1);
+			expect(mockEnv.AI.run.mock.calls[0][0]).toBe('@cf/meta/llama-3.1-8b-instruct-fp8');
+			expect((await response.json()).x_gateway).toEqual({ summarized_turns: 0 });
+			expect(response.headers.get('x-gateway-summarized-turns')).toBe('0');
+		});
+
+		it('should reject unknown strategies and thresholds', async () => {
+			const strategy = await chatHandler(request({ context_management: { strategy: 'forget' } }), mockEnv);
+			const threshold = await chatHandler(
+				request({ context_management: { strategy: 'summarize', threshold: 0 } }),
+				mockEnv,
+			);
+
+			expect([strategy.status, threshold.status]).toEqual([400, 400]);
+			expect(mockEnv.AI.run).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('n', () => {
+		const request = body =>
+			createMockRequest({
+				model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+				messages: [{ role: 'user', content: 'Name a colour.' }],
+				...body,
+			});
+
+		it('should release the reserved tokens when one of the runs fails', async () => {
+			const hook = { check: vi.fn(), report: vi.fn() };
+			const mockRequest = request({ n: 2 });
+			mockRequest.usageHooks = [hook];
+			mockEnv.AI.run.mockResolvedValueOnce({ response: 'Red' });
+			mockEnv.AI.run.mockRejectedValueOnce(new Error('Upstream unavailable'));
+
+			const response = await chatHandler(mockRequest, mockEnv);
+
+			expect(response.status).toBe(500);
+			expect(hook.check).toHaveBeenCalledWith(expect.objectContaining({ promptTokens: 22 }));
+			expect(hook.report).toHaveBeenCalledTimes(1);
+			expect(hook.report.mock.calls[0][0]).toMatchObject({ promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+		});
+
+		it('should return n choices from concurrent runs with different seeds', async () => {
+			['Red', 'Green', 'Blue'].forEach(colour => mockEnv.AI.run.mockResolvedValueOnce({ response: colour }));
+
+			const result = await (await chatHandler(request({ n: 3, seed: 40 }), mockEnv)).json();
+
+			expect(mockEnv.AI.run.mock.calls.map(([, params]) => params.seed)).toEqual([40, 41, 42]);
+			expect(result.choices.map(choice => [choice.index, choice.message.content])).toEqual([
+				[0, 'Red'],
+				[1, 'Green'],
+				[2, 'Blue'],
+			]);
+			expect(result.usage).toEqual({ prompt_tokens: 33, completion_tokens: 3, total_tokens: 36 });
+		});
+
+		it('should interleave streamed choices under their own index', async () => {
+			const stream = colour =>
+				new ReadableStream({
+					start(controller) {
+						controller.enqueue(new TextEncoder().encode(`data: {"response":"${colour}"}\n\ndata: [DONE]\n\n`));
+						controller.close();
+					},
+				});
+			mockEnv.AI.run.mockResolvedValueOnce(stream('Red')).mockResolvedValueOnce(stream('Blue'));
+
+			const response = await chatHandler(
+				request({ n: 2, stream: true, stream_options: { include_usage: true } }),
+				mockEnv,
+			);
+			const text = await response.text();
+			const chunks = text
+				.split('\n\n')
+				.filter(line => line.startsWith('data: {'))
+				.map(line => JSON.parse(line.slice('data: '.length)));
+
+			const contentOf = index =>
+				chunks
+					.flatMap(chunk => chunk.choices)
+					.filter(choice => choice.index === index)
+					.map(choice => choice.delta.content ?? '')
+					.join('');
+			expect(contentOf(0)).toBe('Red');
+			expect(contentOf(1)).toBe('Blue');
+			expect(chunks.filter(chunk => chunk.choices[0]?.finish_reason === 'stop')).toHaveLength(2);
+			expect(chunks.at(-1).usage).toEqual({ prompt_tokens: 22, completion_tokens: 2, total_tokens: 24 });
+			expect(text.match(/\[DONE\]/g)).toHaveLength(1);
+		});
+
+		it('should reject n above MAX_CHOICES', async () => {
+			mockEnv.MAX_CHOICES = '2';
+			const tooMany = await chatHandler(request({ n: 3 }), mockEnv);
+			const zero = await chatHandler(request({ n: 0 }), mockEnv);
+
+			expect(tooMany.status).toBe(400);
+			expect(zero.status).toBe(400);
+			expect(mockEnv.AI.run).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('stream_options', () => {
+		const request = body =>
+			createMockRequest({
+				model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+				messages: [{ role: 'user', content: 'Hello!' }],
+				...body,
+			});
+
+		it('should end the stream with a usage chunk when include_usage is set', async () => {
+			mockEnv.AI.run.mockResolvedValue(
+				new ReadableStream({
+					start(controller) {
+						controller.enqueue(new TextEncoder().encode('data: {"response":"Hi!"}\n\ndata: [DONE]\n\n'));
+						controller.close();
+					},
+				}),
+			);
+
+			const response = await chatHandler(
+				request({ stream: true, stream_options: { include_usage: true } }),
+				mockEnv,
+			);
+			const chunks = (await response.text())
+				.split('\n\n')
+				.filter(line => line.startsWith('data: {'))
+				.map(line => JSON.parse(line.slice('data: '.length)));
+
+			expect(chunks.at(-1).choices).toEqual([]);
+			expect(chunks.at(-1).usage).toEqual({ prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 });
+		});
+
+		it('should report the usage streamed so far when the client cancels', async () => {
+			const report = vi.fn();
+			const mockRequest = request({ n: 2, stream: true });
+			mockRequest.usageHooks = [{ report }];
+			// Each run sends one piece and then stalls until it is cancelled
+			mockEnv.AI.run.mockImplementation(
+				async () =>
+					new ReadableStream({
+						start(controller) {
+							controller.enqueue(new TextEncoder().encode('data: {"response":"Hello there"}\n\n'));
+						},
+					}),
+			);
+
+			const reader = (await chatHandler(mockRequest, mockEnv)).body.getReader();
+			await reader.read();
+			await reader.cancel();
+
+			expect(report).toHaveBeenCalledTimes(1);
+			expect(report.mock.calls[0][0]).toMatchObject({ promptTokens: 18, completionTokens: 4 });
+		});
+
+		it('should reject stream_options without stream', async () => {
+			const response = await chatHandler(request({ stream_options: { include_usage: true } }), mockEnv);
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('reasoning', () => {
+		const request = body =>
+			createMockRequest({
+				model: '@cf/deepseek-ai/deepseek-r1-distill-qwen-32b',
+				messages: [{ role: 'user', content: 'What is 2 + 2?' }],
+				...body,
+			});
+
+		// Stream each piece as its own Workers AI SSE line and return the parsed chunks
+		const streamChat = async (pieces, body) => {
+			mockEnv.AI.run.mockResolvedValue(
+				new ReadableStream({
+					start(controller) {
+						const encoder = new TextEncoder();
+						for (const response of pieces) {
+							controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response })}\n\n`));
+						}
+						controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+						controller.close();
+					},
+				}),
+			);
+			const response = await chatHandler(request({ ...body, stream: true }), mockEnv);
+			return (await response.text())
+				.split('\n\n')
+				.filter(line => line.startsWith('data: {'))
+				.map(line => JSON.parse(line.slice('data: '.length)).choices[0].delta);
+		};
+		const join = (deltas, field) => deltas.map(delta => delta[field] ?? '').join('');
+
+		it('should return the think block as reasoning_content', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: '<think>\nTwo plus two.\n</think>\n\nThe answer is 4.' });
+
+			const result = await (await chatHandler(request(), mockEnv)).json();
+
+			expect(result.choices[0].message).toEqual({
+				role: 'assistant',
+				content: 'The answer is 4.',
+				reasoning_content: 'Two plus two.',
+			});
+		});
+
+		it('should leave reasoning out when include_reasoning is false or reasoning_effort is none', async () => {
+			mockEnv.AI.run.mockResolvedValue({ response: 'Two plus two.</think>The answer is 4.' });
+
+			const excluded = await (await chatHandler(request({ include_reasoning: false }), mockEnv)).json();
+			const none = await (await chatHandler(request({ reasoning_effort: 'none' }), mockEnv)).json();
+
+			expect(excluded.choices[0].message).toEqual({ role: 'assistant', content: 'The answer is 4.' });
+			expect(none.choices[0].message).toEqual({ role: 'assistant', content: 'The answer is 4.' });
+		});
+
+		it('should stream reasoning as delta.reasoning_content', async () => {
+			const pieces = ['<think>', '\nTwo', ' plus two.', '</th', 'ink>\n\n', 'The answer', ' is 4.'];
+
+			const deltas = await streamChat(pieces);
+			expect(join(deltas, 'reasoning_content')).toBe('Two plus two.');
+			expect(join(deltas, 'content')).toBe('The answer is 4.');
+			expect(deltas.findIndex(delta => delta.content)).toBeGreaterThan(
+				deltas.findIndex(delta => delta.reasoning_content),
+			);
+
+			const hidden = await streamChat(pieces, { include_reasoning: false });
+			expect(join(hidden, 'reasoning_content')).toBe('');
+			expect(join(hidden, 'content')).toBe('The answer is 4.');
+		});
+
+		it('should surface reasoning items from OSS models and forward reasoning_effort', async () => {
+			mockEnv.AI.run.mockResolvedValue({
+				output: [
+					{ type: 'reasoning', content: [{ type: 'reasoning_text', text: 'Simple addition.' }] },
+					{
+						type: 'message',
+						role: 'assistant',
+						content: [{ type: 'output_text', text: 'The answer is 4.' }],
+					},
+				],
+			});
+
+			const result = await (
+				await chatHandler(request({ model: '@cf/openai/gpt-oss-20b', reasoning_effort: 'high' }), mockEnv)
+			).json();
+
+			expect(mockEnv.AI.run.mock.calls[0][1].reasoning).toEqual({ effort: 'high' });
+			expect(result.choices[0].message.content).toBe('The answer is 4.');
+			expect(result.choices[0].message.reasoning_content).toBe('Simple addition.');
+		});
+
+		it('should reject an unknown reasoning_effort', async () => {
+			const response = await chatHandler(request({ reasoning_effort: 'maximum' }), mockEnv);
+			expect(response.status).toBe(400);
+		});
+	});
 });
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { completionHandler } from '../../routes/completion';
+
+const createMockEnv = () => ({
+	AI: {
+		run: vi.fn(),
+	},
+});
+
+const createMockRequest = body => ({
+	json: () => Promise.resolve(body),
+	headers: new Map([['Content-Type', 'application/json']]),
+});
+
+const request = body =>
+	createMockRequest({
+		model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+		prompt: 'Once upon a time',
+		...body,
+	});
+
+describe('Completion Handler', () => {
+	let mockEnv;
+
+	beforeEach(() => {
+		mockEnv = createMockEnv();
+		vi.clearAllMocks();
+	});
+
+	it('should return a single completion', async () => {
+		mockEnv.AI.run.mockResolvedValue({ response: ' there was a fox.' });
+
+		const result = await (await completionHandler(request(), mockEnv)).json();
+
+		expect(result.choices).toEqual([{ index: 0, finish_reason: 'stop', text: ' there was a fox.', logprobs: null }]);
+		expect(result.usage).toEqual({ prompt_tokens: 4, completion_tokens: 5, total_tokens: 9 });
+		expect(mockEnv.AI.run.mock.calls[0][1].seed).toBeUndefined();
+	});
+
+	it('should return n choices with summed usage', async () => {
+		mockEnv.AI.run.mockResolvedValueOnce({ response: ' a fox' }).mockResolvedValueOnce({ response: ' a hare' });
+
+		const result = await (await completionHandler(request({ n: 2, seed: 7 }), mockEnv)).json();
+
+		expect(mockEnv.AI.run.mock.calls.map(([, params]) => params.seed)).toEqual([7, 8]);
+		expect(result.choices.map(choice => [choice.index, choice.text])).toEqual([
+			[0, ' a fox'],
+			[1, ' a hare'],
+		]);
+		expect(result.usage).toEqual({ prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 });
+	});
+
+	it('should stream n choices under their own index', async () => {
+		const stream = text =>
+			new ReadableStream({
+				start(controller) {
+					controller.enqueue(new TextEncoder().encode(`data: {"response":"${text}"}\n\ndata: [DONE]\n\n`));
+					controller.close();
+				},
+			});
+		mockEnv.AI.run.mockResolvedValueOnce(stream(' a fox')).mockResolvedValueOnce(stream(' a hare'));
+
+		const text = await (await completionHandler(request({ n: 2, stream: true }), mockEnv)).text();
+		const chunks = text
+			.split('\n\n')
+			.filter(line => line.startsWith('data: {'))
+			.map(line => JSON.parse(line.slice('data: '.length)).choices[0]);
+
+		expect(chunks.filter(choice => choice.index === 0).map(choice => choice.text)).toEqual([' a fox', '']);
+		expect(chunks.filter(choice => choice.index === 1).map(choice => choice.text)).toEqual([' a hare', '']);
+		expect(text.match(/\[DONE\]/g)).toHaveLength(1);
+	});
+
+	it('should cut text at a stop sequence and warn about logit_bias', async () => {
+		mockEnv.AI.run.mockResolvedValue({ response: ' there was a fox.\nThe end.' });
+
+		const response = await completionHandler(request({ stop: '\n', logit_bias: { 1: 5 } }), mockEnv);
+		const result = await response.json();
+
+		expect(result.choices[0].text).toBe(' there was a fox.');
+		expect(response.headers.get('x-parameter-warning')).toMatch(/^logit_bias is not supported/);
+	});
+
+	it('should report length when the reported usage reaches max_tokens', async () => {
+		mockEnv.AI.run.mockResolvedValue({ response: ' there was a', usage: { completion_tokens: 3 } });
+
+		const result = await (await completionHandler(request({ max_tokens: 3 }), mockEnv)).json();
+
+		expect(result.choices[0].finish_reason).toBe('length');
+	});
+
+	it('should reject n above MAX_CHOICES', async () => {
+		const response = await completionHandler(request({ n: 9 }), mockEnv);
+
+		expect(response.status).toBe(400);
+		expect(mockEnv.AI.run).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { concurrencyLimit, withConcurrencyRelease } from '../../utils/concurrencyLimit';
+import { ConcurrencyLimiter } from '../../utils/ConcurrencyLimiter';
+
+const createMockStorage = () => {
+	const data = new Map();
+	return {
+		data,
+		get: vi.fn(async key => data.get(key)),
+		put: vi.fn(async (key, value) => data.set(key, value)),
+		delete: vi.fn(async key => data.delete(key)),
+		setAlarm: vi.fn(),
+		deleteAlarm: vi.fn(),
+	};
+};
+
+// CONCURRENCY_LIMITER namespace mock backed by real ConcurrencyLimiter instances
+const createMockNamespace = () => {
+	const objects = new Map();
+	return {
+		objects,
+		idFromName: vi.fn(name => name),
+		get: vi.fn(id => {
+			if (!objects.has(id)) {
+				objects.set(id, new ConcurrencyLimiter({ storage: createMockStorage() }));
+			}
+			const object = objects.get(id);
+			return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+		}),
+	};
+};
+
+const createMockRequest = (maxConcurrentRequests = 2) => ({
+	method: 'POST',
+	url: 'http://localhost:8787/v1/chat/completions',
+	headers: new Headers(),
+	principal: { id: 'key_1', scopes: ['*'], rateLimits: { maxConcurrentRequests } },
+});
+
+const streamingResponse = () =>
+	new Response(
+		new ReadableStream({
+			start(controller) {
+				controller.enqueue(new TextEncoder().encode('data: {}\n\n'));
+				controller.close();
+			},
+		}),
+	);
+
+describe('Concurrency Limiting', () => {
+	let mockEnv;
+	let ctx;
+
+	beforeEach(() => {
+		mockEnv = { CONCURRENCY_LIMITER: createMockNamespace() };
+		ctx = { waitUntil: vi.fn() };
+	});
+
+	const activeLeases = () => mockEnv.CONCURRENCY_LIMITER.objects.get('key:key_1').leases.size;
+	const settle = () => Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+
+	it('should reject requests over the cap with a distinct error code', async () => {
+		expect(await concurrencyLimit(createMockRequest(), mockEnv, ctx)).toBeUndefined();
+		expect(await concurrencyLimit(createMockRequest(), mockEnv, ctx)).toBeUndefined();
+
+		const response = await concurrencyLimit(createMockRequest(), mockEnv, ctx);
+		const result = await response.json();
+
+		expect(response.status).toBe(429);
+		expect(result.error.code).toBe('concurrency_limit_exceeded');
+		expect(result.error.type).toBe('rate_limit_exceeded');
+	});
+
+	it('should hold the slot until the response body has been read', async () => {
+		const request = createMockRequest(1);
+		await concurrencyLimit(request, mockEnv, ctx);
+
+		const response = withConcurrencyRelease(streamingResponse(), request);
+		await settle();
+		expect(activeLeases()).toBe(1);
+
+		expect(await response.text()).toBe('data: {}\n\n');
+		await settle();
+		expect(activeLeases()).toBe(0);
+		expect(await concurrencyLimit(createMockRequest(1), mockEnv, ctx)).toBeUndefined();
+	});
+
+	it('should release the slot when the client cancels the stream', async () => {
+		const request = createMockRequest(1);
+		await concurrencyLimit(request, mockEnv, ctx);
+
+		const response = withConcurrencyRelease(streamingResponse(), request);
+		await response.body.cancel();
+		await settle();
+
+		expect(activeLeases()).toBe(0);
+	});
+
+	it('should release immediately for responses without a body', async () => {
+		const request = createMockRequest(1);
+		await concurrencyLimit(request, mockEnv, ctx);
+
+		withConcurrencyRelease(new Response(null, { status: 204 }), request);
+		await settle();
+
+		expect(activeLeases()).toBe(0);
+	});
+
+	it('should reclaim stale leases after their TTL', async () => {
+		vi.useFakeTimers();
+		try {
+			const limiter = new ConcurrencyLimiter({ storage: createMockStorage() });
+			const acquire = () =>
+				limiter.fetch(
+					new Request('https://concurrency-limiter/acquire', {
+						method: 'POST',
+						body: JSON.stringify({ identifier: 'key:a', limit: 1, ttlMs: 1000 }),
+					}),
+				);
+
+			expect((await acquire()).status).toBe(200);
+			expect((await acquire()).status).toBe(429);
+
+			vi.advanceTimersByTime(1000);
+			expect((await acquire()).status).toBe(200);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should allow requests when the limiter is not bound', async () => {
+		const request = createMockRequest(1);
+		expect(await concurrencyLimit(request, {}, ctx)).toBeUndefined();
+		expect(request.concurrencyLease).toBeUndefined();
+	});
+});
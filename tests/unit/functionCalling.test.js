@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import {
+	addFunctionContext,
+	createToolCallStreamParser,
+	formatFunctionCallResponse,
+	parseFunctionCall,
+} from '../../utils/functionCalling';
+import { createChatStreamTransformer } from '../../utils/stream';
+
+// Feed text to a parser in the given pieces and collect every event
+const parse = (pieces, options) => {
+	const parser = createToolCallStreamParser(options);
+	const events = [...pieces.flatMap(piece => parser.push(piece)), ...parser.end()];
+	return { events, parser };
+};
+
+const contentOf = events =>
+	events
+		.filter(event => event.type === 'content')
+		.map(event => event.text)
+		.join('');
+const argumentsOf = events =>
+	events
+		.filter(event => event.type === 'arguments')
+		.map(event => event.text)
+		.join('');
+
+// Run Workers AI SSE lines through the chat transformer and return the parsed chunks
+const streamChat = async (responses, options = {}) => {
+	const encoder = new TextEncoder();
+	const source = new ReadableStream({
+		start(controller) {
+			for (const response of responses) {
+				controller.enqueue(encoder.encode(`data: ${JSON.stringify({ response })}\n\n`));
+			}
+			controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+			controller.close();
+		},
+	});
+
+	const text = await new Response(source.pipeThrough(createChatStreamTransformer('id', 0, 'model', options))).text();
+	return text
+		.split('\n\n')
+		.filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+		.map(line => JSON.parse(line.slice('data: '.length)));
+};
+
+describe('Streaming tool calls', () => {
+	const call = '{"function_call": {"name": "get_weather", "arguments": {"city": "Paris", "unit": "c"}}}';
+
+	it('should report a call whose JSON is split at every character', () => {
+		const { events, parser } = parse([...call]);
+
+		expect(events[0]).toMatchObject({ type: 'tool_call', index: 0, name: 'get_weather' });
+		expect(events[0].id).toMatch(/^call_[0-9a-f]{32}$/);
+		expect(argumentsOf(events)).toBe('{"city": "Paris", "unit": "c"}');
+		expect(events.filter(event => event.type === 'arguments').length).toBeGreaterThan(1);
+		expect(contentOf(events)).toBe('');
+		expect(parser.hasToolCalls()).toBe(true);
+	});
+
+	it('should pass text and non-call JSON through as content', () => {
+		const text = 'Use {"a": 1} as the config. {not json}';
+		const { events, parser } = parse(['Use {"a"', ': 1} as the ', 'config. {not json}']);
+
+		expect(contentOf(events)).toBe(text);
+		expect(parser.hasToolCalls()).toBe(false);
+	});
+
+	it('should stream prose before a call as content', () => {
+		const { events } = parse(['Let me check. ', call.slice(0, 30), call.slice(30)]);
+
+		expect(contentOf(events)).toBe('Let me check. ');
+		expect(argumentsOf(events)).toBe('{"city": "Paris", "unit": "c"}');
+	});
+
+	it('should decode arguments sent as a JSON string', () => {
+		const { events } = parse(['{"function_call": {"name": "f", "arguments": "{\\"x\\": 1}"}}']);
+		expect(argumentsOf(events)).toBe('{"x": 1}');
+	});
+
+	it('should emit tool_calls deltas and finish with tool_calls', async () => {
+		const chunks = await streamChat([call.slice(0, 40), call.slice(40)], { toolCalls: true });
+
+		const [first, ...rest] = chunks.filter(chunk => chunk.choices[0].delta.tool_calls);
+		expect(first.choices[0].delta.tool_calls[0]).toMatchObject({
+			index: 0,
+			type: 'function',
+			function: { name: 'get_weather', arguments: '' },
+		});
+		expect(rest.map(chunk => chunk.choices[0].delta.tool_calls[0].function.arguments).join('')).toBe(
+			'{"city": "Paris", "unit": "c"}',
+		);
+		expect(chunks.some(chunk => chunk.choices[0].delta.content)).toBe(false);
+		expect(chunks.at(-1).choices[0].finish_reason).toBe('tool_calls');
+	});
+
+	it('should finish with stop when the model answers in prose', async () => {
+		const chunks = await streamChat(['Sunny', ' all day.'], { toolCalls: true });
+
+		expect(chunks.map(chunk => chunk.choices[0].delta.content || '').join('')).toBe('Sunny all day.');
+		expect(chunks.at(-1).choices[0].finish_reason).toBe('stop');
+	});
+});
+
+describe('Parallel tool calls', () => {
+	const cities = ['Paris', 'Oslo', 'Lima'];
+	const calls = `{"tool_calls": [${cities
+		.map(city => `{"name": "get_weather", "arguments": {"city": "${city}"}}`)
+		.join(', ')}]}`;
+
+	it('should prompt for the tool_calls array form', () => {
+		const tools = [{ type: 'function', function: { name: 'get_weather', parameters: {} } }];
+		const [parallel] = addFunctionContext([], tools);
+		const [single] = addFunctionContext([], tools, { parallelToolCalls: false });
+
+		expect(parallel.content).toContain('"tool_calls"');
+		expect(parallel.content).toContain('several functions');
+		expect(single.content).toContain('at most one function');
+	});
+
+	it('should parse every call in a response', () => {
+		const { hasFunction, functionCalls, content } = parseFunctionCall(
+			`Checking all three.\n\`\`\`json\n${calls}\n\`\`\``,
+		);
+
+		expect(hasFunction).toBe(true);
+		expect(functionCalls.map(call => call.arguments.city)).toEqual(cities);
+		expect(content).toBe('Checking all three.');
+	});
+
+	it('should parse consecutive single-call objects and OpenAI-shaped entries', () => {
+		const single = parseFunctionCall(
+			'{"function_call": {"name": "a", "arguments": {}}}\n{"function_call": {"name": "b", "arguments": {}}}',
+		);
+		const shaped = parseFunctionCall(
+			'{"tool_calls": [{"type": "function", "function": {"name": "c", "arguments": "{}"}}]}',
+		);
+
+		expect(single.functionCalls.map(call => call.name)).toEqual(['a', 'b']);
+		expect(shaped.functionCalls).toEqual([{ name: 'c', arguments: '{}' }]);
+		expect(parseFunctionCall('Use {"a": 1} here').hasFunction).toBe(false);
+	});
+
+	it('should give each call its own id', () => {
+		const { tool_calls } = formatFunctionCallResponse(parseFunctionCall(calls).functionCalls, '');
+
+		expect(tool_calls).toHaveLength(3);
+		expect(new Set(tool_calls.map(call => call.id)).size).toBe(3);
+		expect(JSON.parse(tool_calls[2].function.arguments)).toEqual({ city: 'Lima' });
+	});
+
+	it('should stream every call with its own index', () => {
+		const { events } = parse([...calls]);
+		const starts = events.filter(event => event.type === 'tool_call');
+
+		expect(starts.map(event => event.index)).toEqual([0, 1, 2]);
+		expect(new Set(starts.map(event => event.id)).size).toBe(3);
+		cities.forEach((city, index) => {
+			const text = events
+				.filter(event => event.type === 'arguments' && event.index === index)
+				.map(event => event.text)
+				.join('');
+			expect(text).toBe(`{"city": "${city}"}`);
+		});
+		expect(contentOf(events)).toBe('');
+	});
+
+	it('should stream only the first call when parallel tool calls are disabled', async () => {
+		const { events } = parse([calls.slice(0, 50), calls.slice(50)], { parallelToolCalls: false });
+		expect(events.filter(event => event.type === 'tool_call')).toHaveLength(1);
+		expect(argumentsOf(events)).toBe('{"city": "Paris"}');
+
+		const chunks = await streamChat([calls], { toolCalls: true, parallelToolCalls: false });
+		const toolCalls = chunks.flatMap(chunk => chunk.choices[0].delta.tool_calls ?? []);
+		expect(new Set(toolCalls.map(call => call.index))).toEqual(new Set([0]));
+	});
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { validateJsonSchema } from '../../utils/jsonSchema';
+
+describe('JSON Schema validation', () => {
+	const schema = {
+		type: 'object',
+		properties: {
+			name: { type: 'string', minLength: 1 },
+			age: { type: 'integer', minimum: 0 },
+			tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+			unit: { enum: ['c', 'f'] },
+			address: { $ref: '#/$defs/address' },
+		},
+		required: ['name'],
+		additionalProperties: false,
+		$defs: {
+			address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+		},
+	};
+
+	it('should accept conforming values', () => {
+		expect(
+			validateJsonSchema({ name: 'Ada', age: 36, tags: ['a'], unit: 'c', address: { city: 'London' } }, schema),
+		).toEqual([]);
+	});
+
+	it('should report each violation with its path', () => {
+		const errors = validateJsonSchema({ age: 1.5, tags: ['a', 2, 'c'], unit: 'k', address: {}, extra: true }, schema);
+
+		expect(errors).toEqual(
+			expect.arrayContaining([
+				'$.name: is required',
+				'$.age: expected integer, got number',
+				'$.tags: must have at most 2 items',
+				'$.tags[1]: expected string, got integer',
+				'$.unit: must be one of "c", "f"',
+				'$.address.city: is required',
+				'$.extra: is not an allowed property',
+			]),
+		);
+		expect(errors).toHaveLength(7);
+	});
+
+	it('should support type lists, nullable and combinators', () => {
+		expect(validateJsonSchema(null, { type: ['string', 'null'] })).toEqual([]);
+		expect(validateJsonSchema(null, { type: 'string', nullable: true })).toEqual([]);
+		expect(validateJsonSchema(3, { type: 'number' })).toEqual([]);
+		expect(validateJsonSchema('x', { anyOf: [{ type: 'number' }, { pattern: '^x$' }] })).toEqual([]);
+		expect(validateJsonSchema(5, { oneOf: [{ type: 'number' }, { type: 'integer' }] })).toEqual([
+			'$: must match exactly one of the allowed schemas',
+		]);
+		expect(validateJsonSchema(5, { allOf: [{ minimum: 1 }, { exclusiveMaximum: 5 }] })).toEqual(['$: must be < 5']);
+	});
+
+	it('should accept patterns with identity escapes and skip patterns that do not compile', () => {
+		const phone = { type: 'string', pattern: '^\\d{3}\\-\\d{4}$' };
+
+		expect(validateJsonSchema('555-1234', phone)).toEqual([]);
+		expect(validateJsonSchema('5551234', phone)).toEqual(['$: must match ^\\d{3}\\-\\d{4}$']);
+		expect(validateJsonSchema('x', { pattern: '(' })).toEqual([]);
+	});
+
+	it('should report circular references and ignore inherited properties', () => {
+		expect(validateJsonSchema({}, { $ref: '#' })).toEqual(['$: circular reference #']);
+		expect(validateJsonSchema(1, { allOf: [{ $ref: '#/$defs/a' }], $defs: { a: { $ref: '#' } } })).toEqual([
+			'$: circular reference #/$defs/a',
+		]);
+		expect(validateJsonSchema({}, { required: ['constructor'] })).toEqual(['$.constructor: is required']);
+		expect(validateJsonSchema(1, { $ref: '#/constructor' })).toEqual(['$: cannot resolve #/constructor']);
+	});
+});
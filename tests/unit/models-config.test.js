@@ -12,6 +12,9 @@ import {
 	isModelSupported,
 	calculateDefaultMaxTokens,
 	getModelsWithContextAbove,
+	isModelAllowed,
+	resolveModel,
+	getSamplingParameters,
 } from '../../utils/models.js';
 
 describe('Models Configuration', () => {
@@ -221,6 +224,53 @@ describe('Models Configuration', () => {
 		});
 	});
 
+	describe('Model Policies', () => {
+		const policy = {
+			allowedModels: ['@cf/meta/*'],
+			blockedModels: ['@cf/meta/llama-3.3-70b-instruct-fp8-fast'],
+			aliases: { 'gpt-4': '@cf/meta/llama-3.2-3b-instruct' },
+		};
+
+		it('should match allowlist prefixes and blocklist entries', () => {
+			expect(isModelAllowed('@cf/meta/llama-3.1-8b-instruct-fp8', policy)).toBe(true);
+			expect(isModelAllowed('@cf/meta/llama-3.3-70b-instruct-fp8-fast', policy)).toBe(false);
+			expect(isModelAllowed('@cf/openai/gpt-oss-120b', policy)).toBe(false);
+			expect(isModelAllowed('@cf/openai/gpt-oss-120b', null)).toBe(true);
+		});
+
+		it('should prefer per-key aliases over MODEL_MAPPING', () => {
+			expect(resolveModel('chat', 'gpt-4', {}, policy)).toBe('@cf/meta/llama-3.2-3b-instruct');
+			expect(resolveModel('chat', 'gpt-4')).toBe(MODEL_MAPPING['gpt-4']);
+		});
+
+		it('should not resolve model names inherited from Object.prototype', () => {
+			for (const name of ['constructor', '__proto__', 'toString']) {
+				expect(() => resolveModel('chat', name, {}, policy)).toThrow(`Unsupported model: ${name}`);
+				expect(() => resolveModel('chat', name)).toThrow(`Unsupported model: ${name}`);
+			}
+		});
+
+		it('should reject disallowed models with a 403', () => {
+			expect(() => resolveModel('chat', '@cf/openai/gpt-oss-120b', {}, policy)).toThrow(
+				expect.objectContaining({ status: 403 }),
+			);
+			expect(() => resolveModel('chat', 'gpt-4-turbo', {}, policy)).toThrow(/gpt-4-turbo/);
+		});
+
+		it('should fall back to an allowed model when the default is disallowed', () => {
+			const model = resolveModel('chat', undefined, {}, policy);
+			expect(model.startsWith('@cf/meta/')).toBe(true);
+		});
+	});
+
+	describe('Sampling Parameters', () => {
+		it('should list the sampling parameters each chat model takes', () => {
+			expect(getSamplingParameters('@cf/openai/gpt-oss-20b')).toEqual(['temperature', 'top_p']);
+			expect(getSamplingParameters('@cf/meta/llama-3.1-8b-instruct-fp8')).toContain('repetition_penalty');
+			expect(getSamplingParameters('constructor')).toContain('top_k');
+		});
+	});
+
 	describe('Data Consistency', () => {
 		it('should not have duplicate models across all categories', () => {
 			const allCategoryModels = Object.values(MODEL_CATEGORIES).flat();
@@ -16,6 +16,7 @@ describe('Models Handler', () => {
 
 	afterEach(() => {
 		vi.unstubAllGlobals();
+		vi.restoreAllMocks();
 	});
 
 	const mockApiResponse = {
@@ -129,6 +130,43 @@ describe('Models Handler', () => {
 		expect(model).toHaveProperty('owned_by');
 	});
 
+	it('should only list models allowed by the key policy', async () => {
+		fetch.mockResolvedValue({
+			ok: true,
+			json: () => Promise.resolve(mockApiResponse),
+		});
+
+		const request = {
+			principal: {
+				modelPolicy: {
+					allowedModels: ['@cf/baai/*', '@cf/meta/llama-3.2-3b-instruct'],
+					blockedModels: [],
+					aliases: { 'intern-chat': '@cf/meta/llama-3.2-3b-instruct' },
+				},
+			},
+		};
+		const response = await modelsHandler(request, mockEnv);
+		const result = await response.json();
+		const modelIds = result.data.map(m => m.id);
+
+		expect(modelIds).toContain('@cf/baai/bge-base-en-v1.5');
+		expect(modelIds).toContain('text-embedding-ada-002');
+		expect(modelIds).toContain('gpt-4o-mini');
+		expect(modelIds).toContain('intern-chat');
+		expect(modelIds).not.toContain('gpt-4');
+		expect(modelIds).not.toContain('@cf/openai/whisper');
+	});
+
+	it('should return an error response when the model list cannot be fetched', async () => {
+		fetch.mockResolvedValue({ ok: false, statusText: 'Service Unavailable' });
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		const response = await modelsHandler(new Request('https://example.com/v1/models'), mockEnv);
+
+		expect(response.status).toBe(500);
+		expect((await response.json()).error).toBeDefined();
+	});
+
 	it('should not require authentication for models endpoint', async () => {
 		fetch.mockResolvedValue({
 			ok: true,
@@ -0,0 +1,256 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+	rateLimit,
+	withRateLimitHeaders,
+	resolveRateLimit,
+	formatResetDuration,
+} from '../../utils/rateLimit';
+import { DistributedRateLimiter } from '../../utils/DistributedRateLimiter';
+import { checkUsage, reportUsage } from '../../utils/usage';
+import { createChatStreamTransformer } from '../../utils/stream';
+
+// Durable Object storage mock backed by a Map, including the batch forms of put and delete
+const createMockStorage = () => {
+	const data = new Map();
+	return {
+		data,
+		get: vi.fn(async key => data.get(key)),
+		put: vi.fn(async (entries, value) => {
+			if (typeof entries === 'string') {
+				data.set(entries, value);
+			} else {
+				Object.entries(entries).forEach(([key, entry]) => data.set(key, entry));
+			}
+		}),
+		delete: vi.fn(async keys => [].concat(keys).forEach(key => data.delete(key))),
+		setAlarm: vi.fn(),
+	};
+};
+
+const checkRequest = body =>
+	new Request('https://rate-limiter/check', { method: 'POST', body: JSON.stringify(body) });
+
+// RATE_LIMITER namespace mock that routes each name to a real DistributedRateLimiter instance
+const createMockNamespace = () => {
+	const objects = new Map();
+	return {
+		objects,
+		idFromName: vi.fn(name => name),
+		get: vi.fn(id => {
+			if (!objects.has(id)) {
+				objects.set(id, new DistributedRateLimiter({ storage: createMockStorage() }));
+			}
+			const object = objects.get(id);
+			return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+		}),
+	};
+};
+
+const createMockRequest = (principal, ip = '203.0.113.7') => ({
+	method: 'POST',
+	url: 'http://localhost:8787/v1/chat/completions',
+	headers: new Headers({ 'CF-Connecting-IP': ip }),
+	principal,
+});
+
+const keyPrincipal = (id, rateLimits = {}) => ({ id, name: id, scopes: ['*'], rateLimits });
+
+describe('Rate Limiting', () => {
+	let mockEnv;
+
+	beforeEach(() => {
+		mockEnv = { RATE_LIMITER: createMockNamespace() };
+	});
+
+	it('should resolve limits from the key, its tier, then the default tier', () => {
+		expect(resolveRateLimit(keyPrincipal('a'), {}).requestsPerMinute).toBe(60);
+		expect(resolveRateLimit(keyPrincipal('a', { tier: 'free' }), {}).requestsPerMinute).toBe(20);
+		expect(resolveRateLimit(keyPrincipal('a', { tier: 'free', requestsPerMinute: 5 }), {}).requestsPerMinute).toBe(5);
+
+		const env = { RATE_LIMIT_TIERS: '{"free": {"requests_per_minute": 2}, "internal": {"requests_per_minute": null}}' };
+		expect(resolveRateLimit(keyPrincipal('a', { tier: 'free' }), env).requestsPerMinute).toBe(2);
+		expect(resolveRateLimit(keyPrincipal('a', { tier: 'internal' }), env).requestsPerMinute).toBeNull();
+		expect(resolveRateLimit(undefined, { RATE_LIMIT_DEFAULT_TIER: 'pro' }).requestsPerMinute).toBe(600);
+	});
+
+	it('should return 429 with Retry-After once the key limit is reached', async () => {
+		const principal = keyPrincipal('key_1', { requestsPerMinute: 2 });
+
+		expect(await rateLimit(createMockRequest(principal), mockEnv)).toBeUndefined();
+		expect(await rateLimit(createMockRequest(principal), mockEnv)).toBeUndefined();
+
+		const request = createMockRequest(principal);
+		const response = await rateLimit(request, mockEnv);
+		const result = await response.json();
+
+		expect(response.status).toBe(429);
+		expect(result.error.type).toBe('rate_limit_exceeded');
+		expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(request.rateLimit.requests.remaining).toBe(0);
+		expect(mockEnv.RATE_LIMITER.idFromName).toHaveBeenCalledWith('key:key_1');
+	});
+
+	it('should count keys separately and the shared ACCESS_TOKEN per client IP', async () => {
+		const legacy = { id: 'legacy', scopes: ['*'], legacy: true, rateLimits: { requestsPerMinute: 1 } };
+
+		expect(await rateLimit(createMockRequest(legacy, '198.51.100.1'), mockEnv)).toBeUndefined();
+		expect(await rateLimit(createMockRequest(legacy, '198.51.100.2'), mockEnv)).toBeUndefined();
+		expect((await rateLimit(createMockRequest(legacy, '198.51.100.1'), mockEnv)).status).toBe(429);
+		expect(await rateLimit(createMockRequest(keyPrincipal('key_2', { requestsPerMinute: 1 })), mockEnv)).toBeUndefined();
+
+		expect([...mockEnv.RATE_LIMITER.objects.keys()]).toEqual(['ip:198.51.100.1', 'ip:198.51.100.2', 'key:key_2']);
+	});
+
+	it('should add x-ratelimit headers to successful responses', async () => {
+		const request = createMockRequest(keyPrincipal('key_3', { requestsPerMinute: 10 }));
+		await rateLimit(request, mockEnv);
+
+		const response = withRateLimitHeaders(Response.json({ ok: true }), request);
+
+		expect(response.headers.get('x-ratelimit-limit-requests')).toBe('10');
+		expect(response.headers.get('x-ratelimit-remaining-requests')).toBe('9');
+		expect(response.headers.get('x-ratelimit-reset-requests')).toMatch(/^(\d+ms|\d+s|\d+m\d+s)$/);
+		expect(await response.json()).toEqual({ ok: true });
+	});
+
+	it('should keep the headers a handler already exposes', async () => {
+		const request = createMockRequest(keyPrincipal('key_5', { requestsPerMinute: 10 }));
+		await rateLimit(request, mockEnv);
+		const exposed = 'x-parameter-warning, x-gateway-summarized-turns';
+
+		const response = withRateLimitHeaders(
+			Response.json({ ok: true }, { headers: { 'Access-Control-Expose-Headers': exposed } }),
+			request,
+		);
+
+		expect(response.headers.get('Access-Control-Expose-Headers')).toMatch(
+			/^x-parameter-warning, x-gateway-summarized-turns, x-ratelimit-limit-requests, /,
+		);
+	});
+
+	it('should allow requests when the rate limiter is not bound or fails', async () => {
+		const request = createMockRequest(keyPrincipal('key_4'));
+		expect(await rateLimit(request, {})).toBeUndefined();
+
+		const failing = { idFromName: () => 'x', get: () => ({ fetch: () => Promise.reject(new Error('down')) }) };
+		expect(await rateLimit(request, { RATE_LIMITER: failing })).toBeUndefined();
+		expect(withRateLimitHeaders(undefined, request)).toBeUndefined();
+	});
+
+	it('should reserve prompt tokens and reject requests over the per-minute token limit', async () => {
+		const principal = keyPrincipal('key_5', { tokensPerMinute: 1000 });
+
+		const first = createMockRequest(principal);
+		await rateLimit(first, mockEnv, {});
+		await checkUsage(first, { model: 'm', promptTokens: 600 });
+		expect(first.rateLimit.tokens).toMatchObject({ limit: 1000, remaining: 400 });
+
+		const response = withRateLimitHeaders(Response.json({}), first);
+		expect(response.headers.get('x-ratelimit-limit-tokens')).toBe('1000');
+		expect(response.headers.get('x-ratelimit-remaining-tokens')).toBe('400');
+
+		const second = createMockRequest(principal);
+		await rateLimit(second, mockEnv, {});
+		const error = await checkUsage(second, { model: 'm', promptTokens: 500 }).catch(e => e);
+		expect(error.status).toBe(429);
+		expect(error.retryAfter).toBeGreaterThan(0);
+
+		const tooLarge = await checkUsage(second, { model: 'm', promptTokens: 5000 }).catch(e => e);
+		expect(tooLarge.message).toContain('Request too large');
+	});
+
+	it('should reconcile reservations with the final usage', async () => {
+		const principal = keyPrincipal('key_6', { tokensPerMinute: 1000, tokensPerDay: 5000 });
+		const ctx = { waitUntil: vi.fn() };
+
+		const request = createMockRequest(principal);
+		await rateLimit(request, mockEnv, ctx);
+		await checkUsage(request, { model: 'm', promptTokens: 100 });
+		reportUsage(request, { model: 'm', promptTokens: 100, completionTokens: 300 });
+		await Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+
+		const next = createMockRequest(principal);
+		await rateLimit(next, mockEnv, ctx);
+		await checkUsage(next, { model: 'm', promptTokens: 100 });
+		expect(next.rateLimit.tokens.remaining).toBe(500);
+	});
+
+	it('should report streamed completion text when the stream ends', async () => {
+		const onComplete = vi.fn();
+		const source = new ReadableStream({
+			start(controller) {
+				const encoder = new TextEncoder();
+				controller.enqueue(encoder.encode('data: {"response":"Hello"}\n\n'));
+				controller.enqueue(encoder.encode('data: {"response":" world"}\n\ndata: [DONE]\n\n'));
+				controller.close();
+			},
+		});
+
+		await new Response(source.pipeThrough(createChatStreamTransformer('id', 0, 'm', { onComplete }))).text();
+
+		expect(onComplete).toHaveBeenCalledTimes(1);
+		expect(onComplete).toHaveBeenCalledWith('Hello world', {
+			prompt_tokens: 0,
+			completion_tokens: 3,
+			total_tokens: 3,
+		});
+	});
+
+	it('should allow a burst, then refill at the per-minute rate', async () => {
+		vi.useFakeTimers();
+		try {
+			const limiter = new DistributedRateLimiter({ storage: createMockStorage() });
+			const body = { identifier: 'key:a', limit: 60, windowMs: 60000, burst: 3 };
+
+			for (let i = 0; i < 3; i++) {
+				expect((await limiter.fetch(checkRequest(body))).status).toBe(200);
+			}
+			const denied = await (await limiter.fetch(checkRequest(body))).json();
+			expect(denied).toMatchObject({ allowed: false, remaining: 0, retryAfter: 1 });
+
+			// One request per second is refilled
+			vi.advanceTimersByTime(1000);
+			const allowed = await (await limiter.fetch(checkRequest(body))).json();
+			expect(allowed).toMatchObject({ allowed: true, limit: 60, remaining: 0 });
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should batch storage writes and drop idle state', async () => {
+		vi.useFakeTimers();
+		try {
+			const storage = createMockStorage();
+			const limiter = new DistributedRateLimiter({ storage });
+			const body = { identifier: 'key:b', limit: 10, windowMs: 60000 };
+
+			for (let i = 0; i < 5; i++) {
+				await limiter.fetch(checkRequest(body));
+			}
+			expect(storage.put).not.toHaveBeenCalled();
+			expect(storage.setAlarm).toHaveBeenCalledTimes(1);
+
+			await limiter.alarm();
+			expect(storage.put).toHaveBeenCalledTimes(1);
+			expect(storage.data.get('bucket:key:b')).toMatchObject({ tokens: 5 });
+
+			// A restarted instance picks up the stored state
+			const restarted = new DistributedRateLimiter({ storage });
+			expect((await (await restarted.fetch(checkRequest(body))).json()).remaining).toBe(4);
+
+			// Once the bucket has refilled, the cleanup alarm removes it from storage
+			vi.advanceTimersByTime(60000);
+			await limiter.alarm();
+			expect(storage.data.has('bucket:key:b')).toBe(false);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('should format reset durations like OpenAI', () => {
+		expect(formatResetDuration(20)).toBe('20ms');
+		expect(formatResetDuration(1000)).toBe('1s');
+		expect(formatResetDuration(360000)).toBe('6m0s');
+		expect(formatResetDuration(3723000)).toBe('1h2m3s');
+	});
+});
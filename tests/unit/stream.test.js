@@ -0,0 +1,244 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createChatStreamTransformer, createCompletionStreamTransformer, onResponseEnd } from '../../utils/stream';
+
+const encoder = new TextEncoder();
+const sse = response => encoder.encode(`data: ${JSON.stringify({ response })}\n\n`);
+
+// Parse the SSE output of a transformer into its JSON payloads
+const parseChunks = text =>
+	text
+		.split('\n\n')
+		.filter(line => line.startsWith('data: {'))
+		.map(line => JSON.parse(line.slice('data: '.length)));
+
+// Pipe byte chunks through a transformer and return the parsed chunks
+const run = async (transformer, chunks) => {
+	const source = new ReadableStream({
+		start(controller) {
+			chunks.forEach(chunk => controller.enqueue(chunk));
+			controller.close();
+		},
+	});
+	return parseChunks(await new Response(source.pipeThrough(transformer)).text());
+};
+
+const deltasOf = chunks => chunks.map(chunk => chunk.choices[0].delta);
+const join = (deltas, field) => deltas.map(delta => delta[field] ?? '').join('');
+
+describe('Chat stream transformer', () => {
+	it('should stream content from models without think blocks as it arrives', async () => {
+		const transformer = createChatStreamTransformer('id', 0, 'model');
+		const writer = transformer.writable.getWriter();
+		const reader = transformer.readable.getReader();
+
+		writer.write(sse('Hello'));
+		const { value } = await reader.read();
+
+		expect(parseChunks(new TextDecoder().decode(value))[0].choices[0].delta.content).toBe('Hello');
+		writer.close();
+	});
+
+	it('should stream the think block of a reasoning model as reasoning_content', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { thinking: true }), [
+			sse('Add two'),
+			sse(' and two.</'),
+			sse('think>\n\nIt is 4.'),
+			encoder.encode('data: [DONE]\n\n'),
+		]);
+		const deltas = deltasOf(chunks);
+
+		expect(join(deltas, 'reasoning_content')).toBe('Add two and two.');
+		expect(join(deltas, 'content')).toBe('It is 4.');
+		expect(chunks.at(-1).choices[0].finish_reason).toBe('stop');
+	});
+
+	it('should stream a reply that never closes the expected think block as content', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { thinking: true, reasoning: false }), [
+			sse('Hello'),
+			sse(' there.'),
+			encoder.encode('data: [DONE]\n\n'),
+		]);
+		const deltas = deltasOf(chunks);
+
+		expect(join(deltas, 'content')).toBe('Hello there.');
+		expect(join(deltas, 'reasoning_content')).toBe('');
+		expect(chunks.at(-1).choices[0].finish_reason).toBe('stop');
+	});
+
+	it('should handle a think block opened mid-stream', async () => {
+		const deltas = deltasOf(
+			await run(createChatStreamTransformer('id', 0, 'model'), [
+				sse('Sure. <th'),
+				sse('ink>Check the units.</think>'),
+				sse(' It is 4.'),
+			]),
+		);
+
+		expect(join(deltas, 'content')).toBe('Sure. It is 4.');
+		expect(join(deltas, 'reasoning_content')).toBe('Check the units.');
+	});
+
+	it('should decode characters split across chunks and flush a final line without a newline', async () => {
+		const bytes = encoder.encode('data: {"response":"naïve 日本"}');
+		const deltas = deltasOf(
+			await run(createChatStreamTransformer('id', 0, 'model'), [
+				bytes.slice(0, 21),
+				bytes.slice(21, 27),
+				bytes.slice(27),
+			]),
+		);
+
+		expect(join(deltas, 'content')).toBe('naïve 日本');
+	});
+});
+
+describe('Stop sequences', () => {
+	it('should end a chat stream at a stop sequence split across chunks', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { stop: ['STOP'] }), [
+			sse('one two S'),
+			sse('TO'),
+			sse('P three'),
+			encoder.encode('data: [DONE]\n\n'),
+		]);
+
+		expect(join(deltasOf(chunks), 'content')).toBe('one two ');
+		expect(chunks.at(-1).choices[0].finish_reason).toBe('stop');
+	});
+
+	it('should release text that only looked like the start of a stop sequence', async () => {
+		const chunks = await run(createCompletionStreamTransformer('id', 0, 'model', { stop: ['\n\n'] }), [
+			sse('a\n'),
+			sse('b\n'),
+		]);
+
+		expect(chunks.map(chunk => chunk.choices[0].text).join('')).toBe('a\nb\n');
+	});
+});
+
+describe('Finish reason', () => {
+	const finishOf = chunks => chunks.at(-1).choices[0].finish_reason;
+
+	it('should report length when the output used up max_tokens', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { maxTokens: 4 }), [
+			sse('The first three'),
+			sse(' words of'),
+		]);
+
+		expect(finishOf(chunks)).toBe('length');
+	});
+
+	it('should report stop for a finished sentence close to max_tokens', async () => {
+		const chunks = await run(createCompletionStreamTransformer('id', 0, 'model', { maxTokens: 10 }), [
+			sse('It rained all day, then it.'),
+			sse(' Stopped.'),
+		]);
+
+		expect(finishOf(chunks)).toBe('stop');
+	});
+
+	it('should trust the finish reason Workers AI reports', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { maxTokens: 1000 }), [
+			sse('Once upon a time.'),
+			encoder.encode(`data: ${JSON.stringify({ response: '', finish_reason: 'length' })}\n\n`),
+		]);
+
+		expect(finishOf(chunks)).toBe('length');
+	});
+
+	it('should report stop when a stop sequence ended the output', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { maxTokens: 4, stop: ['END'] }), [
+			sse('one two three four END five'),
+		]);
+
+		expect(finishOf(chunks)).toBe('stop');
+	});
+});
+
+describe('Stream usage', () => {
+	it('should end a chat stream with a usage chunk', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model', { includeUsage: true, promptTokens: 12 }), [
+			sse('Hello'),
+			sse(' there'),
+			encoder.encode('data: [DONE]\n\n'),
+		]);
+
+		expect(chunks.at(-2).choices[0].finish_reason).toBe('stop');
+		expect(chunks.at(-1)).toMatchObject({
+			object: 'chat.completion.chunk',
+			choices: [],
+			usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+		});
+		expect(chunks.slice(0, -1).every(chunk => chunk.usage === null)).toBe(true);
+	});
+
+	it('should prefer the usage Workers AI reports', async () => {
+		const onComplete = vi.fn();
+		const reported = { prompt_tokens: 20, completion_tokens: 7, total_tokens: 27 };
+		const chunks = await run(
+			createCompletionStreamTransformer('id', 0, 'model', { includeUsage: true, promptTokens: 12, onComplete }),
+			[sse('Once upon'), encoder.encode(`data: ${JSON.stringify({ response: '', usage: reported })}\n\n`)],
+		);
+
+		expect(chunks.at(-1)).toMatchObject({ object: 'text_completion', choices: [], usage: reported });
+		expect(onComplete).toHaveBeenCalledWith('Once upon', reported);
+	});
+
+	it('should leave usage out unless asked for', async () => {
+		const chunks = await run(createChatStreamTransformer('id', 0, 'model'), [sse('Hello')]);
+
+		expect(chunks.every(chunk => chunk.choices.length === 1 && !('usage' in chunk))).toBe(true);
+	});
+});
+
+describe('Completion stream transformer', () => {
+	it('should stream text and leave out the think block', async () => {
+		const chunks = await run(createCompletionStreamTransformer('id', 0, 'model', { thinking: true }), [
+			sse('<think>Plan.</think>'),
+			sse('Once upon'),
+			sse(' a time'),
+			encoder.encode('data: [DONE]\n\n'),
+		]);
+
+		expect(chunks.map(chunk => chunk.choices[0].text).join('')).toBe('Once upon a time');
+	});
+
+	it('should stream text from ordinary models and end with [DONE]', async () => {
+		const source = [sse('Once'), sse(' upon')];
+		const transformer = createCompletionStreamTransformer('id', 0, 'model');
+		const text = await new Response(
+			new ReadableStream({
+				start(controller) {
+					source.forEach(chunk => controller.enqueue(chunk));
+					controller.close();
+				},
+			}).pipeThrough(transformer),
+		).text();
+
+		expect(parseChunks(text).map(chunk => chunk.choices[0])).toMatchObject([
+			{ text: 'Once', finish_reason: null },
+			{ text: ' upon', finish_reason: null },
+			{ text: '', finish_reason: 'stop' },
+		]);
+		expect(text.endsWith('data: [DONE]\n\n')).toBe(true);
+	});
+});
+
+describe('Response end', () => {
+	it('should cancel the body before running the callback when the client disconnects', async () => {
+		const calls = [];
+		const body = new ReadableStream({
+			start(controller) {
+				controller.enqueue(sse('Hello'));
+			},
+			cancel() {
+				calls.push('cancel');
+			},
+		});
+
+		const reader = onResponseEnd(new Response(body), () => calls.push('end')).body.getReader();
+		await reader.read();
+		await reader.cancel();
+
+		expect(calls).toEqual(['cancel', 'end']);
+	});
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadTokenizer, registerTokenizer } from '../../utils/tokenizer';
+import { tokenizeHandler } from '../../routes/tokenize';
+
+const createMockRequest = body => ({
+	json: () => Promise.resolve(body),
+	headers: new Map([['Content-Type', 'application/json']]),
+});
+
+const CODE = 'function add(a, b) { return a + b; }';
+
+describe('Tokenizer', () => {
+	it('should count with the vocabulary of the model family', async () => {
+		const llama = await loadTokenizer('@cf/meta/llama-3.1-8b-instruct-fp8');
+		const qwen = await loadTokenizer('@cf/qwen/qwen2.5-coder-32b-instruct');
+		const mistral = await loadTokenizer('@cf/mistral/mistral-7b-instruct-v0.2-lora');
+
+		expect([llama.name, qwen.name, mistral.name]).toEqual(['cl100k_base', 'cl100k_base', 'mistral']);
+		expect(llama.estimate).toBe(false);
+		expect((await loadTokenizer('@cf/google/gemma-3-12b-it')).estimate).toBe(true);
+		expect(llama.count(CODE)).toBe(13);
+		expect(llama.count('日本語のテキストです')).toBe(9);
+		expect(mistral.count(CODE)).toBe(14);
+	});
+
+	it('should fall back to the character estimate', async () => {
+		const unknown = await loadTokenizer('@cf/openai/gpt-oss-20b');
+		const disabled = await loadTokenizer('@cf/meta/llama-3.1-8b-instruct-fp8', { TOKENIZER: 'heuristic' });
+
+		expect([unknown.name, disabled.name]).toEqual(['heuristic', 'heuristic']);
+		expect(unknown.estimate).toBe(true);
+		expect(unknown.count(CODE)).toBe(9);
+	});
+
+	it('should add chat template overhead to messages', async () => {
+		const tokenizer = await loadTokenizer('@cf/meta/llama-3.1-8b-instruct-fp8');
+
+		expect(
+			tokenizer.countMessages([
+				{ role: 'system', content: 'Be brief.' },
+				{
+					role: 'user',
+					content: [
+						{ type: 'text', text: 'Hello!' },
+						{ type: 'image_url', image_url: {} },
+					],
+				},
+			]),
+		).toBe(4 + 3 + 4 + 2 + 3);
+	});
+
+	it('should use registered tokenizers', async () => {
+		const load = vi.fn().mockResolvedValue(text => text.split(' ').length);
+		registerTokenizer('words', /^@cf\/test\//, load);
+
+		const tokenizer = await loadTokenizer('@cf/test/model');
+		await loadTokenizer('@cf/test/other');
+
+		expect(tokenizer.name).toBe('words');
+		expect(tokenizer.count('one two three')).toBe(3);
+		expect(load).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('Tokenize Handler', () => {
+	it('should count the tokens of messages', async () => {
+		const response = await tokenizeHandler(
+			createMockRequest({
+				model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+				messages: [{ role: 'user', content: 'Hello!' }],
+			}),
+			{},
+		);
+
+		expect(await response.json()).toEqual({
+			object: 'tokenize',
+			model: '@cf/meta/llama-3.1-8b-instruct-fp8',
+			tokenizer: 'cl100k_base',
+			estimate: false,
+			count: 9,
+			context_window: 128000,
+		});
+	});
+
+	it('should count the tokens of prompts', async () => {
+		const response = await tokenizeHandler(
+			createMockRequest({ model: '@cf/meta/llama-3.1-8b-instruct-fp8', prompt: ['Once upon a time', CODE] }),
+			{},
+		);
+
+		expect((await response.json()).count).toBe(4 + 13);
+	});
+
+	it('should require either messages or prompt', async () => {
+		const neither = await tokenizeHandler(createMockRequest({ model: '@cf/meta/llama-3.1-8b-instruct-fp8' }), {});
+		const both = await tokenizeHandler(createMockRequest({ messages: [], prompt: 'Hi' }), {});
+		const badPrompt = await tokenizeHandler(createMockRequest({ prompt: [1, 2] }), {});
+
+		expect([neither.status, both.status, badPrompt.status]).toEqual([400, 400, 400]);
+	});
+});
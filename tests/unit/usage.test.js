@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { startUsageLog, withUsageLog } from '../../utils/usageLog';
+import { reportUsage } from '../../utils/usage';
+import { usageHandler } from '../../routes/usage';
+
+// D1 mock recording every statement; SELECTs answer with the rows given to it
+const createMockDB = (rows = []) => {
+	const statements = [];
+	return {
+		statements,
+		prepare: vi.fn(sql => ({
+			bind: (...args) => {
+				statements.push({ sql, args });
+				return {
+					run: async () => ({ success: true }),
+					all: async () => ({ results: rows }),
+				};
+			},
+		})),
+	};
+};
+
+const createMockRequest = (url, principal = { id: 'key_1', scopes: ['*'] }) => ({
+	method: 'POST',
+	url,
+	route: new URL(url).pathname,
+	headers: new Headers(),
+	principal,
+});
+
+const streamingResponse = () =>
+	new Response(
+		new ReadableStream({
+			start(controller) {
+				controller.enqueue(new TextEncoder().encode('data: {}\n\n'));
+				controller.close();
+			},
+		}),
+		{ headers: { 'Content-Type': 'text/event-stream' } },
+	);
+
+describe('Usage Ledger', () => {
+	let mockEnv;
+	let ctx;
+
+	beforeEach(() => {
+		mockEnv = { DB: createMockDB() };
+		ctx = { waitUntil: vi.fn() };
+	});
+
+	const settle = () => Promise.all(ctx.waitUntil.mock.calls.map(([promise]) => promise));
+	const inserts = () => mockEnv.DB.statements.filter(({ sql }) => sql.startsWith('INSERT INTO usage_log'));
+
+	it('should record the model, alias, tokens and status of a request', async () => {
+		const request = createMockRequest('http://localhost:8787/v1/chat/completions');
+		startUsageLog(request, mockEnv);
+		reportUsage(request, {
+			model: '@cf/meta/llama-3.1-8b-instruct',
+			requestedModel: 'gpt-4o',
+			promptTokens: 12,
+			completionTokens: 30,
+		});
+
+		const response = withUsageLog(Response.json({ ok: true }), request, mockEnv, ctx);
+		await response.json();
+		await settle();
+
+		expect(inserts()).toHaveLength(1);
+		const [createdAt, keyId, route, model, requestedModel, promptTokens, completionTokens, latencyMs, status, cacheHit] =
+			inserts()[0].args;
+		expect(Date.parse(createdAt)).not.toBeNaN();
+		expect({ keyId, route, model, requestedModel, promptTokens, completionTokens, status, cacheHit }).toEqual({
+			keyId: 'key_1',
+			route: '/v1/chat/completions',
+			model: '@cf/meta/llama-3.1-8b-instruct',
+			requestedModel: 'gpt-4o',
+			promptTokens: 12,
+			completionTokens: 30,
+			status: 200,
+			cacheHit: 0,
+		});
+		expect(latencyMs).toBeGreaterThanOrEqual(0);
+	});
+
+	it('should write streamed requests only once the stream has been sent', async () => {
+		const request = createMockRequest('http://localhost:8787/v1/chat/completions');
+		startUsageLog(request, mockEnv);
+
+		const response = withUsageLog(streamingResponse(), request, mockEnv, ctx);
+		expect(inserts()).toHaveLength(0);
+
+		await response.text();
+		await settle();
+		expect(inserts()).toHaveLength(1);
+	});
+
+	it('should record cache hits and rejected requests', async () => {
+		const cached = createMockRequest('http://localhost:8787/v1/chat/completions');
+		startUsageLog(cached, mockEnv);
+		reportUsage(cached, { model: '@cf/meta/llama-3.1-8b-instruct', promptTokens: 5, cached: true });
+		await withUsageLog(Response.json({}), cached, mockEnv, ctx).text();
+
+		const rejected = createMockRequest('http://localhost:8787/v1/embeddings', null);
+		startUsageLog(rejected, mockEnv);
+		await withUsageLog(Response.json({}, { status: 401 }), rejected, mockEnv, ctx).text();
+		await settle();
+
+		expect(inserts()[0].args[9]).toBe(1);
+		expect(inserts()[1].args[1]).toBeNull();
+		expect(inserts()[1].args[8]).toBe(401);
+	});
+
+	it('should do nothing without a D1 binding', () => {
+		const request = createMockRequest('http://localhost:8787/v1/models');
+		startUsageLog(request, {});
+		const response = new Response('ok');
+		expect(withUsageLog(response, request, {}, ctx)).toBe(response);
+	});
+});
+
+describe('GET /v1/usage', () => {
+	const rows = [
+		{ day: '2026-10-18', model: '@cf/meta/llama-3.1-8b-instruct', requests: 2, prompt_tokens: 20, total_tokens: 50 },
+		{ day: '2026-10-19', model: 'a "quoted", model', requests: 1, prompt_tokens: 5, total_tokens: 5 },
+	];
+
+	const get = (query, principal, db = createMockDB(rows)) => {
+		const request = { ...createMockRequest(`http://localhost:8787/v1/usage?${query}`, principal), method: 'GET' };
+		return { db, response: usageHandler(request, { DB: db }) };
+	};
+
+	it('should aggregate a key\'s own usage over the date range', async () => {
+		const { db, response } = get('start_date=2026-10-01&end_date=2026-10-19&group_by=day,model');
+		const result = await (await response).json();
+
+		expect(result.object).toBe('list');
+		expect(result.group_by).toEqual(['day', 'model']);
+		expect(result.data).toEqual(rows);
+
+		const { sql, args } = db.statements[0];
+		expect(sql).toContain('GROUP BY day, model');
+		expect(sql).toContain('key_id = ?');
+		expect(args).toEqual(['2026-10-01', '2026-10-20', 'key_1']);
+	});
+
+	it('should export CSV', async () => {
+		const { response } = get('start_date=2026-10-01&end_date=2026-10-19&group_by=day,model&format=csv');
+		const result = await response;
+		const lines = (await result.text()).split('\r\n');
+
+		expect(result.headers.get('Content-Type')).toContain('text/csv');
+		expect(lines[0]).toBe(
+			'day,model,requests,prompt_tokens,completion_tokens,total_tokens,cache_hits,errors,avg_latency_ms',
+		);
+		expect(lines[2]).toBe('2026-10-19,"a ""quoted"", model",1,5,,5,,,');
+	});
+
+	it('should only let ACCESS_TOKEN read other keys\' usage', async () => {
+		const denied = await get('key_id=key_2').response;
+		expect(denied.status).toBe(403);
+
+		const { db, response } = get('key_id=key_2', { id: 'legacy', scopes: ['*'], legacy: true });
+		expect((await response).status).toBe(200);
+		expect(db.statements[0].args).toContain('key_2');
+	});
+
+	it('should validate dates and groups', async () => {
+		expect((await get('start_date=10/01/2026').response).status).toBe(400);
+		expect((await get('start_date=2026-10-20&end_date=2026-10-19').response).status).toBe(400);
+		expect((await get('group_by=week').response).status).toBe(400);
+		expect((await get('format=xml').response).status).toBe(400);
+	});
+});
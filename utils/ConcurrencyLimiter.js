@@ -0,0 +1,116 @@
+/**
+ * Concurrency Limiter Durable Object
+ *
+ * Caps the number of requests an identifier (API key or client IP) has in flight. A request
+ * leases a slot when it starts (/acquire) and returns it when its response body has been fully
+ * sent or cancelled (/release). Leases carry a TTL so that slots held by a crashed isolate, which
+ * never releases them, are reclaimed automatically.
+ *
+ * Used by the concurrencyLimit middleware (utils/concurrencyLimit.js), which addresses one
+ * instance per identifier via idFromName. Requires the CONCURRENCY_LIMITER binding and migration
+ * in wrangler.toml; without the binding, concurrency is not limited.
+ */
+
+// Lease lifetime when the caller does not pass one (15 minutes, longer than any normal stream)
+const DEFAULT_LEASE_TTL_MS = 15 * 60 * 1000;
+
+export class ConcurrencyLimiter {
+	constructor(state) {
+		this.state = state;
+		this.storage = state.storage;
+		// Lease id -> expiry time; loaded from storage on first use
+		this.leases = null;
+	}
+
+	async fetch(request) {
+		const url = new URL(request.url);
+
+		if (request.method === 'POST' && url.pathname === '/acquire') {
+			return this.handleAcquire(request);
+		}
+
+		if (request.method === 'POST' && url.pathname === '/release') {
+			return this.handleRelease(request);
+		}
+
+		return new Response('Not Found', { status: 404 });
+	}
+
+	// Load the active leases, dropping any whose TTL has passed
+	async getLeases(now = Date.now()) {
+		if (!this.leases) {
+			this.leases = new Map(Object.entries((await this.storage.get('leases')) || {}));
+		}
+		for (const [leaseId, expiresAt] of this.leases) {
+			if (expiresAt <= now) {
+				this.leases.delete(leaseId);
+			}
+		}
+		return this.leases;
+	}
+
+	// Persist the leases (they must survive eviction while streams are open) and schedule stale-lease cleanup
+	async saveLeases() {
+		if (this.leases.size === 0) {
+			await this.storage.delete('leases');
+			await this.storage.deleteAlarm();
+			return;
+		}
+		await this.storage.put('leases', Object.fromEntries(this.leases));
+		await this.storage.setAlarm(Math.min(...this.leases.values()));
+	}
+
+	/**
+	 * Lease a slot.
+	 * Body: { identifier, limit, ttlMs = DEFAULT_LEASE_TTL_MS }
+	 * Answers { allowed, leaseId, active, limit }, with status 429 when every slot is taken.
+	 */
+	async handleAcquire(request) {
+		try {
+			const { identifier, limit, ttlMs = DEFAULT_LEASE_TTL_MS } = await request.json();
+
+			if (!identifier || !limit) {
+				return Response.json({ error: 'Identifier and limit required' }, { status: 400 });
+			}
+
+			const now = Date.now();
+			const leases = await this.getLeases(now);
+
+			if (leases.size >= limit) {
+				return Response.json({ allowed: false, active: leases.size, limit }, { status: 429 });
+			}
+
+			const leaseId = crypto.randomUUID();
+			leases.set(leaseId, now + ttlMs);
+			await this.saveLeases();
+
+			return Response.json({ allowed: true, leaseId, active: leases.size, limit });
+		} catch (error) {
+			console.error('Concurrency limiting error:', error);
+			return Response.json({ error: 'Internal server error' }, { status: 500 });
+		}
+	}
+
+	// Return a slot. Releasing an unknown or expired lease is a no-op.
+	async handleRelease(request) {
+		try {
+			const { leaseId } = await request.json();
+			const leases = await this.getLeases();
+
+			if (leases.delete(leaseId)) {
+				await this.saveLeases();
+			}
+
+			return Response.json({ success: true, active: leases.size });
+		} catch (error) {
+			console.error('Concurrency release error:', error);
+			return Response.json({ error: 'Internal server error' }, { status: 500 });
+		}
+	}
+
+	async alarm() {
+		// Reclaim stale leases
+		await this.getLeases();
+		await this.saveLeases();
+	}
+}
@@ -1,22 +1,49 @@
 /**
  * Distributed Rate Limiter Durable Object
  *
- * Tracks request counts using Cloudflare Durable Objects for distributed rate limiting.
- * Maintains request timestamps and enforces limits across all worker instances.
+ * Enforces request limits across all worker instances with a token bucket per identifier:
+ * the bucket holds up to `burst` requests and refills at `limit` requests per `windowMs`.
+ * Also meters estimated tokens in fixed per-minute and per-day (UTC) windows: a request reserves
+ * its prompt tokens up front (/tokens/reserve) and is reconciled with its final usage afterwards
+ * (/tokens/reconcile).
  *
- * NOTE: This class is exported in index.js but rate limiting is currently DISABLED.
- * To enable rate limiting, you must:
- * 1. Uncomment the durable_objects bindings in wrangler.toml
- * 2. Uncomment the migrations section in wrangler.toml
- * 3. Add rate limiting middleware to your routes
+ * State is O(1) per identifier and served from memory. Changes are written to storage in batches
+ * by the alarm at most FLUSH_INTERVAL_MS later, so an evicted instance loses at most that much
+ * accounting. Entries that are back to their initial state (a full bucket, an ended day) are
+ * deleted from storage instead of being rewritten.
  *
- * This code is kept for future use when rate limiting infrastructure is configured.
+ * Used by the rateLimit middleware (utils/rateLimit.js), which addresses one instance per
+ * API key or client IP via idFromName. Requires the RATE_LIMITER binding and migration in
+ * wrangler.toml; without the binding, requests are not rate limited.
  */
 
+// Fixed windows used for token metering
+const TOKEN_WINDOWS = {
+	minute: 60 * 1000,
+	day: 24 * 60 * 60 * 1000,
+};
+
+// Maximum delay between a state change and its write to storage
+const FLUSH_INTERVAL_MS = 5 * 1000;
+
+// Time at which a stored entry is back to its initial state and no longer needs to be kept
+function entryExpiresAt(key, value) {
+	if (key.startsWith('bucket:')) {
+		return value.updatedAt + (value.capacity - value.tokens) / value.refillPerMs;
+	}
+	return value.day.start + TOKEN_WINDOWS.day;
+}
+
 export class DistributedRateLimiter {
 	constructor(state) {
 		this.state = state;
 		this.storage = state.storage;
+		// Storage key -> state; the source of truth while this instance is alive
+		this.cache = new Map();
+		// Storage keys changed since the last flush
+		this.dirty = new Set();
+		// When the pending alarm fires (flush or cleanup), or null
+		this.alarmTime = null;
 	}
 
 	async fetch(request) {
@@ -26,33 +53,91 @@ export class DistributedRateLimiter {
 			return this.handleRateLimitCheck(request);
 		}
 
+		if (request.method === 'POST' && url.pathname === '/tokens/reserve') {
+			return this.handleTokenReserve(request);
+		}
+
+		if (request.method === 'POST' && url.pathname === '/tokens/reconcile') {
+			return this.handleTokenReconcile(request);
+		}
+
 		return new Response('Not Found', { status: 404 });
 	}
 
+	// Read an entry, hitting storage only the first time this instance sees the key
+	async load(key) {
+		if (!this.cache.has(key)) {
+			this.cache.set(key, (await this.storage.get(key)) ?? null);
+		}
+		return this.cache.get(key);
+	}
+
+	// Update an entry in memory and schedule it to be written with the next batch
+	async save(key, value) {
+		this.cache.set(key, value);
+		this.dirty.add(key);
+		await this.scheduleAlarm(Date.now() + FLUSH_INTERVAL_MS);
+	}
+
+	// Make sure the alarm fires no later than the given time
+	async scheduleAlarm(time) {
+		if (this.alarmTime === null || this.alarmTime > time) {
+			this.alarmTime = time;
+			await this.storage.setAlarm(time);
+		}
+	}
+
+	// Write all pending changes in one batch, dropping entries that are back to their initial state
+	async flush(now = Date.now()) {
+		const puts = {};
+		const deletes = [];
+		for (const key of this.dirty) {
+			const value = this.cache.get(key);
+			if (value && entryExpiresAt(key, value) > now) {
+				puts[key] = value;
+			} else {
+				deletes.push(key);
+				this.cache.delete(key);
+			}
+		}
+		this.dirty.clear();
+
+		if (Object.keys(puts).length > 0) {
+			await this.storage.put(puts);
+		}
+		if (deletes.length > 0) {
+			await this.storage.delete(deletes);
+		}
+	}
+
+	/**
+	 * Take one request from the identifier's bucket.
+	 * Body: { identifier, limit = 100, windowMs = 3600000, burst = limit }
+	 * Answers { allowed, limit, remaining, resetTime, retryAfter }, with status 429 when denied.
+	 */
 	async handleRateLimitCheck(request) {
 		try {
 			const body = await request.json();
 			const { identifier, limit = 100, windowMs = 3600000 } = body;
+			const capacity = Math.max(1, body.burst || limit);
+			const refillPerMs = limit / windowMs;
 
 			if (!identifier) {
 				return Response.json({ error: 'Identifier required' }, { status: 400 });
 			}
 
 			const now = Date.now();
-			const windowStart = now - windowMs;
+			const key = `bucket:${identifier}`;
+			const stored = await this.load(key);
 
-			// Get existing requests within the window
-			const requestsKey = `requests:${identifier}`;
-			const existingRequests = (await this.storage.get(requestsKey)) || [];
+			// Refill for the time elapsed since the last request; limit or burst changes apply immediately
+			const tokens = stored
+				? Math.min(capacity, stored.tokens + (now - stored.updatedAt) * refillPerMs)
+				: capacity;
 
-			// Filter out requests outside the current window
-			const validRequests = existingRequests.filter(timestamp => timestamp > windowStart);
-
-			// Check if limit exceeded
-			if (validRequests.length >= limit) {
-				const oldestRequest = Math.min(...validRequests);
-				const resetTime = oldestRequest + windowMs;
-				const retryAfter = Math.ceil((resetTime - now) / 1000);
+			if (tokens < 1) {
+				const retryAfter = Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000));
+				const resetTime = Math.ceil(now + (capacity - tokens) / refillPerMs);
 
 				return Response.json(
 					{
@@ -74,27 +159,26 @@ export class DistributedRateLimiter {
 				);
 			}
 
-			// Add current request
-			validRequests.push(now);
-			await this.storage.put(requestsKey, validRequests);
+			const bucket = { tokens: tokens - 1, updatedAt: now, capacity, refillPerMs };
+			await this.save(key, bucket);
 
-			// Set alarm to clean up old data
-			const nextCleanup = now + windowMs;
-			await this.state.storage.setAlarm(nextCleanup);
+			// The bucket is full again once every consumed request has been refilled
+			const remaining = Math.floor(bucket.tokens);
+			const resetTime = Math.ceil(now + (capacity - bucket.tokens) / refillPerMs);
 
 			return Response.json(
 				{
 					allowed: true,
 					limit,
-					remaining: limit - validRequests.length,
-					resetTime: windowStart + windowMs,
+					remaining,
+					resetTime,
 					retryAfter: 0,
 				},
 				{
 					headers: {
 						'X-RateLimit-Limit': limit.toString(),
-						'X-RateLimit-Remaining': (limit - validRequests.length).toString(),
-						'X-RateLimit-Reset': Math.ceil((windowStart + windowMs) / 1000).toString(),
+						'X-RateLimit-Remaining': remaining.toString(),
+						'X-RateLimit-Reset': Math.ceil(resetTime / 1000).toString(),
 					},
 				},
 			);
@@ -104,23 +188,115 @@ export class DistributedRateLimiter {
 		}
 	}
 
+	// Load the token windows for an identifier, starting fresh ones whose period has rolled over
+	async getTokenWindows(identifier, now) {
+		const stored = (await this.load(`tokens:${identifier}`)) || {};
+		const windows = {};
+		for (const [name, length] of Object.entries(TOKEN_WINDOWS)) {
+			const start = now - (now % length);
+			windows[name] = stored[name]?.start === start ? { ...stored[name] } : { start, used: 0 };
+		}
+		return windows;
+	}
+
+	// Summarise each limited window as { limit, remaining, resetTime }
+	describeTokenWindows(windows, limits) {
+		const result = {};
+		for (const [name, length] of Object.entries(TOKEN_WINDOWS)) {
+			if (limits[name]) {
+				result[name] = {
+					limit: limits[name],
+					remaining: Math.max(0, limits[name] - windows[name].used),
+					resetTime: windows[name].start + length,
+				};
+			}
+		}
+		return result;
+	}
+
+	async handleTokenReserve(request) {
+		try {
+			const { identifier, tokens = 0, limits = {} } = await request.json();
+
+			if (!identifier) {
+				return Response.json({ error: 'Identifier required' }, { status: 400 });
+			}
+
+			const now = Date.now();
+			const windows = await this.getTokenWindows(identifier, now);
+
+			// Reject when any limited window cannot fit the reservation
+			for (const [name, length] of Object.entries(TOKEN_WINDOWS)) {
+				if (limits[name] && windows[name].used + tokens > limits[name]) {
+					const resetTime = windows[name].start + length;
+					return Response.json(
+						{
+							allowed: false,
+							window: name,
+							windows: this.describeTokenWindows(windows, limits),
+							retryAfter: Math.max(1, Math.ceil((resetTime - now) / 1000)),
+						},
+						{ status: 429 },
+					);
+				}
+			}
+
+			for (const name of Object.keys(TOKEN_WINDOWS)) {
+				windows[name].used += tokens;
+			}
+			await this.save(`tokens:${identifier}`, windows);
+
+			return Response.json({
+				allowed: true,
+				windows: this.describeTokenWindows(windows, limits),
+				retryAfter: 0,
+			});
+		} catch (error) {
+			console.error('Token rate limiting error:', error);
+			return Response.json({ error: 'Internal server error' }, { status: 500 });
+		}
+	}
+
+	// Apply the difference between a request's final usage and its reservation (may be negative)
+	async handleTokenReconcile(request) {
+		try {
+			const { identifier, tokens = 0 } = await request.json();
+
+			if (!identifier) {
+				return Response.json({ error: 'Identifier required' }, { status: 400 });
+			}
+
+			const windows = await this.getTokenWindows(identifier, Date.now());
+			for (const name of Object.keys(TOKEN_WINDOWS)) {
+				windows[name].used = Math.max(0, windows[name].used + tokens);
+			}
+			await this.save(`tokens:${identifier}`, windows);
+
+			return Response.json({ success: true });
+		} catch (error) {
+			console.error('Token reconcile error:', error);
+			return Response.json({ error: 'Internal server error' }, { status: 500 });
+		}
+	}
+
 	async alarm() {
-		// Clean up old request data periodically
 		const now = Date.now();
-		const keys = await this.storage.list();
-
-		for (const [key, value] of keys) {
-			if (key.startsWith('requests:')) {
-				// Keep only requests from the last 2 hours to be safe
-				const recentRequests = value.filter(timestamp => timestamp > now - 7200000);
-				if (recentRequests.length !== value.length) {
-					if (recentRequests.length === 0) {
-						await this.storage.delete(key);
-					} else {
-						await this.storage.put(key, recentRequests);
-					}
-				}
+		this.alarmTime = null;
+
+		// Entries that have expired since they were written are deleted by this flush
+		for (const [key, value] of this.cache) {
+			if (value && entryExpiresAt(key, value) <= now) {
+				this.dirty.add(key);
 			}
 		}
+		await this.flush(now);
+
+		// Come back when the earliest remaining entry expires, so idle identifiers leave nothing in storage
+		const nextExpiry = Math.min(
+			...[...this.cache].filter(([, value]) => value).map(([key, value]) => entryExpiresAt(key, value)),
+		);
+		if (Number.isFinite(nextExpiry)) {
+			await this.scheduleAlarm(Math.ceil(nextExpiry));
+		}
 	}
 }
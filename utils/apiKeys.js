@@ -0,0 +1,387 @@
+/**
+ * API key registry backed by Cloudflare D1 (see schema.sql).
+ *
+ * Keys are stored as SHA-256 hashes of their secret; the plaintext secret is never persisted.
+ * A resolved key becomes the request "principal" that downstream middleware and handlers use
+ * for scope checks and per-key policies.
+ */
+
+import { BUDGET_FIELDS } from './budget.js';
+import { RATE_LIMIT_FIELDS } from './rateLimit.js';
+
+// Route scopes a key can be granted. '*' grants every scope.
+export const API_KEY_SCOPES = ['chat', 'completions', 'embeddings', 'audio', 'images', 'rag'];
+
+// Prefix shared by all gateway-issued secrets, so they are easy to recognise in logs and configs
+export const API_KEY_PREFIX = 'sk-gw-';
+
+// Upper bound for the rotation grace period (30 days)
+export const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Generate a new random API key secret.
+ * Uses crypto.getRandomValues (unlike utils/ids.js) because the result is a credential.
+ * @returns {string} Plaintext secret, e.g. sk-gw-3f9a...
+ */
+export function generateApiKey() {
+	const bytes = crypto.getRandomValues(new Uint8Array(24));
+	return API_KEY_PREFIX + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash an API key secret for storage and lookup.
+ * @param {string} secret - The plaintext API key
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export async function hashApiKey(secret) {
+	const data = new TextEncoder().encode(secret);
+	const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+	return Array.from(new Uint8Array(hashBuffer))
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('');
+}
+
+function parseJsonColumn(row, column, fallback) {
+	if (row[column] === undefined || row[column] === null) {
+		return fallback;
+	}
+	try {
+		return JSON.parse(row[column]);
+	} catch {
+		console.error(`Invalid ${column} JSON for API key ${row.id}`);
+		return fallback;
+	}
+}
+
+// Per-key rate limit overrides live in rate_limit_tier plus one column per RATE_LIMIT_FIELDS entry
+function parseRateLimits(row) {
+	const rateLimits = { tier: row.rate_limit_tier || null };
+	for (const [column, property] of Object.entries(RATE_LIMIT_FIELDS)) {
+		rateLimits[property] = row[column] ?? null;
+	}
+	return rateLimits;
+}
+
+function serializeRateLimits(rateLimits) {
+	const serialized = { tier: rateLimits.tier };
+	for (const [field, property] of Object.entries(RATE_LIMIT_FIELDS)) {
+		serialized[field] = rateLimits[property];
+	}
+	return serialized;
+}
+
+// Spend budgets live in one budget_<field> column per BUDGET_FIELDS entry
+function parseBudget(row) {
+	const budget = {};
+	for (const [field, property] of Object.entries(BUDGET_FIELDS)) {
+		budget[property] = row[`budget_${field}`] ?? null;
+	}
+	return budget;
+}
+
+function serializeBudget(budget) {
+	const serialized = {};
+	for (const [field, property] of Object.entries(BUDGET_FIELDS)) {
+		serialized[field] = budget[property];
+	}
+	return serialized;
+}
+
+/**
+ * Convert a D1 row from the api_keys table into a key record.
+ * @param {Object} row - Raw row from D1
+ * @returns {Object} Key record with parsed scopes, model policy, rate limits, budget and booleans
+ */
+export function parseApiKeyRow(row) {
+	const scopes = parseJsonColumn(row, 'scopes', []);
+	const allowedModels = parseJsonColumn(row, 'allowed_models', null);
+	const blockedModels = parseJsonColumn(row, 'blocked_models', []);
+	const aliases = parseJsonColumn(row, 'model_aliases', {});
+
+	return {
+		id: row.id,
+		name: row.name,
+		keyPrefix: row.key_prefix,
+		scopes: Array.isArray(scopes) ? scopes : [],
+		modelPolicy: {
+			allowedModels: Array.isArray(allowedModels) ? allowedModels : null,
+			blockedModels: Array.isArray(blockedModels) ? blockedModels : [],
+			aliases: aliases && typeof aliases === 'object' ? aliases : {},
+		},
+		rateLimits: parseRateLimits(row),
+		budget: parseBudget(row),
+		enabled: Boolean(row.enabled),
+		createdAt: row.created_at,
+		expiresAt: row.expires_at || null,
+		lastUsedAt: row.last_used_at || null,
+		previousKeyExpiresAt: row.previous_key_hash ? row.previous_key_expires_at : null,
+		revokedAt: row.revoked_at || null,
+	};
+}
+
+/**
+ * Convert a key record into its public (snake_case) API representation.
+ * @param {Object} key - Key record from parseApiKeyRow
+ * @returns {Object}
+ */
+export function serializeApiKey(key) {
+	return {
+		id: key.id,
+		object: 'api_key',
+		name: key.name,
+		key_prefix: key.keyPrefix,
+		scopes: key.scopes,
+		model_policy: {
+			allowed_models: key.modelPolicy.allowedModels,
+			blocked_models: key.modelPolicy.blockedModels,
+			aliases: key.modelPolicy.aliases,
+		},
+		rate_limits: serializeRateLimits(key.rateLimits),
+		budget: serializeBudget(key.budget),
+		enabled: key.enabled,
+		created_at: key.createdAt,
+		expires_at: key.expiresAt,
+		last_used_at: key.lastUsedAt,
+		previous_key_expires_at: key.previousKeyExpiresAt,
+		revoked_at: key.revokedAt,
+	};
+}
+
+/**
+ * Look up an API key by the hash of its secret.
+ * Also matches the previous secret of a rotated key; such matches are flagged with usedPreviousSecret
+ * so the caller can enforce the grace period.
+ * @param {D1Database} db - The D1 database binding
+ * @param {string} keyHash - Hex SHA-256 digest of the secret
+ * @returns {Promise<Object|null>} Key record or null if not found
+ */
+export async function findApiKeyByHash(db, keyHash) {
+	const row = await db
+		.prepare('SELECT * FROM api_keys WHERE key_hash = ?1 OR previous_key_hash = ?1')
+		.bind(keyHash)
+		.first();
+	if (!row) {
+		return null;
+	}
+	return {
+		...parseApiKeyRow(row),
+		usedPreviousSecret: row.key_hash !== keyHash,
+	};
+}
+
+/**
+ * Look up an API key by id.
+ * @param {D1Database} db - The D1 database binding
+ * @param {string} id - The key id
+ * @returns {Promise<Object|null>} Key record or null if not found
+ */
+export async function getApiKey(db, id) {
+	const row = await db.prepare('SELECT * FROM api_keys WHERE id = ?').bind(id).first();
+	return row ? parseApiKeyRow(row) : null;
+}
+
+/**
+ * List all API keys, newest first.
+ * @param {D1Database} db - The D1 database binding
+ * @returns {Promise<Array<Object>>} Key records
+ */
+export async function listApiKeys(db) {
+	const { results } = await db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC').all();
+	return (results || []).map(parseApiKeyRow);
+}
+
+// Serialize a model policy into its api_keys column values
+function modelPolicyColumns(modelPolicy = {}) {
+	return {
+		allowed_models: Array.isArray(modelPolicy.allowedModels) ? JSON.stringify(modelPolicy.allowedModels) : null,
+		blocked_models: JSON.stringify(modelPolicy.blockedModels || []),
+		model_aliases: JSON.stringify(modelPolicy.aliases || {}),
+	};
+}
+
+// Serialize per-key rate limit overrides into their api_keys column values
+function rateLimitColumns(rateLimits = {}) {
+	const columns = { rate_limit_tier: rateLimits.tier ?? null };
+	for (const [column, property] of Object.entries(RATE_LIMIT_FIELDS)) {
+		columns[column] = rateLimits[property] ?? null;
+	}
+	return columns;
+}
+
+// Serialize a spend budget into its api_keys column values
+function budgetColumns(budget = {}) {
+	const columns = {};
+	for (const [field, property] of Object.entries(BUDGET_FIELDS)) {
+		columns[`budget_${field}`] = budget[property] ?? null;
+	}
+	return columns;
+}
+
+/**
+ * Issue a new API key.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} options - Key attributes
+ * @param {string} options.name - Human-readable key name
+ * @param {Array<string>} [options.scopes=['*']] - Granted route scopes
+ * @param {string|null} [options.expiresAt=null] - ISO expiry date
+ * @param {Object} [options.modelPolicy] - { allowedModels, blockedModels, aliases }
+ * @param {Object} [options.rateLimits] - { tier, requestsPerMinute, tokensPerMinute, tokensPerDay };
+ *   null fields fall back to the key's tier
+ * @param {Object} [options.budget] - { tokensPerDay, tokensPerMonth, neuronsPerDay, neuronsPerMonth, softLimit };
+ *   null fields are not capped
+ * @returns {Promise<{key: Object, secret: string}>} The stored record and the plaintext secret (shown once)
+ */
+export async function createApiKey(
+	db,
+	{ name, scopes = ['*'], expiresAt = null, modelPolicy = {}, rateLimits = {}, budget = {} },
+) {
+	const secret = generateApiKey();
+	const row = {
+		id: `key_${crypto.randomUUID().replace(/-/g, '')}`,
+		name,
+		key_hash: await hashApiKey(secret),
+		key_prefix: secret.slice(0, API_KEY_PREFIX.length + 6),
+		scopes: JSON.stringify(scopes),
+		enabled: 1,
+		created_at: new Date().toISOString(),
+		expires_at: expiresAt,
+		...modelPolicyColumns(modelPolicy),
+		...rateLimitColumns(rateLimits),
+		...budgetColumns(budget),
+	};
+
+	const columns = Object.keys(row);
+	await db
+		.prepare(`INSERT INTO api_keys (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+		.bind(...columns.map(column => row[column]))
+		.run();
+
+	return { key: parseApiKeyRow(row), secret };
+}
+
+/**
+ * Update a key's mutable attributes. Only the provided fields are changed.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} key - The existing key record
+ * @param {Object} changes - Any of name, scopes, expiresAt, modelPolicy, rateLimits, budget
+ * @returns {Promise<Object>} The updated record
+ */
+export async function updateApiKey(db, key, changes) {
+	const columns = {};
+	if (changes.name !== undefined) columns.name = changes.name;
+	if (changes.scopes !== undefined) columns.scopes = JSON.stringify(changes.scopes);
+	if (changes.expiresAt !== undefined) columns.expires_at = changes.expiresAt;
+	if (changes.modelPolicy !== undefined) Object.assign(columns, modelPolicyColumns(changes.modelPolicy));
+	if (changes.rateLimits !== undefined) Object.assign(columns, rateLimitColumns(changes.rateLimits));
+	if (changes.budget !== undefined) Object.assign(columns, budgetColumns(changes.budget));
+
+	const names = Object.keys(columns);
+	if (names.length > 0) {
+		await db
+			.prepare(`UPDATE api_keys SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`)
+			.bind(...names.map(name => columns[name]), key.id)
+			.run();
+	}
+
+	return {
+		...key,
+		...(changes.name !== undefined && { name: changes.name }),
+		...(changes.scopes !== undefined && { scopes: changes.scopes }),
+		...(changes.expiresAt !== undefined && { expiresAt: changes.expiresAt }),
+		...(changes.modelPolicy !== undefined && {
+			modelPolicy: {
+				allowedModels: changes.modelPolicy.allowedModels ?? null,
+				blockedModels: changes.modelPolicy.blockedModels || [],
+				aliases: changes.modelPolicy.aliases || {},
+			},
+		}),
+		...(changes.rateLimits !== undefined && { rateLimits: parseRateLimits(rateLimitColumns(changes.rateLimits)) }),
+		...(changes.budget !== undefined && { budget: parseBudget(budgetColumns(changes.budget)) }),
+	};
+}
+
+/**
+ * Replace a key's secret. The old secret keeps working until the grace period ends.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} key - The existing key record
+ * @param {number} graceSeconds - How long the old secret remains valid (0 = revoke immediately)
+ * @returns {Promise<{key: Object, secret: string}>} The updated record and the new plaintext secret
+ */
+export async function rotateApiKey(db, key, graceSeconds) {
+	const secret = generateApiKey();
+	const keyHash = await hashApiKey(secret);
+	const keyPrefix = secret.slice(0, API_KEY_PREFIX.length + 6);
+	const previousExpiresAt = graceSeconds > 0 ? new Date(Date.now() + graceSeconds * 1000).toISOString() : null;
+
+	// previous_key_hash takes the current key_hash: SQLite evaluates the right-hand sides against the old row
+	await db
+		.prepare(
+			`UPDATE api_keys
+			SET previous_key_hash = CASE WHEN ?1 IS NULL THEN NULL ELSE key_hash END,
+				previous_key_expires_at = ?1,
+				key_hash = ?2,
+				key_prefix = ?3
+			WHERE id = ?4`,
+		)
+		.bind(previousExpiresAt, keyHash, keyPrefix, key.id)
+		.run();
+
+	return {
+		key: { ...key, keyPrefix, previousKeyExpiresAt: previousExpiresAt },
+		secret,
+	};
+}
+
+/**
+ * Revoke a key immediately, including any secret still inside a rotation grace period.
+ * The row is kept so that usage history and last-used timestamps remain visible.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} key - The existing key record
+ * @returns {Promise<Object>} The updated record
+ */
+export async function revokeApiKey(db, key) {
+	const revokedAt = new Date().toISOString();
+	await db
+		.prepare(
+			'UPDATE api_keys SET enabled = 0, revoked_at = ?, previous_key_hash = NULL, previous_key_expires_at = NULL WHERE id = ?',
+		)
+		.bind(revokedAt, key.id)
+		.run();
+
+	return { ...key, enabled: false, revokedAt, previousKeyExpiresAt: null };
+}
+
+/**
+ * Record that a key was just used.
+ * @param {D1Database} db - The D1 database binding
+ * @param {string} id - The key id
+ * @param {Date} [when=new Date()] - Usage time
+ */
+export async function touchApiKey(db, id, when = new Date()) {
+	try {
+		await db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').bind(when.toISOString(), id).run();
+	} catch (error) {
+		console.error('Failed to update API key last_used_at:', error);
+	}
+}
+
+/**
+ * Check whether a key has passed its expiry date.
+ * @param {Object} key - Key record
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isApiKeyExpired(key, now = Date.now()) {
+	return Boolean(key.expiresAt) && Date.parse(key.expiresAt) <= now;
+}
+
+/**
+ * Check whether a principal has been granted a route scope.
+ * @param {Object} principal - The authenticated principal
+ * @param {string} scope - Scope name from API_KEY_SCOPES
+ * @returns {boolean}
+ */
+export function hasScope(principal, scope) {
+	const scopes = principal?.scopes || [];
+	return scopes.includes('*') || scopes.includes(scope);
+}
@@ -0,0 +1,226 @@
+// Authentication middleware: resolves the caller's API key to a principal attached to the request
+import { findApiKeyByHash, getApiKey, hashApiKey, hasScope, isApiKeyExpired, touchApiKey } from './apiKeys.js';
+import { AuthenticationError, PermissionError, createErrorResponse } from './errors.js';
+
+// Principal used for the single env.ACCESS_TOKEN secret, which keeps working alongside the key registry
+const LEGACY_PRINCIPAL = {
+	id: 'legacy',
+	name: 'ACCESS_TOKEN',
+	scopes: ['*'],
+	legacy: true,
+};
+
+// Lifetime of signed query-string tokens: default and upper bound (seconds)
+export const SIGNED_TOKEN_DEFAULT_TTL_SECONDS = 5 * 60;
+export const SIGNED_TOKEN_MAX_TTL_SECONDS = 60 * 60;
+
+// Headers that may carry an API key besides Authorization: Azure OpenAI and Anthropic-style clients
+const API_KEY_HEADERS = ['api-key', 'x-api-key'];
+
+export function extractToken(authorizationHeader) {
+	if (authorizationHeader) {
+		const parts = authorizationHeader.split(' ');
+		if (parts.length === 2 && parts[0] === 'Bearer') {
+			return parts[1];
+		}
+	}
+	return null;
+}
+
+/**
+ * Find the API key a request presents, in the Authorization header (Bearer) or an api-key / x-api-key header.
+ * @param {Request} request - The incoming request
+ * @returns {string|null} The presented secret
+ */
+export function extractApiKey(request) {
+	const bearer = extractToken(request.headers.get('Authorization'));
+	if (bearer) {
+		return bearer;
+	}
+	for (const header of API_KEY_HEADERS) {
+		const value = request.headers.get(header)?.trim();
+		if (value) {
+			return value;
+		}
+	}
+	return null;
+}
+
+// Reject keys that may no longer be used, whichever way they were presented
+function assertKeyUsable(key) {
+	if (!key.enabled) {
+		throw new AuthenticationError('API key has been disabled');
+	}
+	if (isApiKeyExpired(key)) {
+		throw new AuthenticationError(`API key expired at ${key.expiresAt}`);
+	}
+	return key;
+}
+
+/**
+ * Resolve a presented secret to a principal.
+ * @param {string} token - The secret presented by the client
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object>} The principal
+ * @throws {AuthenticationError} If the key is unknown, disabled or expired
+ */
+export async function resolvePrincipal(token, env) {
+	if (env.ACCESS_TOKEN && token === env.ACCESS_TOKEN) {
+		return LEGACY_PRINCIPAL;
+	}
+
+	if (!env.DB) {
+		throw new AuthenticationError('Invalid API key');
+	}
+
+	const key = await findApiKeyByHash(env.DB, await hashApiKey(token));
+	if (!key) {
+		throw new AuthenticationError('Invalid API key');
+	}
+	if (key.usedPreviousSecret && (!key.previousKeyExpiresAt || Date.parse(key.previousKeyExpiresAt) <= Date.now())) {
+		throw new AuthenticationError('API key has been rotated. Use the new key.');
+	}
+
+	return assertKeyUsable(key);
+}
+
+// Signed tokens are base64url(payload).base64url(HMAC-SHA256(payload)), signed with env.SIGNED_TOKEN_SECRET
+function base64UrlEncode(bytes) {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function importSigningKey(secret) {
+	return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+		'sign',
+		'verify',
+	]);
+}
+
+/**
+ * Issue a short-lived token that authenticates GET requests as the principal via ?token=.
+ * @param {Object} principal - The authenticated principal
+ * @param {Object} env - Worker environment bindings (SIGNED_TOKEN_SECRET)
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds=SIGNED_TOKEN_DEFAULT_TTL_SECONDS] - Token lifetime
+ * @param {string|null} [options.path=null] - Restrict the token to this request path
+ * @returns {Promise<{token: string, expiresAt: number}>} The token and its expiry (epoch seconds)
+ */
+export async function createSignedToken(
+	principal,
+	env,
+	{ ttlSeconds = SIGNED_TOKEN_DEFAULT_TTL_SECONDS, path = null } = {},
+) {
+	const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+	const payload = new TextEncoder().encode(JSON.stringify({ sub: principal.id, exp: expiresAt, path }));
+	const signature = await crypto.subtle.sign('HMAC', await importSigningKey(env.SIGNED_TOKEN_SECRET), payload);
+
+	return {
+		token: `${base64UrlEncode(payload)}.${base64UrlEncode(new Uint8Array(signature))}`,
+		expiresAt,
+	};
+}
+
+/**
+ * Resolve a signed query-string token to a principal, applying the same checks as a presented key.
+ * @param {string} token - The token from createSignedToken
+ * @param {Request} request - The incoming request, whose path must match a path-restricted token
+ * @param {Object} env - Worker environment bindings
+ * @returns {Promise<Object>} The principal
+ * @throws {AuthenticationError} If the token is malformed, forged, expired or its key can no longer be used
+ */
+export async function resolveSignedToken(token, request, env) {
+	if (!env.SIGNED_TOKEN_SECRET) {
+		throw new AuthenticationError('Signed tokens are not enabled');
+	}
+
+	let payload;
+	try {
+		const [encodedPayload, encodedSignature] = token.split('.');
+		const bytes = base64UrlDecode(encodedPayload);
+		const valid = await crypto.subtle.verify(
+			'HMAC',
+			await importSigningKey(env.SIGNED_TOKEN_SECRET),
+			base64UrlDecode(encodedSignature),
+			bytes,
+		);
+		payload = valid ? JSON.parse(new TextDecoder().decode(bytes)) : null;
+	} catch {
+		payload = null;
+	}
+
+	if (!payload) {
+		throw new AuthenticationError('Invalid signed token');
+	}
+	if (payload.exp <= Date.now() / 1000) {
+		throw new AuthenticationError('Signed token has expired');
+	}
+	if (payload.path && payload.path !== new URL(request.url).pathname) {
+		throw new AuthenticationError('Signed token is not valid for this path');
+	}
+
+	if (payload.sub === LEGACY_PRINCIPAL.id) {
+		return LEGACY_PRINCIPAL;
+	}
+	const key = env.DB ? await getApiKey(env.DB, payload.sub) : null;
+	if (!key) {
+		throw new AuthenticationError('Invalid signed token');
+	}
+	return assertKeyUsable(key);
+}
+
+// MIDDLEWARE: authenticate - embeds the principal in the Request or returns a 401.
+// Accepts a key in Authorization: Bearer, api-key or x-api-key, or a signed ?token= on GET requests
+// (for clients such as EventSource that cannot set headers).
+export const authenticate = async (request, env, ctx) => {
+	const token = extractApiKey(request);
+	const signedToken = request.method === 'GET' ? new URL(request.url).searchParams.get('token') : null;
+	if (!token && !signedToken) {
+		return createErrorResponse(
+			new AuthenticationError('Missing API key. Use "Authorization: Bearer <key>", "api-key" or "x-api-key".'),
+		);
+	}
+
+	try {
+		request.principal = token ? await resolvePrincipal(token, env) : await resolveSignedToken(signedToken, request, env);
+	} catch (error) {
+		return createErrorResponse(error);
+	}
+
+	if (!request.principal.legacy && env.DB) {
+		const touch = touchApiKey(env.DB, request.principal.id);
+		if (ctx?.waitUntil) {
+			ctx.waitUntil(touch);
+		}
+	}
+};
+
+// MIDDLEWARE: authenticateAdmin - guards the /admin routes with env.ADMIN_TOKEN, which client keys never match
+export const authenticateAdmin = (request, env) => {
+	if (!env.ADMIN_TOKEN) {
+		return createErrorResponse(new PermissionError('Admin API is disabled. Set the ADMIN_TOKEN secret to enable it.'));
+	}
+	const token = extractToken(request.headers.get('Authorization'));
+	if (!token) {
+		return createErrorResponse(new AuthenticationError('Missing admin token. Use "Authorization: Bearer <token>".'));
+	}
+	if (token !== env.ADMIN_TOKEN) {
+		return createErrorResponse(new PermissionError('Invalid admin token'));
+	}
+};
+
+// MIDDLEWARE FACTORY: requireScope - returns a 403 unless the principal holds the scope
+export const requireScope = scope => request => {
+	if (!hasScope(request.principal, scope)) {
+		return createErrorResponse(
+			new PermissionError(`API key "${request.principal?.name}" does not have the "${scope}" scope`),
+		);
+	}
+};
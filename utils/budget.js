@@ -0,0 +1,223 @@
+// Daily and monthly spend caps per API key, tracked in D1 (usage_budgets in schema.sql).
+// Costs are counted in tokens and in estimated Workers AI neurons; models billed per call (audio, images)
+// are converted with configurable price weights.
+import { InsufficientQuotaError } from './errors.js';
+import { MODEL_CATEGORIES } from './models.js';
+import { addUsageHook } from './usage.js';
+
+// Budget fields as they appear in the admin API (snake_case) and in key records (camelCase).
+// Each is stored in the api_keys column budget_<field>.
+export const BUDGET_FIELDS = {
+	tokens_per_day: 'tokensPerDay',
+	tokens_per_month: 'tokensPerMonth',
+	neurons_per_day: 'neuronsPerDay',
+	neurons_per_month: 'neuronsPerMonth',
+	soft_limit: 'softLimit',
+};
+
+// Share of a budget after which responses carry an x-budget-warning header
+export const DEFAULT_SOFT_LIMIT = 0.8;
+
+// Estimated price of each model category. Token-billed models cost neuronsPer1kTokens; models billed
+// per call cost tokensPerCall against token budgets and neuronsPerCall against neuron budgets.
+// Override per model with MODEL_PRICE_WEIGHTS, e.g.
+// '{"@cf/black-forest-labs/flux-1-schnell": {"tokens_per_call": 2000, "neurons_per_call": 120}}'
+export const DEFAULT_PRICE_WEIGHTS = {
+	chat: { neuronsPer1kTokens: 30 },
+	completion: { neuronsPer1kTokens: 30 },
+	embeddings: { neuronsPer1kTokens: 1 },
+	audio_stt: { tokensPerCall: 500, neuronsPerCall: 40 },
+	audio_tts: { tokensPerCall: 500, neuronsPerCall: 40 },
+	audio_translation: { tokensPerCall: 250, neuronsPerCall: 10 },
+	image_generation: { tokensPerCall: 1000, neuronsPerCall: 100 },
+};
+
+// Each budget limit, the counter it is checked against and how it is described to the caller
+const BUDGET_LIMITS = [
+	{ property: 'tokensPerDay', period: 'day', unit: 'tokens', label: 'daily token budget' },
+	{ property: 'tokensPerMonth', period: 'month', unit: 'tokens', label: 'monthly token budget' },
+	{ property: 'neuronsPerDay', period: 'day', unit: 'neurons', label: 'daily neuron budget' },
+	{ property: 'neuronsPerMonth', period: 'month', unit: 'neurons', label: 'monthly neuron budget' },
+];
+
+/**
+ * Get the price weights of a model: its MODEL_PRICE_WEIGHTS override, else its category's defaults.
+ * @param {string} model - Resolved model path
+ * @param {Object} env - Worker environment bindings
+ * @returns {{neuronsPer1kTokens?: number, tokensPerCall?: number, neuronsPerCall?: number}}
+ */
+export function getPriceWeights(model, env = {}) {
+	const category = Object.keys(DEFAULT_PRICE_WEIGHTS).find(name => MODEL_CATEGORIES[name]?.includes(model));
+	const weights = { ...DEFAULT_PRICE_WEIGHTS[category] };
+
+	let overrides = env.MODEL_PRICE_WEIGHTS;
+	if (typeof overrides === 'string') {
+		try {
+			overrides = JSON.parse(overrides);
+		} catch {
+			console.error('Invalid MODEL_PRICE_WEIGHTS JSON, using the default price weights');
+			overrides = null;
+		}
+	}
+
+	const override = overrides?.[model];
+	if (override) {
+		if (override.neurons_per_1k_tokens !== undefined) weights.neuronsPer1kTokens = override.neurons_per_1k_tokens;
+		if (override.tokens_per_call !== undefined) weights.tokensPerCall = override.tokens_per_call;
+		if (override.neurons_per_call !== undefined) weights.neuronsPerCall = override.neurons_per_call;
+	}
+	return weights;
+}
+
+/**
+ * Cost a reported usage in tokens and estimated neurons.
+ * @param {Object} usage - { model, totalTokens, calls } as passed to usage hooks
+ * @param {Object} env - Worker environment bindings
+ * @returns {{tokens: number, neurons: number}}
+ */
+export function estimateCost(usage, env = {}) {
+	const weights = getPriceWeights(usage.model, env);
+	const tokens = usage.totalTokens || 0;
+	const calls = usage.calls || 0;
+
+	return {
+		tokens: tokens + calls * (weights.tokensPerCall || 0),
+		neurons: (tokens / 1000) * (weights.neuronsPer1kTokens || 0) + calls * (weights.neuronsPerCall || 0),
+	};
+}
+
+/**
+ * Current budget periods (UTC).
+ * @param {Date} [now=new Date()]
+ * @returns {{day: string, month: string}} e.g. { day: '2026-10-19', month: '2026-10' }
+ */
+export function getBudgetPeriods(now = new Date()) {
+	const iso = now.toISOString();
+	return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Read a key's spend in the current day and month.
+ * @param {D1Database} db - The D1 database binding
+ * @param {string} keyId - The key id
+ * @param {Object} periods - From getBudgetPeriods
+ * @returns {Promise<{day: {tokens: number, neurons: number}, month: {tokens: number, neurons: number}}>}
+ */
+export async function getBudgetUsage(db, keyId, periods) {
+	const { results } = await db
+		.prepare('SELECT period, tokens, neurons FROM usage_budgets WHERE key_id = ? AND period IN (?, ?)')
+		.bind(keyId, periods.day, periods.month)
+		.all();
+
+	const usage = { day: { tokens: 0, neurons: 0 }, month: { tokens: 0, neurons: 0 } };
+	for (const row of results || []) {
+		usage[row.period === periods.day ? 'day' : 'month'] = { tokens: row.tokens, neurons: row.neurons };
+	}
+	return usage;
+}
+
+/**
+ * Add a cost to a key's day and month counters.
+ * @param {D1Database} db - The D1 database binding
+ * @param {string} keyId - The key id
+ * @param {{tokens: number, neurons: number}} cost - From estimateCost
+ * @param {Object} [periods] - From getBudgetPeriods; defaults to now
+ */
+export async function recordBudgetUsage(db, keyId, cost, periods = getBudgetPeriods()) {
+	const statement = db.prepare(
+		`INSERT INTO usage_budgets (key_id, period, tokens, neurons) VALUES (?, ?, ?, ?)
+		ON CONFLICT (key_id, period) DO UPDATE SET tokens = tokens + excluded.tokens, neurons = neurons + excluded.neurons`,
+	);
+	await db.batch([
+		statement.bind(keyId, periods.day, cost.tokens, cost.neurons),
+		statement.bind(keyId, periods.month, cost.tokens, cost.neurons),
+	]);
+}
+
+// When a period's budget becomes available again
+function periodResetsAt(period, now = new Date()) {
+	return period === 'day'
+		? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+		: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Compare a key's spend with its budget.
+ * @param {Object} budget - The key's budget record
+ * @param {Object} usage - From getBudgetUsage
+ * @returns {{exhausted: Object|null, warnings: Array<string>}} The first exhausted limit, and soft-limit warnings
+ */
+export function evaluateBudget(budget, usage) {
+	const softLimit = budget.softLimit ?? DEFAULT_SOFT_LIMIT;
+	const warnings = [];
+
+	for (const limit of BUDGET_LIMITS) {
+		const max = budget[limit.property];
+		if (!max) {
+			continue;
+		}
+		const used = usage[limit.period][limit.unit];
+		if (used >= max) {
+			return { exhausted: { ...limit, max }, warnings };
+		}
+		if (used >= max * softLimit) {
+			warnings.push(`${Math.floor((used / max) * 100)}% of the ${limit.label} used`);
+		}
+	}
+
+	return { exhausted: null, warnings };
+}
+
+// MIDDLEWARE: enforceBudget - registers the usage hook that rejects requests from keys whose budget is spent
+// and adds each request's cost to the key's counters. Keys without a budget, and ACCESS_TOKEN, are not capped.
+export const enforceBudget = (request, env, ctx) => {
+	const principal = request.principal;
+	const budget = principal?.budget;
+	if (!env.DB || !budget || principal.legacy || !BUDGET_LIMITS.some(limit => budget[limit.property])) {
+		return;
+	}
+
+	addUsageHook(request, {
+		async check() {
+			const { exhausted, warnings } = evaluateBudget(
+				budget,
+				await getBudgetUsage(env.DB, principal.id, getBudgetPeriods()),
+			);
+			if (exhausted) {
+				throw new InsufficientQuotaError(
+					`You exceeded the ${exhausted.label} of this API key (${exhausted.max} ${exhausted.unit}). ` +
+						`It resets at ${periodResetsAt(exhausted.period).toISOString()}.`,
+				);
+			}
+			request.budgetWarning = warnings.join('; ') || null;
+		},
+
+		report(usage) {
+			const cost = estimateCost(usage, env);
+			if (usage.cached || (!cost.tokens && !cost.neurons)) {
+				return;
+			}
+			const pending = recordBudgetUsage(env.DB, principal.id, cost).catch(error =>
+				console.error('Failed to record budget usage:', error),
+			);
+			ctx?.waitUntil?.(pending);
+		},
+	});
+};
+
+// FINALLY HANDLER: withBudgetWarning - adds x-budget-warning once a key passes its soft limit
+export const withBudgetWarning = (response, request) => {
+	if (!request.budgetWarning || !(response instanceof Response)) {
+		return response;
+	}
+
+	const headers = new Headers(response.headers);
+	headers.set('x-budget-warning', request.budgetWarning);
+	const exposed = headers.get('Access-Control-Expose-Headers');
+	headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, x-budget-warning` : 'x-budget-warning');
+	return new Response(response.body, {
+		status: response.status,
+		statusText: response.statusText,
+		headers,
+	});
+};
@@ -9,9 +9,18 @@ export async function generateCacheKey(model, messages, params = {}) {
 	const cacheData = {
 		model,
 		messages,
-		temperature: params.temperature || 0.7,
+		temperature: params.temperature ?? 0.7,
 		max_tokens: params.max_tokens || 4096,
-		top_p: params.top_p || 0.9,
+		top_p: params.top_p ?? 0.9,
+		top_k: params.top_k,
+		seed: params.seed,
+		frequency_penalty: params.frequency_penalty,
+		presence_penalty: params.presence_penalty,
+		repetition_penalty: params.repetition_penalty,
+		stop: params.stop,
+		response_format: params.response_format,
+		reasoning: params.reasoning,
+		include_reasoning: params.include_reasoning,
 	};
 
 	const encoder = new TextEncoder();
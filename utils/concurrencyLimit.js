@@ -0,0 +1,83 @@
+// Per-key cap on requests in flight, backed by the ConcurrencyLimiter Durable Object.
+// Long-running streams hold their slot until the response body has been fully sent or cancelled.
+import { ConcurrencyLimitError, createErrorResponse } from './errors.js';
+import { getRateLimitIdentifier, resolveRateLimit } from './rateLimit.js';
+import { onResponseEnd } from './stream.js';
+
+/**
+ * Call an endpoint of the identifier's ConcurrencyLimiter instance.
+ * @param {Object} stub - Durable Object stub
+ * @param {string} path - /acquire or /release
+ * @param {Object} body - Endpoint parameters
+ * @returns {Promise<Object>} The parsed JSON answer
+ */
+async function callConcurrencyLimiter(stub, path, body) {
+	const response = await stub.fetch(`https://concurrency-limiter${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+
+	// The Durable Object answers 429 with a JSON body when every slot is taken
+	if (!response.ok && response.status !== 429) {
+		throw new Error(`Concurrency limiter returned ${response.status}`);
+	}
+	return response.json();
+}
+
+// MIDDLEWARE: concurrencyLimit - leases an in-flight slot for the request or returns a 429.
+// Runs after rateLimit. Fails open if the Durable Object is not bound or unavailable.
+export const concurrencyLimit = async (request, env, ctx) => {
+	if (!env.CONCURRENCY_LIMITER) {
+		return;
+	}
+
+	const { maxConcurrentRequests } = resolveRateLimit(request.principal, env);
+	if (!maxConcurrentRequests) {
+		return;
+	}
+
+	const identifier = getRateLimitIdentifier(request);
+	const stub = env.CONCURRENCY_LIMITER.get(env.CONCURRENCY_LIMITER.idFromName(identifier));
+
+	let result;
+	try {
+		result = await callConcurrencyLimiter(stub, '/acquire', { identifier, limit: maxConcurrentRequests });
+	} catch (error) {
+		console.error('Concurrency limiter unavailable, allowing request:', error);
+		return;
+	}
+
+	if (!result.allowed) {
+		return createErrorResponse(
+			new ConcurrencyLimitError(
+				`Too many concurrent requests: at most ${result.limit} requests may be in flight at once. Wait for a running request to finish.`,
+			),
+		);
+	}
+
+	// Released by withConcurrencyRelease once the response is done
+	request.concurrencyLease = { stub, leaseId: result.leaseId, ctx };
+};
+
+// FINALLY HANDLER: withConcurrencyRelease - returns the request's slot when its response body ends or is cancelled
+export const withConcurrencyRelease = (response, request) => {
+	const lease = request.concurrencyLease;
+	if (!lease) {
+		return response;
+	}
+
+	const release = () => {
+		const pending = callConcurrencyLimiter(lease.stub, '/release', { leaseId: lease.leaseId }).catch(error =>
+			console.error('Failed to release concurrency lease:', error),
+		);
+		lease.ctx?.waitUntil?.(pending);
+	};
+
+	if (!(response instanceof Response)) {
+		release();
+		return response;
+	}
+
+	return onResponseEnd(response, release);
+};
@@ -0,0 +1,186 @@
+// Fitting chat conversations into a model's context window
+
+// Turns are summarized in blocks of this many, so the summarized prefix, and its cached summary,
+// stays the same while a conversation grows by a few turns
+const SUMMARY_BLOCK_TURNS = 4;
+
+// The longest summary the model is asked for
+const SUMMARY_MAX_TOKENS = 512;
+
+// How long summaries are cached in KV
+const SUMMARY_CACHE_TTL = 86400;
+
+const SUMMARY_INSTRUCTION =
+	'Summarize the conversation below for the assistant who will continue it. Keep every fact, decision, ' +
+	'open question, name and number that may matter later. Reply with the summary only.';
+
+// Group the indexes of the non-system messages into turns, each a user message and the replies to it.
+// The last turn is the one being answered.
+function groupTurns(messages) {
+	const turns = [];
+	messages.forEach((message, index) => {
+		if (message.role === 'system') return;
+		if (message.role === 'user' || turns.length === 0) turns.push([]);
+		turns.at(-1).push(index);
+	});
+	return turns;
+}
+
+// Indexes of each assistant message that calls tools in the given turns, together with the results that
+// answer it, so neither is kept without the other
+function toolExchanges(messages, turns) {
+	const isResult = index => ['tool', 'function'].includes(messages[index].role);
+	return turns.flatMap(turn =>
+		turn.flatMap((index, position) => {
+			const message = messages[index];
+			if (message.role !== 'assistant' || !(message.tool_calls || message.function_call)) return [];
+			const exchange = [index];
+			for (const next of turn.slice(position + 1)) {
+				if (!isResult(next)) break;
+				exchange.push(next);
+			}
+			return exchange.length > 1 ? [exchange] : [];
+		}),
+	);
+}
+
+// Token cost of each message, and the overhead of the conversation around them
+function messageCosts(messages, tokenizer) {
+	const overhead = tokenizer.countMessages([]);
+	return { overhead, costs: messages.map(message => tokenizer.countMessages([message]) - overhead) };
+}
+
+// Plain-text transcript of messages, for the summary request
+function transcript(messages) {
+	return messages
+		.map(message => {
+			const content = Array.isArray(message.content)
+				? message.content
+					.filter(part => part?.type === 'text')
+					.map(part => part.text)
+					.join('\n')
+				: (message.content ?? '');
+			const toolCalls = message.tool_calls ? ` ${JSON.stringify(message.tool_calls)}` : '';
+			return `${message.role.toUpperCase()}: ${content}${toolCalls}`;
+		})
+		.join('\n\n');
+}
+
+/**
+ * Drop the oldest parts of a conversation until its prompt fits a token budget.
+ * Tool results go first, each with the assistant message that called for it, then whole turns
+ * (a user message and the replies to it), oldest first.
+ * System messages and the turn being answered are always kept.
+ * @param {Array} messages - Conversation messages
+ * @param {number} budget - Tokens the prompt may take
+ * @param {Object} tokenizer - The model's tokenizer (see loadTokenizer)
+ * @returns {{messages: Array, dropped: number, promptTokens: number}} promptTokens is still over the budget
+ *   when nothing more can be dropped
+ */
+export function truncateMessages(messages, budget, tokenizer) {
+	const { overhead, costs } = messageCosts(messages, tokenizer);
+	let promptTokens = costs.reduce((sum, cost) => sum + cost, overhead);
+	const earlierTurns = groupTurns(messages).slice(0, -1);
+
+	const dropped = new Set();
+	const drop = indexes => {
+		for (const index of indexes.filter(index => !dropped.has(index))) {
+			dropped.add(index);
+			promptTokens -= costs[index];
+		}
+	};
+
+	for (const exchange of toolExchanges(messages, earlierTurns)) {
+		if (promptTokens <= budget) break;
+		drop(exchange);
+	}
+	for (const turn of earlierTurns) {
+		if (promptTokens <= budget) break;
+		drop(turn);
+	}
+
+	return {
+		messages: messages.filter((_, index) => !dropped.has(index)),
+		dropped: dropped.size,
+		promptTokens,
+	};
+}
+
+/**
+ * Replace the oldest turns of a conversation with a summary once its prompt passes a threshold.
+ * Enough turns are summarized, in blocks of SUMMARY_BLOCK_TURNS, to bring the prompt under the threshold;
+ * system messages and the turn being answered are kept. Summaries are cached in KV by a hash of the
+ * summarized messages. When the summary cannot be made the conversation is returned as it was.
+ * @param {Array} messages - Conversation messages
+ * @param {number} threshold - Prompt tokens above which turns are summarized
+ * @param {Object} tokenizer - The model's tokenizer (see loadTokenizer)
+ * @param {Object} options
+ * @param {Function} options.run - Runs the summary model with chat parameters and resolves to its response
+ * @param {KVNamespace} [options.kv] - Summary cache
+ * @returns {Promise<{messages: Array, summarizedTurns: number}>}
+ */
+export async function summarizeMessages(messages, threshold, tokenizer, { run, kv }) {
+	const { overhead, costs } = messageCosts(messages, tokenizer);
+	const promptTokens = costs.reduce((sum, cost) => sum + cost, overhead);
+	const earlierTurns = groupTurns(messages).slice(0, -1);
+	if (promptTokens <= threshold || earlierTurns.length === 0) {
+		return { messages, summarizedTurns: 0 };
+	}
+
+	// The fewest turns whose summary brings the prompt under the threshold, rounded up to a whole block
+	let needed = 0;
+	let remaining = promptTokens + SUMMARY_MAX_TOKENS;
+	while (needed < earlierTurns.length && remaining > threshold) {
+		remaining -= earlierTurns[needed].reduce((sum, index) => sum + costs[index], 0);
+		needed++;
+	}
+	const summarizedTurns = Math.min(earlierTurns.length, Math.ceil(needed / SUMMARY_BLOCK_TURNS) * SUMMARY_BLOCK_TURNS);
+	const summarized = new Set(earlierTurns.slice(0, summarizedTurns).flat());
+	const prefix = messages.filter((_, index) => summarized.has(index));
+
+	const data = new TextEncoder().encode(JSON.stringify(prefix));
+	const hash = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', data)))
+		.map(byte => byte.toString(16).padStart(2, '0'))
+		.join('');
+	const cacheKey = `summary:${hash}`;
+
+	let summary = null;
+	try {
+		summary = (await kv?.get(cacheKey)) ?? null;
+	} catch (error) {
+		console.error('Failed to retrieve cached summary:', error);
+	}
+	if (!summary) {
+		try {
+			const result = await run({
+				messages: [
+					{ role: 'system', content: SUMMARY_INSTRUCTION },
+					{ role: 'user', content: transcript(prefix) },
+				],
+				max_tokens: SUMMARY_MAX_TOKENS,
+			});
+			summary = typeof result?.response === 'string' ? result.response.trim() : '';
+		} catch (error) {
+			console.error('Failed to summarize the conversation:', error);
+		}
+		if (!summary) {
+			return { messages, summarizedTurns: 0 };
+		}
+		try {
+			await kv?.put(cacheKey, summary, { expirationTtl: SUMMARY_CACHE_TTL });
+		} catch (error) {
+			console.error('Failed to cache summary:', error);
+		}
+	}
+
+	// The summary takes the place of the first summarized message
+	const first = Math.min(...summarized);
+	const summaryMessage = { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+	return {
+		messages: messages.flatMap((message, index) => {
+			if (index === first) return [summaryMessage];
+			return summarized.has(index) ? [] : [message];
+		}),
+		summarizedTurns,
+	};
+}
@@ -18,6 +18,19 @@ export class ValidationError extends APIError {
 	}
 }
 
+// The prompt and the tokens reserved for the reply do not fit the model's context window
+export class ContextLengthError extends ValidationError {
+	constructor(contextWindow, promptTokens, completionTokens) {
+		super(
+			`This model's maximum context length is ${contextWindow} tokens. However, you requested ` +
+				`${promptTokens + completionTokens} tokens (${promptTokens} in the messages, ${completionTokens} in the ` +
+				'completion). Please reduce the length of the messages or completion, or set truncation to "auto".',
+			'messages',
+		);
+		this.code = 'context_length_exceeded';
+	}
+}
+
 export class AuthenticationError extends APIError {
 	constructor(message = 'Invalid authentication credentials') {
 		super(message, 'authentication_error', 401);
@@ -37,8 +50,31 @@ export class NotFoundError extends APIError {
 }
 
 export class RateLimitError extends APIError {
-	constructor(message = 'Rate limit exceeded') {
+	constructor(message = 'Rate limit exceeded', retryAfter = null) {
 		super(message, 'rate_limit_exceeded', 429);
+		this.retryAfter = retryAfter;
+	}
+}
+
+// Too many requests in flight at once; distinguished from rate limits by its code
+export class ConcurrencyLimitError extends RateLimitError {
+	constructor(message = 'Too many concurrent requests', retryAfter = 1) {
+		super(message, retryAfter);
+		this.code = 'concurrency_limit_exceeded';
+	}
+}
+
+// Spend budget exhausted; OpenAI clients treat insufficient_quota as not worth retrying
+export class InsufficientQuotaError extends APIError {
+	constructor(message = 'You exceeded your current quota') {
+		super(message, 'insufficient_quota', 429, 'insufficient_quota');
+	}
+}
+
+// The model's output did not meet the request's constraints (e.g. tool_choice), even after a retry
+export class ModelOutputError extends APIError {
+	constructor(message = 'The model returned an invalid response', code = null) {
+		super(message, 'server_error', 502, code);
 	}
 }
 
@@ -66,12 +102,19 @@ export function createErrorResponse(error, status = null) {
 			errorBody.error.param = error.param;
 		}
 
+		const headers = {
+			'Content-Type': 'application/json',
+			'Access-Control-Allow-Origin': '*',
+		};
+
+		// Seconds until the client may retry (rate limit errors)
+		if (error.retryAfter) {
+			headers['Retry-After'] = String(error.retryAfter);
+		}
+
 		return new Response(JSON.stringify(errorBody), {
 			status: status || error.status,
-			headers: {
-				'Content-Type': 'application/json',
-				'Access-Control-Allow-Origin': '*',
-			},
+			headers,
 		});
 	}
 
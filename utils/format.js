@@ -273,17 +273,37 @@ export function formatTranslation(response, format, detectedLanguage = 'unknown'
 	}
 }
 
-// Utility function to process and remove <think> tags from response
-export function processThink(responseText) {
+const THINK_TAG_START = '<think>';
+const THINK_TAG_END = '</think>';
+
+/**
+ * Split a reply into the reasoning in its <think> block and the answer after it.
+ * Reasoning models often leave out the opening tag, so everything before </think> is reasoning.
+ * @param {string} responseText - Model output
+ * @returns {{reasoning: string|null, content: string}} Replies without a think block are all content
+ */
+export function splitThink(responseText) {
 	if (typeof responseText !== 'string') {
-		return responseText;
+		return { reasoning: null, content: responseText };
 	}
-	const thinkTagEnd = '</think>';
-	const thinkIndex = responseText.indexOf(thinkTagEnd);
-	if (thinkIndex !== -1) {
-		return responseText.substring(thinkIndex + thinkTagEnd.length).trim();
+	const thinkIndex = responseText.indexOf(THINK_TAG_END);
+	if (thinkIndex === -1) {
+		return { reasoning: null, content: responseText };
 	}
-	return responseText;
+	let reasoning = responseText.substring(0, thinkIndex);
+	const startIndex = reasoning.indexOf(THINK_TAG_START);
+	if (startIndex !== -1) {
+		reasoning = reasoning.substring(startIndex + THINK_TAG_START.length);
+	}
+	return {
+		reasoning: reasoning.trim() || null,
+		content: responseText.substring(thinkIndex + THINK_TAG_END.length).trim(),
+	};
+}
+
+// Utility function to process and remove <think> tags from response
+export function processThink(responseText) {
+	return splitThink(responseText).content;
 }
 
 // Utility function to estimate token count
@@ -315,8 +335,8 @@ export function getContentType(format) {
 export function getCORSHeaders() {
 	return {
 		'Access-Control-Allow-Origin': '*',
-		'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-		'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+		'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+		'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, api-key, x-api-key',
 		'Access-Control-Max-Age': '86400',
 	};
 }
@@ -406,3 +426,84 @@ export function extractOSSResponse(aiResp) {
 
 	return String(aiResp || '');
 }
+
+/**
+ * Extract the reasoning from an OSS model (gpt-oss-120b / gpt-oss-20b) response.
+ * Reasoning items in the output array carry the full reasoning text, or only a summary of it.
+ * @param {*} aiResp - The raw response from env.AI.run()
+ * @returns {string|null} The reasoning text, or null when the response has none
+ */
+export function extractOSSReasoning(aiResp) {
+	if (!Array.isArray(aiResp?.output)) {
+		return null;
+	}
+	const reasoning = aiResp.output
+		.filter(item => item.type === 'reasoning')
+		.map(item => {
+			const parts = Array.isArray(item.content) && item.content.length > 0 ? item.content : item.summary;
+			return (Array.isArray(parts) ? parts : [])
+				.map(part => part.text)
+				.filter(Boolean)
+				.join('');
+		})
+		.filter(Boolean)
+		.join('\n\n');
+	return reasoning || null;
+}
+
+// Finish reasons Workers AI and OpenAI-compatible backends report for output cut off by the token limit
+const LENGTH_FINISH_REASONS = ['length', 'max_tokens', 'max_output_tokens'];
+
+// How close to max_tokens estimated usage must come before output is taken as cut off
+const LENGTH_THRESHOLD = 0.9;
+
+// Output that ends like this finished on its own
+const TERMINAL_PUNCTUATION = /[.!?。！？…"'”’)\]}`*]\s*$/u;
+
+/**
+ * The finish reason a Workers AI response or stream event reports, where it reports one.
+ * OpenAI-compatible models report finish_reason; OSS models mark cut-off responses as incomplete.
+ * @param {*} data - A response from env.AI.run() or a parsed stream event
+ * @returns {string|null} 'length' or 'stop', or null when the response does not say
+ */
+export function reportedFinishReason(data) {
+	if (typeof data !== 'object' || data === null) {
+		return null;
+	}
+	if (data.status === 'incomplete') {
+		return data.incomplete_details?.reason === 'max_output_tokens' ? 'length' : 'stop';
+	}
+	const reason = data.finish_reason ?? data.choices?.[0]?.finish_reason;
+	if (typeof reason !== 'string') {
+		return null;
+	}
+	return LENGTH_FINISH_REASONS.includes(reason) ? 'length' : 'stop';
+}
+
+/**
+ * Decide whether output stopped by itself or was cut off at max_tokens.
+ * A stop sequence always means 'stop', then the reported reason is trusted. Otherwise output is
+ * taken as cut off when it used up max_tokens, or came close to it without ending a sentence.
+ * @param {Object} options
+ * @param {string|null} [options.reported] - The reason Workers AI reported (see reportedFinishReason)
+ * @param {boolean} [options.stopped=false] - A stop sequence ended the output
+ * @param {number} options.completionTokens - Tokens generated, reasoning included
+ * @param {number} [options.maxTokens] - The max_tokens the model ran with
+ * @param {string} [options.text] - The output, reasoning included
+ * @returns {string} 'length' or 'stop'
+ */
+export function resolveFinishReason({ reported = null, stopped = false, completionTokens, maxTokens, text }) {
+	if (stopped) {
+		return 'stop';
+	}
+	if (reported) {
+		return reported;
+	}
+	if (!(maxTokens > 0) || completionTokens < maxTokens * LENGTH_THRESHOLD) {
+		return 'stop';
+	}
+	if (completionTokens >= maxTokens) {
+		return 'length';
+	}
+	return typeof text === 'string' && TERMINAL_PUNCTUATION.test(text) ? 'stop' : 'length';
+}
@@ -1,3 +1,6 @@
+import { ValidationError } from './errors.js';
+import { validateJsonSchema } from './jsonSchema.js';
+
 /**
  * Process function calling in messages and convert to Cloudflare Workers AI format
  * @param {Array} messages - Conversation messages
@@ -46,13 +49,48 @@ export function processFunctionMessages(messages, _tools = []) {
 	return processedMessages;
 }
 
+/**
+ * Prepare messages for a model with native function calling, which reads tool_calls and tool results itself
+ * but requires string content
+ * @param {Array} messages - Conversation messages
+ * @returns {Array} Processed messages
+ */
+export function processNativeToolMessages(messages) {
+	return messages.map(message => {
+		if (message.role === 'assistant' && message.tool_calls) {
+			return {
+				...message,
+				content: message.content ?? '',
+				tool_calls: message.tool_calls.map(toolCall => ({
+					...toolCall,
+					function: { ...toolCall.function, arguments: formatToolCallArguments(toolCall.function?.arguments) },
+				})),
+			};
+		}
+		if (message.role === 'tool' || message.role === 'function') {
+			return {
+				...message,
+				content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content),
+			};
+		}
+		return message;
+	});
+}
+
 /**
  * Add function definitions to system message for Cloudflare Workers AI
  * @param {Array} messages - Conversation messages
  * @param {Array} tools - Available tools/functions
+ * @param {Object} [options]
+ * @param {boolean} [options.parallelToolCalls=true] - Allow the model to call several functions at once
+ * @param {Object} [options.toolChoice] - Resolved tool_choice (see resolveToolChoice)
  * @returns {Array} Messages with function context
  */
-export function addFunctionContext(messages, tools = []) {
+export function addFunctionContext(
+	messages,
+	tools = [],
+	{ parallelToolCalls = true, toolChoice = { type: 'auto' } } = {},
+) {
 	if (!tools || tools.length === 0) {
 		return messages;
 	}
@@ -71,19 +109,29 @@ Parameters: ${JSON.stringify(func.parameters || {})}`;
 		.filter(def => def)
 		.join('\n\n');
 
-	const functionPrompt = `You have access to the following functions. When you need to call a function, respond with a JSON object containing "function_call" with "name" and "arguments" fields:
+	const callCount = parallelToolCalls
+		? 'Include one entry per call; you may call several functions (or the same function several times) at once.'
+		: 'Call at most one function per response.';
+
+	let choiceRule = "If you're not calling a function, respond normally with your message.";
+	if (toolChoice.type === 'required') {
+		choiceRule = 'You must call at least one function. Do not answer in prose.';
+	} else if (toolChoice.type === 'function') {
+		choiceRule = `You must call the function "${toolChoice.name}". Do not answer in prose.`;
+	}
+
+	const functionPrompt = `You have access to the following functions. When you need to call functions, respond with a JSON object containing a "tool_calls" array whose entries have "name" and "arguments" fields. ${callCount}
 
 ${functionDefs}
 
 Example function call format:
 {
-  "function_call": {
-    "name": "function_name",
-    "arguments": {"param1": "value1", "param2": "value2"}
-  }
+  "tool_calls": [
+    {"name": "function_name", "arguments": {"param1": "value1", "param2": "value2"}}
+  ]
 }
 
-If you're not calling a function, respond normally with your message.`;
+${choiceRule}`;
 
 	// Add or update system message
 	const updatedMessages = [...messages];
@@ -91,7 +139,10 @@ If you're not calling a function, respond normally with your message.`;
 
 	if (systemMessageIndex >= 0) {
 		// Append to existing system message
-		updatedMessages[systemMessageIndex].content += '\n\n' + functionPrompt;
+		updatedMessages[systemMessageIndex] = {
+			...updatedMessages[systemMessageIndex],
+			content: updatedMessages[systemMessageIndex].content + '\n\n' + functionPrompt,
+		};
 	} else {
 		// Add new system message at the beginning
 		updatedMessages.unshift({
@@ -103,60 +154,508 @@ If you're not calling a function, respond normally with your message.`;
 	return updatedMessages;
 }
 
+/**
+ * Find the top-level {...} spans in text, skipping braces inside JSON strings
+ * @param {string} text - Text that may contain JSON objects among prose
+ * @returns {string[]} Candidate JSON object texts, in order
+ */
+export function findJsonObjects(text) {
+	const objects = [];
+	let depth = 0;
+	let start = -1;
+	let inString = false;
+	let escaped = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (depth > 0 && inString) {
+			if (escaped) escaped = false;
+			else if (char === '\\') escaped = true;
+			else if (char === '"') inString = false;
+		} else if (depth > 0 && char === '"') {
+			inString = true;
+		} else if (char === '{') {
+			if (depth++ === 0) start = i;
+		} else if (char === '}' && depth > 0) {
+			if (--depth === 0) objects.push(text.slice(start, i + 1));
+		}
+	}
+
+	return objects;
+}
+
+/**
+ * Normalize structured tool calls to {id?, name, arguments}. Accepts both the Workers AI shape
+ * ({name, arguments}) and the OpenAI shape ({id, type, function: {name, arguments}})
+ * @param {Array} toolCalls - tool_calls from a model response
+ * @returns {Array} Function calls, skipping entries without a name
+ */
+export function normalizeToolCalls(toolCalls) {
+	if (!Array.isArray(toolCalls)) {
+		return [];
+	}
+	return toolCalls
+		.map(call => (call?.function ? { id: call.id, ...call.function } : call))
+		.filter(call => typeof call?.name === 'string');
+}
+
+// Calls in a parsed response: {"tool_calls": [...]} or a single {"function_call": {...}}
+function extractFunctionCalls(parsed) {
+	if (Array.isArray(parsed?.tool_calls)) {
+		return normalizeToolCalls(parsed.tool_calls);
+	}
+	if (typeof parsed?.function_call?.name === 'string') {
+		return [parsed.function_call];
+	}
+	return [];
+}
+
 /**
  * Parse AI response for function calls
  * @param {string} content - AI response content
- * @returns {Object} Parsed response with potential function call
+ * @returns {Object} Parsed response with every function call found, in order
  */
 export function parseFunctionCall(content) {
-	try {
-		// Try to find JSON in the response
-		const jsonMatch = content.match(/\{[\s\S]*\}/);
-		if (jsonMatch) {
-			const parsed = JSON.parse(jsonMatch[0]);
-			if (parsed.function_call) {
-				return {
-					hasFunction: true,
-					functionCall: parsed.function_call,
-					content: content.replace(jsonMatch[0], '').trim(),
-				};
-			}
+	if (typeof content !== 'string') {
+		return { hasFunction: false, functionCalls: [], content };
+	}
+
+	const functionCalls = [];
+	let remaining = content;
+
+	for (const json of findJsonObjects(content)) {
+		let calls;
+		try {
+			calls = extractFunctionCalls(JSON.parse(json));
+		} catch {
+			// Not JSON, leave it in the content
+			continue;
+		}
+		if (calls.length > 0) {
+			functionCalls.push(...calls);
+			remaining = remaining.replace(json, '');
 		}
-	} catch {
-		// Not a function call, return as regular content
+	}
+
+	if (functionCalls.length === 0) {
+		return { hasFunction: false, functionCalls, content };
 	}
 
 	return {
-		hasFunction: false,
-		functionCall: null,
-		content,
+		hasFunction: true,
+		functionCalls,
+		// Drop code fences left empty by removing the calls
+		content: remaining.replace(/```(?:json)?\s*```/g, '').trim(),
 	};
 }
 
 /**
- * Convert function call to OpenAI format
- * @param {Object} functionCall - Function call from AI
+ * Normalize tool_choice (or the legacy function_call) against the request's tools
+ * @param {string|Object} toolChoice - 'auto', 'none', 'required', {type: 'function', function: {name}} or {name}
+ * @param {Array} tools - Available tools/functions
+ * @returns {{type: string, name?: string}} type is 'auto', 'none', 'required' or 'function'
+ */
+export function resolveToolChoice(toolChoice, tools) {
+	if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto') {
+		return { type: 'auto' };
+	}
+	if (toolChoice === 'none') {
+		return { type: 'none' };
+	}
+	if (!tools?.length) {
+		throw new ValidationError('tool_choice requires tools', 'tool_choice');
+	}
+	if (toolChoice === 'required') {
+		return { type: 'required' };
+	}
+
+	const name = toolChoice?.function?.name ?? toolChoice?.name;
+	if (typeof name !== 'string') {
+		throw new ValidationError(
+			'tool_choice must be "none", "auto", "required" or {"type": "function", "function": {"name": "..."}}',
+			'tool_choice',
+		);
+	}
+	if (!tools.some(tool => tool.function?.name === name)) {
+		throw new ValidationError(`tool_choice names a function that is not in tools: ${name}`, 'tool_choice');
+	}
+	return { type: 'function', name };
+}
+
+/**
+ * Parse tool call arguments, recovering a JSON object from surrounding prose
+ * @param {Object|string} args - Arguments as returned by the model
+ * @returns {*} The parsed arguments, or undefined if they are not JSON
+ */
+export function parseToolCallArguments(args) {
+	if (args === undefined || args === null || (typeof args === 'string' && !args.trim())) {
+		return {};
+	}
+	if (typeof args !== 'string') {
+		return args;
+	}
+	for (const candidate of [args, ...findJsonObjects(args)]) {
+		try {
+			return JSON.parse(candidate);
+		} catch {
+			// Try the next candidate
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Validate a function call's arguments against its tool's parameters schema
+ * @param {Object} functionCall - Function call with name and arguments
+ * @param {Object} tool - The tool it calls
+ * @returns {string[]} Validation errors, empty when the arguments conform
+ */
+export function validateToolCallArguments(functionCall, tool) {
+	const args = parseToolCallArguments(functionCall.arguments);
+	if (args === undefined) {
+		return [`${functionCall.name}: arguments are not valid JSON`];
+	}
+	if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+		return [`${functionCall.name}: arguments must be a JSON object`];
+	}
+	return validateJsonSchema(args, tool.function.parameters ?? {}).map(
+		error => `${functionCall.name}: ${error.replace(/^\$/, 'arguments')}`,
+	);
+}
+
+/**
+ * Check a response's function calls against tool_choice and their tools' parameter schemas.
+ * Problems with a code may not be returned to the client: they break tool_choice ('required' needs a call and
+ * a named function needs calls to that function only, with valid arguments) or a strict function's schema.
+ * @param {Object} toolChoice - Resolved tool_choice (see resolveToolChoice)
+ * @param {Array} functionCalls - Function calls from the response
+ * @param {Array} tools - Available tools/functions
+ * @returns {Array<{message: string, code: string|null}>} Problems found, empty when the calls are acceptable
+ */
+export function checkToolCalls(toolChoice, functionCalls, tools) {
+	const forced = toolChoice.type === 'required' || toolChoice.type === 'function';
+	const choiceCode = forced ? 'tool_choice_not_satisfied' : null;
+	const problems = [];
+
+	if (forced && functionCalls.length === 0) {
+		problems.push({ message: 'no function was called', code: choiceCode });
+	}
+
+	for (const functionCall of functionCalls) {
+		if (toolChoice.type === 'function' && functionCall.name !== toolChoice.name) {
+			problems.push({ message: `${functionCall.name} was called instead of ${toolChoice.name}`, code: choiceCode });
+			continue;
+		}
+		const tool = tools?.find(candidate => candidate.function?.name === functionCall.name);
+		if (!tool) {
+			problems.push({ message: `${functionCall.name} is not one of the available functions`, code: choiceCode });
+			continue;
+		}
+		const code = choiceCode ?? (tool.function.strict ? 'invalid_tool_arguments' : null);
+		for (const message of validateToolCallArguments(functionCall, tool)) {
+			problems.push({ message, code });
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Build the follow-up instruction sent when a response's function calls were not accepted
+ * @param {Object} toolChoice - Resolved tool_choice (see resolveToolChoice)
+ * @param {Array} problems - What was wrong, from checkToolCalls
+ * @returns {string}
+ */
+export function toolCallReminder(toolChoice, problems) {
+	const target = toolChoice.type === 'function' ? `the function "${toolChoice.name}"` : 'the functions you need';
+	const list = problems.map(problem => `- ${problem.message}`).join('\n');
+	return `Your previous reply was not accepted:\n${list}\nReply only by calling ${target} with arguments that match the parameters schema.`;
+}
+
+/**
+ * Generate an OpenAI-style tool call id
+ * @returns {string} e.g. call_3f9a...
+ */
+export function generateToolCallId() {
+	return `call_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * Serialize function call arguments to the JSON string OpenAI clients expect
+ * @param {Object|string} args - Arguments as returned by the model
+ * @returns {string}
+ */
+export function formatToolCallArguments(args) {
+	return typeof args === 'string' ? args : JSON.stringify(args ?? {});
+}
+
+/**
+ * Convert function calls to OpenAI format
+ * @param {Array} functionCalls - Function calls from AI; calls without an id of their own are given one
  * @param {string} content - Response content
  * @returns {Object} OpenAI formatted response
  */
-export function formatFunctionCallResponse(functionCall, content) {
-	const toolCallId = `call_${crypto.randomUUID().replace(/-/g, '')}`;
-
+export function formatFunctionCallResponse(functionCalls, content) {
 	return {
 		role: 'assistant',
 		content: content || null,
-		tool_calls: [
-			{
-				id: toolCallId,
-				type: 'function',
-				function: {
-					name: functionCall.name,
-					arguments:
-						typeof functionCall.arguments === 'string'
-							? functionCall.arguments
-							: JSON.stringify(functionCall.arguments),
-				},
+		tool_calls: functionCalls.map(functionCall => ({
+			id: functionCall.id || generateToolCallId(),
+			type: 'function',
+			function: {
+				name: functionCall.name,
+				arguments: formatToolCallArguments(functionCall.arguments),
 			},
-		],
+		})),
 	};
 }
+
+// Starts of the JSON objects addFunctionContext asks the model to answer with (and the older single-call form),
+// ignoring whitespace, mapped to the nesting depth at which each call object opens
+const TOOL_CALL_PREFIXES = {
+	'{"tool_calls":[': 3,
+	'{"function_call":{': 2,
+};
+
+/**
+ * Incrementally parse streamed model text for the tool call JSON requested by addFunctionContext.
+ * Text is passed through as content until a '{' appears; from there it is held back until it either turns
+ * out to be a tool call object, whose calls' names and arguments are then reported as they form, or ordinary text.
+ * @param {Object} [options]
+ * @param {boolean} [options.parallelToolCalls=true] - Report every call rather than only the first
+ * @returns {{push: Function, end: Function, hasToolCalls: Function}} push(text) and end() return events:
+ *   { type: 'content', text }, { type: 'tool_call', index, id, name } and { type: 'arguments', index, text }
+ */
+export function createToolCallStreamParser({ parallelToolCalls = true } = {}) {
+	// text: streaming content; detect: holding a '{' that may start a call object; calls: inside a call object;
+	// after: a call object has closed, so only another call object may follow
+	let state = 'text';
+	let held = '';
+	// Position, nesting and string state of the walk over the call object in `held`
+	let scan = null;
+	let callDepth = 0;
+	let objectCalls = 0;
+	let call = null;
+	let toolCalls = 0;
+
+	const limitReached = () => !parallelToolCalls && toolCalls > 0;
+
+	// Scan the name and arguments of the current call as far as they have arrived
+	function scanCall() {
+		const events = [];
+		const text = held.slice(call.base, call.limit ?? held.length);
+
+		if (!call.name) {
+			const nameMatch = text.match(/"name"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+			if (nameMatch) {
+				call.name = JSON.parse(`"${nameMatch[1]}"`);
+				call.index = toolCalls++;
+				objectCalls++;
+				events.push({ type: 'tool_call', index: call.index, id: generateToolCallId(), name: call.name });
+			}
+		}
+
+		if (call.argsStart === null) {
+			const argsMatch = text.match(/"arguments"\s*:\s*(?=\S)/);
+			if (!argsMatch) {
+				return events;
+			}
+			call.argsStart = argsMatch.index + argsMatch[0].length;
+			call.scanPos = call.argsStart;
+			call.emitted = call.argsStart;
+		}
+
+		const opening = text[call.argsStart];
+		if (opening === '{' || opening === '[') {
+			// Raw JSON arguments are already the OpenAI arguments string: forward them as they arrive
+			for (; call.scanPos < text.length && call.argsEnd === null; call.scanPos++) {
+				const char = text[call.scanPos];
+				if (call.inString) {
+					if (call.escaped) call.escaped = false;
+					else if (char === '\\') call.escaped = true;
+					else if (char === '"') call.inString = false;
+				} else if (char === '"') {
+					call.inString = true;
+				} else if (char === '{' || char === '[') {
+					call.depth++;
+				} else if (char === '}' || char === ']') {
+					call.depth--;
+					if (call.depth === 0) call.argsEnd = call.scanPos + 1;
+				}
+			}
+		} else if (opening === '"') {
+			// Arguments sent as a JSON-encoded string are only forwarded once complete, decoded
+			const stringMatch = text.slice(call.argsStart).match(/^"(?:[^"\\]|\\.)*"/);
+			if (stringMatch) {
+				call.argsEnd = call.argsStart + stringMatch[0].length;
+				call.decoded = JSON.parse(stringMatch[0]);
+			}
+		} else {
+			// null or another scalar: no arguments
+			const scalarMatch = text.slice(call.argsStart).match(/^[^,}\s]+/);
+			if (scalarMatch && text.length > call.argsStart + scalarMatch[0].length) {
+				call.argsEnd = call.argsStart + scalarMatch[0].length;
+				call.decoded = '{}';
+			}
+		}
+
+		if (call.name) {
+			events.push(...flushArguments(text));
+		}
+		return events;
+	}
+
+	// Report the arguments text scanned since the last report
+	function flushArguments(text) {
+		if (call.decoded !== undefined) {
+			if (call.argsEnd === null || call.emitted === call.argsEnd) {
+				return [];
+			}
+			call.emitted = call.argsEnd;
+			return [{ type: 'arguments', index: call.index, text: call.decoded }];
+		}
+		const end = call.argsEnd ?? call.scanPos;
+		if (call.argsStart === null || end <= call.emitted) {
+			return [];
+		}
+		const start = call.emitted;
+		call.emitted = end;
+		return [{ type: 'arguments', index: call.index, text: text.slice(start, end) }];
+	}
+
+	// The current call's object has closed (or the stream ended): report whatever is left of it
+	function finishCall() {
+		const events = scanCall();
+		if (call.name && call.argsStart === null) {
+			events.push({ type: 'arguments', index: call.index, text: '{}' });
+		}
+		call = null;
+		return events;
+	}
+
+	// Walk the held call object, starting a call for each call object that opens and finishing it when it closes
+	function walk() {
+		const events = [];
+
+		for (; scan.pos < held.length; scan.pos++) {
+			const char = held[scan.pos];
+			if (scan.inString) {
+				if (scan.escaped) scan.escaped = false;
+				else if (char === '\\') scan.escaped = true;
+				else if (char === '"') scan.inString = false;
+			} else if (char === '"') {
+				scan.inString = true;
+			} else if (char === '{' || char === '[') {
+				scan.depth++;
+				if (char === '{' && scan.depth === callDepth && !limitReached()) {
+					call = {
+						base: scan.pos,
+						limit: null,
+						index: null,
+						name: null,
+						argsStart: null,
+						argsEnd: null,
+						scanPos: 0,
+						emitted: 0,
+						depth: 0,
+						inString: false,
+						escaped: false,
+					};
+				}
+			} else if (char === '}' || char === ']') {
+				scan.depth--;
+				if (call && scan.depth === callDepth - 1) {
+					call.limit = scan.pos + 1;
+					events.push(...finishCall());
+				}
+				if (scan.depth === 0) {
+					state = 'after';
+					return events;
+				}
+			}
+		}
+
+		if (call) {
+			events.push(...scanCall());
+		}
+		return events;
+	}
+
+	function push(text) {
+		const events = [];
+		let pending = text;
+
+		while (pending) {
+			if (state === 'text') {
+				const brace = pending.indexOf('{');
+				if (brace === -1) {
+					events.push({ type: 'content', text: pending });
+					pending = '';
+				} else {
+					if (brace > 0) {
+						events.push({ type: 'content', text: pending.slice(0, brace) });
+					}
+					state = 'detect';
+					held = '';
+					pending = pending.slice(brace);
+				}
+			} else if (state === 'detect') {
+				held += pending;
+				pending = '';
+				const compact = held.replace(/\s+/g, '');
+				const prefix = Object.keys(TOOL_CALL_PREFIXES).find(candidate => compact.startsWith(candidate));
+				if (prefix) {
+					state = 'calls';
+					callDepth = TOOL_CALL_PREFIXES[prefix];
+					objectCalls = 0;
+					scan = { pos: 0, depth: 0, inString: false, escaped: false };
+					// Walk what is held so far as the start of the call object
+					pending = held;
+					held = '';
+				} else if (!Object.keys(TOOL_CALL_PREFIXES).some(candidate => candidate.startsWith(compact))) {
+					// Not a call object: release the brace and rescan what followed it
+					events.push({ type: 'content', text: held[0] });
+					pending = held.slice(1);
+					held = '';
+					state = 'text';
+				}
+			} else if (state === 'calls') {
+				held += pending;
+				pending = '';
+				events.push(...walk());
+				if (state === 'after') {
+					pending = held.slice(scan.pos + 1);
+					held = '';
+				}
+			} else {
+				// Closing fences and chatter after a call object are not content, but another call object may follow
+				const brace = limitReached() ? -1 : pending.indexOf('{');
+				if (brace === -1) {
+					pending = '';
+				} else {
+					state = 'detect';
+					held = '';
+					pending = pending.slice(brace);
+				}
+			}
+		}
+
+		return events;
+	}
+
+	function end() {
+		if (state === 'detect' || (state === 'calls' && objectCalls === 0)) {
+			// Held text never became a usable call: it was content after all
+			state = 'text';
+			return held ? [{ type: 'content', text: held }] : [];
+		}
+		if (state === 'calls') {
+			// The stream ended mid-object: forward what arrived of the open call
+			state = 'after';
+			return call ? finishCall() : [];
+		}
+		return [];
+	}
+
+	return { push, end, hasToolCalls: () => toolCalls > 0 };
+}
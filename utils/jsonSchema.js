@@ -0,0 +1,189 @@
+// Lightweight JSON Schema validator for tool parameters and response formats.
+// Covers the keywords function-calling schemas use in practice: type (incl. integer and type lists), nullable,
+// enum, const, properties, required, additionalProperties, items, min/maxItems, min/maxLength, pattern,
+// minimum, maximum, exclusiveMinimum, exclusiveMaximum, anyOf, oneOf, allOf and local $ref.
+
+// JSON type name of a parsed value
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Structural equality for enum and const; JSON values have no cycles
+function isEqual(a, b) {
+	if (a === b) return true;
+	if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+	if (Array.isArray(a)) return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+	const keys = Object.keys(a);
+	return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+const isContainer = node => ['object', 'array'].includes(typeOf(node));
+
+// Resolve a local reference such as #/$defs/address
+function resolveRef(ref, root) {
+	if (!ref.startsWith('#')) {
+		return undefined;
+	}
+	return ref
+		.slice(1)
+		.split('/')
+		.filter(Boolean)
+		.map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+		.reduce((node, key) => (isContainer(node) && Object.hasOwn(node, key) ? node[key] : undefined), root);
+}
+
+// Compiled pattern keywords, null for patterns that do not compile, least recently used first
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 256;
+
+// Compile a pattern keyword. Unicode mode is tried first, then plain mode, which accepts the identity escapes
+// (such as \-) that schemas often use. A pattern that compiles in neither is skipped rather than failing the check.
+function compilePattern(pattern) {
+	if (compiledPatterns.has(pattern)) {
+		const compiled = compiledPatterns.get(pattern);
+		compiledPatterns.delete(pattern);
+		compiledPatterns.set(pattern, compiled);
+		return compiled;
+	}
+
+	let compiled = null;
+	for (const flags of ['u', '']) {
+		try {
+			compiled = new RegExp(pattern, flags);
+			break;
+		} catch {
+			// Try the next mode
+		}
+	}
+	if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+		compiledPatterns.delete(compiledPatterns.keys().next().value);
+	}
+	compiledPatterns.set(pattern, compiled);
+	return compiled;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {string} [path='$'] - Location of value, used in error messages
+ * @param {Object} [root=schema] - Document that $ref pointers resolve against
+ * @param {Set<string>} [refs] - $ref pointers already followed for this value, to stop reference cycles
+ * @returns {string[]} Validation errors, empty when the value conforms
+ */
+export function validateJsonSchema(value, schema, path = '$', root = schema, refs = new Set()) {
+	if (schema === true || schema === undefined || schema === null) return [];
+	if (schema === false) return [`${path}: no value is allowed here`];
+
+	if (schema.$ref) {
+		// A pointer followed again without descending into the value would loop forever
+		if (refs.has(schema.$ref)) return [`${path}: circular reference ${schema.$ref}`];
+		const target = resolveRef(schema.$ref, root);
+		if (target === undefined) return [`${path}: cannot resolve ${schema.$ref}`];
+		return validateJsonSchema(value, target, path, root, new Set(refs).add(schema.$ref));
+	}
+
+	if (value === null && schema.nullable) return [];
+
+	const errors = [];
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some(type => matchesType(value, type))) {
+			// Further keywords would only repeat the mismatch
+			return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+		}
+	}
+
+	if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+		errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+	}
+	if ('const' in schema && !isEqual(schema.const, value)) {
+		errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			errors.push(`${path}: must be at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern !== undefined && compilePattern(String(schema.pattern))?.test(value) === false) {
+			errors.push(`${path}: must match ${schema.pattern}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			errors.push(`${path}: must be >= ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			errors.push(`${path}: must be <= ${schema.maximum}`);
+		}
+		if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+			errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+		}
+		if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+			errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			errors.push(`${path}: must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			errors.push(`${path}: must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items !== undefined) {
+			value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`, root)));
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		for (const property of schema.required ?? []) {
+			if (!Object.hasOwn(value, property)) {
+				errors.push(`${path}.${property}: is required`);
+			}
+		}
+		for (const [property, propertyValue] of Object.entries(value)) {
+			if (schema.properties && Object.hasOwn(schema.properties, property)) {
+				errors.push(...validateJsonSchema(propertyValue, schema.properties[property], `${path}.${property}`, root));
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${path}.${property}: is not an allowed property`);
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${property}`, root));
+			}
+		}
+	}
+
+	// Subschemas apply to the same value, so they share the pointers followed so far
+	for (const subschema of schema.allOf ?? []) {
+		errors.push(...validateJsonSchema(value, subschema, path, root, refs));
+	}
+	if (
+		schema.anyOf &&
+		!schema.anyOf.some(subschema => validateJsonSchema(value, subschema, path, root, refs).length === 0)
+	) {
+		errors.push(`${path}: must match at least one of the allowed schemas`);
+	}
+	if (schema.oneOf) {
+		const matches = schema.oneOf.filter(
+			subschema => validateJsonSchema(value, subschema, path, root, refs).length === 0,
+		);
+		if (matches.length !== 1) {
+			errors.push(`${path}: must match exactly one of the allowed schemas`);
+		}
+	}
+
+	return errors;
+}
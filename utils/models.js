@@ -4,6 +4,8 @@
 // Auto-generated on: 2026-06-01T15:29:41.800Z
 // To update: npm run update-models
 
+import { PermissionError } from './errors.js';
+
 // === CONTEXT WINDOW MAPPING ===
 export const MODEL_CONTEXT_WINDOWS = {
 	"@cf/pipecat-ai/smart-turn-v2": 4096,
@@ -256,7 +258,9 @@ export const MODEL_CAPABILITIES = {
 		"vision"
 	],
 	"@cf/deepseek-ai/deepseek-r1-distill-qwen-32b": [
-		"text-generation"
+		"text-generation",
+		"json-mode",
+		"reasoning"
 	],
 	"@cf/runwayml/stable-diffusion-v1-5-inpainting": [
 		"image-generation"
@@ -292,7 +296,9 @@ export const MODEL_CAPABILITIES = {
 		"text-generation"
 	],
 	"@cf/meta/llama-3.3-70b-instruct-fp8-fast": [
-		"text-generation"
+		"text-generation",
+		"function-calling",
+		"json-mode"
 	],
 	"@cf/ibm-granite/granite-4.0-h-micro": [
 		"text-generation"
@@ -331,7 +337,9 @@ export const MODEL_CAPABILITIES = {
 		"text-generation"
 	],
 	"@cf/qwen/qwen3-30b-a3b-fp8": [
-		"text-generation"
+		"text-generation",
+		"function-calling",
+		"reasoning"
 	],
 	"@cf/black-forest-labs/flux-2-dev": [
 		"image-generation"
@@ -343,10 +351,12 @@ export const MODEL_CAPABILITIES = {
 		"text-generation"
 	],
 	"@cf/mistralai/mistral-small-3.1-24b-instruct": [
-		"text-generation"
+		"text-generation",
+		"function-calling"
 	],
 	"@cf/meta/llama-3.2-11b-vision-instruct": [
-		"text-generation"
+		"text-generation",
+		"json-mode"
 	],
 	"@cf/openai/whisper-tiny-en": [
 		"speech-to-text"
@@ -373,10 +383,12 @@ export const MODEL_CAPABILITIES = {
 		"image-generation"
 	],
 	"@cf/meta/llama-4-scout-17b-16e-instruct": [
-		"text-generation"
+		"text-generation",
+		"function-calling"
 	],
 	"@cf/qwen/qwq-32b": [
-		"text-generation"
+		"text-generation",
+		"reasoning"
 	],
 	"@cf/baai/bge-large-en-v1.5": [
 		"embeddings"
@@ -537,41 +549,137 @@ export const isOSSModel = (model) => {
 	return model === '@cf/openai/gpt-oss-120b' || model === '@cf/openai/gpt-oss-20b';
 };
 
+// Sampling parameters most Workers AI text-generation models take
+const DEFAULT_SAMPLING_PARAMETERS = [
+	'temperature',
+	'top_p',
+	'top_k',
+	'seed',
+	'frequency_penalty',
+	'presence_penalty',
+	'repetition_penalty',
+];
+
+// Models whose input schema takes fewer sampling parameters than the default set
+const MODEL_SAMPLING_PARAMETERS = {
+	// OSS models take a Responses-style request without the extended sampling parameters
+	'@cf/openai/gpt-oss-120b': ['temperature', 'top_p'],
+	'@cf/openai/gpt-oss-20b': ['temperature', 'top_p'],
+	// The safety classifier only takes a temperature
+	'@cf/meta/llama-guard-3-8b': ['temperature'],
+};
+
+/**
+ * Get the sampling parameters a text-generation model takes, by their Workers AI names.
+ * @param {string} model - The Cloudflare model path
+ * @returns {Array<string>}
+ */
+export const getSamplingParameters = model =>
+	Object.hasOwn(MODEL_SAMPLING_PARAMETERS, model) ? MODEL_SAMPLING_PARAMETERS[model] : DEFAULT_SAMPLING_PARAMETERS;
+
+/**
+ * Check whether a per-key model policy permits a Cloudflare model.
+ * Policy entries match a model path exactly, or by prefix when they end in '*' (e.g. '@cf/meta/*').
+ * @param {string} model - The Cloudflare model path
+ * @param {Object|null} [policy] - Per-key model policy
+ * @param {Array<string>|null} [policy.allowedModels] - If set, only these models may be used
+ * @param {Array<string>} [policy.blockedModels] - Models that may never be used
+ * @returns {boolean}
+ */
+export const isModelAllowed = (model, policy) => {
+	if (!policy) {
+		return true;
+	}
+	const matches = pattern => pattern === model || (pattern.endsWith('*') && model.startsWith(pattern.slice(0, -1)));
+	if (policy.blockedModels?.some(matches)) {
+		return false;
+	}
+	if (Array.isArray(policy.allowedModels)) {
+		return policy.allowedModels.some(matches);
+	}
+	return true;
+};
+
+/**
+ * Throw a 403 unless the per-key model policy permits the model.
+ * @param {string} model - The Cloudflare model path
+ * @param {Object|null} [policy] - Per-key model policy (see isModelAllowed)
+ * @param {string} [requestedModel] - The name the client asked for, used in the error message
+ * @returns {string} The model, for chaining
+ * @throws {PermissionError} If the model is disallowed
+ */
+export const assertModelAllowed = (model, policy, requestedModel = model) => {
+	if (!isModelAllowed(model, policy)) {
+		const resolved = requestedModel !== model ? ` (resolves to ${model})` : '';
+		throw new PermissionError(`Model ${requestedModel}${resolved} is not allowed for this API key`);
+	}
+	return model;
+};
+
+/**
+ * Look up a model name in an alias table, ignoring inherited keys such as "constructor" or "__proto__".
+ * @param {Object|null|undefined} aliases - Table of model names to Cloudflare model paths
+ * @param {string|undefined} name - The model name to look up
+ * @returns {string|undefined} The aliased model path, if the table has its own entry for the name
+ */
+export const lookupModelAlias = (aliases, name) =>
+	aliases && typeof name === 'string' && Object.hasOwn(aliases, name) ? aliases[name] : undefined;
+
 /**
  * Resolve a requested model name to a Cloudflare model path.
- * Handles OpenAI model name mapping, direct Cloudflare model names, and env-based overrides.
+ * Handles per-key alias overrides, OpenAI model name mapping, direct Cloudflare model names, and env-based overrides.
  * @param {string} category - The model category key from MODEL_CATEGORIES (e.g. 'chat', 'completion')
  * @param {string|undefined} requestedModel - The model name from the request
  * @param {Object} [envMapper={}] - Optional env.MODEL_MAPPER for backward-compatible overrides
+ * @param {Object|null} [policy=null] - Optional per-key model policy ({ allowedModels, blockedModels, aliases })
  * @returns {string} The resolved Cloudflare model path
  * @throws {Error} If the model is not supported
+ * @throws {PermissionError} If the caller's policy does not allow the model
  */
-export const resolveModel = (category, requestedModel, envMapper = {}) => {
+export const resolveModel = (category, requestedModel, envMapper = {}, policy = null) => {
 	const supportedModels = MODEL_CATEGORIES[category];
 	if (!supportedModels) {
 		throw new Error(`Unknown model category: ${category}`);
 	}
 
-	// No model specified — use default
+	// No model specified — use default, or the first model the policy allows
 	if (!requestedModel) {
-		return DEFAULT_MODELS[category];
+		const defaultModel = DEFAULT_MODELS[category];
+		if (isModelAllowed(defaultModel, policy)) {
+			return defaultModel;
+		}
+		const fallback = supportedModels.find(model => isModelAllowed(model, policy));
+		if (!fallback) {
+			throw new PermissionError(`This API key is not allowed to use any ${category} model`);
+		}
+		return fallback;
+	}
+
+	// Per-key alias table takes precedence over the global mapping
+	const keyAlias = lookupModelAlias(policy?.aliases, requestedModel);
+	if (keyAlias) {
+		if (!supportedModels.includes(keyAlias)) {
+			throw new Error(`Model alias ${requestedModel} points to unsupported ${category} model: ${keyAlias}`);
+		}
+		return assertModelAllowed(keyAlias, policy, requestedModel);
 	}
 
 	// OpenAI model name mapping
-	if (MODEL_MAPPING[requestedModel]) {
-		return MODEL_MAPPING[requestedModel];
+	const mappedModel = lookupModelAlias(MODEL_MAPPING, requestedModel);
+	if (mappedModel) {
+		return assertModelAllowed(mappedModel, policy, requestedModel);
 	}
 
 	// Direct Cloudflare model name
 	if (supportedModels.includes(requestedModel)) {
-		return requestedModel;
+		return assertModelAllowed(requestedModel, policy);
 	}
 
 	// Env-based mapper fallback (used by completion handler for backward compat)
-	if (envMapper && envMapper[requestedModel]) {
-		const mapped = envMapper[requestedModel];
+	const mapped = lookupModelAlias(envMapper, requestedModel);
+	if (mapped) {
 		if (supportedModels.includes(mapped)) {
-			return mapped;
+			return assertModelAllowed(mapped, policy, requestedModel);
 		}
 	}
 
@@ -0,0 +1,139 @@
+// Sampling parameter mapping from OpenAI requests onto Workers AI text-generation models
+import { ValidationError, validateNumber } from './errors.js';
+import { getSamplingParameters } from './models.js';
+
+// Accepted ranges; temperature and top_p are clamped into range as they always have been, the rest are validated
+const SAMPLING_RANGES = {
+	temperature: [0, 2],
+	top_p: [0, 1],
+	top_k: [1, 50],
+	seed: [1, 9999999999],
+	frequency_penalty: [-2, 2],
+	presence_penalty: [-2, 2],
+	repetition_penalty: [0, 2],
+};
+
+// Parameters that must be whole numbers
+const INTEGER_PARAMETERS = ['top_k', 'seed'];
+
+// Sent when the request leaves them out and the model takes them
+const DEFAULT_SAMPLING_VALUES = { temperature: 0.7, top_p: 0.9 };
+
+// OpenAI parameters no Workers AI model supports
+const UNSUPPORTED_PARAMETERS = ['logit_bias', 'logprobs', 'top_logprobs'];
+
+// OpenAI allows up to four stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Validate the stop parameter
+ * @param {string|string[]|null} [stop] - One stop sequence or a list of them
+ * @returns {string[]} The stop sequences, empty when there are none
+ */
+export function resolveStopSequences(stop) {
+	if (stop === undefined || stop === null) {
+		return [];
+	}
+	const sequences = typeof stop === 'string' ? [stop] : stop;
+	if (!Array.isArray(sequences) || sequences.some(sequence => typeof sequence !== 'string')) {
+		throw new ValidationError('stop must be a string or an array of strings', 'stop');
+	}
+	if (sequences.length > MAX_STOP_SEQUENCES) {
+		throw new ValidationError(`stop accepts at most ${MAX_STOP_SEQUENCES} sequences`, 'stop');
+	}
+	return sequences.filter(sequence => sequence.length > 0);
+}
+
+/**
+ * Map the sampling parameters of an OpenAI request onto Workers AI parameters for a model.
+ * Parameters the model does not take (see getSamplingParameters) are left out with a warning rather than
+ * dropped silently.
+ * Stop sequences are never sent to the model; they are enforced on its output (see applyStopSequences).
+ * @param {Object} json - The request body
+ * @param {string} model - The Cloudflare model path
+ * @returns {{params: Object, stop: string[], warnings: string[]}} params has temperature and top_p whenever
+ *   the model takes them
+ */
+export function mapSamplingParameters(json, model) {
+	const supported = getSamplingParameters(model);
+	const params = {};
+	const warnings = [];
+
+	for (const [name, [min, max]] of Object.entries(SAMPLING_RANGES)) {
+		const value = json[name];
+		if (value === undefined || value === null) {
+			continue;
+		}
+		if (!supported.includes(name)) {
+			warnings.push(`${name} is not supported by ${model} and was ignored`);
+			continue;
+		}
+		if (name === 'temperature' || name === 'top_p') {
+			if (typeof value === 'number') {
+				params[name] = Math.max(min, Math.min(value, max));
+			}
+			continue;
+		}
+		params[name] = validateNumber(value, name, min, max);
+		if (INTEGER_PARAMETERS.includes(name) && !Number.isInteger(params[name])) {
+			throw new ValidationError(`Parameter ${name} must be an integer`, name);
+		}
+	}
+
+	for (const name of UNSUPPORTED_PARAMETERS) {
+		if (json[name] !== undefined && json[name] !== null && json[name] !== false) {
+			warnings.push(`${name} is not supported by ${model} and was ignored`);
+		}
+	}
+
+	return {
+		params: {
+			...Object.fromEntries(Object.entries(DEFAULT_SAMPLING_VALUES).filter(([name]) => supported.includes(name))),
+			...params,
+		},
+		stop: resolveStopSequences(json.stop),
+		warnings,
+	};
+}
+
+/**
+ * The max_tokens a request asks for; max_completion_tokens takes precedence over max_tokens
+ * @param {Object} json - The request body
+ * @returns {number|undefined} undefined when neither is a positive number
+ */
+export function requestedMaxTokens(json) {
+	const value = json.max_completion_tokens ?? json.max_tokens;
+	return typeof value === 'number' && value > 0 ? value : undefined;
+}
+
+/**
+ * Cut text at the first stop sequence, for models that do not stop by themselves
+ * @param {string} text - Model output
+ * @param {string[]} stop - Stop sequences
+ * @returns {{text: string, stopped: boolean}} The text before the first stop sequence, and whether one was found
+ */
+export function applyStopSequences(text, stop) {
+	if (typeof text !== 'string' || stop.length === 0) {
+		return { text, stopped: false };
+	}
+	const indexes = stop.map(sequence => text.indexOf(sequence)).filter(index => index !== -1);
+	if (indexes.length === 0) {
+		return { text, stopped: false };
+	}
+	return { text: text.slice(0, Math.min(...indexes)), stopped: true };
+}
+
+/**
+ * Response headers that carry parameter warnings to the client
+ * @param {string[]} warnings - Warnings from mapSamplingParameters
+ * @returns {Object} An x-parameter-warning header, or no headers when there are no warnings
+ */
+export function parameterWarningHeaders(warnings) {
+	if (warnings.length === 0) {
+		return {};
+	}
+	return {
+		'x-parameter-warning': warnings.join('; '),
+		'Access-Control-Expose-Headers': 'x-parameter-warning',
+	};
+}
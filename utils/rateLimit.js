@@ -0,0 +1,303 @@
+// Request and token rate limiting backed by the DistributedRateLimiter Durable Object
+// Limits come from the caller's tier, optionally overridden per key (see rate_limit_tier in schema.sql)
+import { RateLimitError, createErrorResponse } from './errors.js';
+import { addUsageHook } from './usage.js';
+
+// Request limits refill over one minute
+const WINDOW_MS = 60 * 1000;
+
+// Built-in tiers. A null limit means unlimited; requestBurst (the most requests accepted at once)
+// defaults to requestsPerMinute. maxConcurrentRequests is enforced by utils/concurrencyLimit.js. Override or extend with the RATE_LIMIT_TIERS env var,
+// e.g. RATE_LIMIT_TIERS = '{"free": {"requests_per_minute": 10}, "internal": {"tokens_per_day": null}}'
+export const RATE_LIMIT_TIERS = {
+	free: { requestsPerMinute: 20, tokensPerMinute: 40000, tokensPerDay: 500000, maxConcurrentRequests: 2 },
+	standard: { requestsPerMinute: 60, tokensPerMinute: 200000, tokensPerDay: 5000000, maxConcurrentRequests: 10 },
+	pro: { requestsPerMinute: 600, tokensPerMinute: 2000000, tokensPerDay: null, maxConcurrentRequests: 50 },
+};
+
+// Limit fields as they appear in RATE_LIMIT_TIERS and the admin API (snake_case) and in key records (camelCase)
+export const RATE_LIMIT_FIELDS = {
+	requests_per_minute: 'requestsPerMinute',
+	request_burst: 'requestBurst',
+	tokens_per_minute: 'tokensPerMinute',
+	tokens_per_day: 'tokensPerDay',
+	max_concurrent_requests: 'maxConcurrentRequests',
+};
+
+// Tier for keys without one, the legacy ACCESS_TOKEN and anonymous callers (override with RATE_LIMIT_DEFAULT_TIER)
+export const DEFAULT_RATE_LIMIT_TIER = 'standard';
+
+// Response headers clients read to back off, mirroring OpenAI's names
+const RATE_LIMIT_HEADERS = [
+	'x-ratelimit-limit-requests',
+	'x-ratelimit-remaining-requests',
+	'x-ratelimit-reset-requests',
+	'x-ratelimit-limit-tokens',
+	'x-ratelimit-remaining-tokens',
+	'x-ratelimit-reset-tokens',
+];
+
+/**
+ * Get the configured rate limit tiers, merging env.RATE_LIMIT_TIERS over the built-in ones.
+ * @param {Object} env - Worker environment bindings
+ * @returns {Object} Map of tier name to { requestsPerMinute, requestBurst, tokensPerMinute, tokensPerDay,
+ *   maxConcurrentRequests }
+ */
+export function getRateLimitTiers(env = {}) {
+	if (!env.RATE_LIMIT_TIERS) {
+		return RATE_LIMIT_TIERS;
+	}
+
+	let overrides;
+	try {
+		overrides =
+			typeof env.RATE_LIMIT_TIERS === 'string' ? JSON.parse(env.RATE_LIMIT_TIERS) : env.RATE_LIMIT_TIERS;
+	} catch {
+		console.error('Invalid RATE_LIMIT_TIERS JSON, using the built-in tiers');
+		return RATE_LIMIT_TIERS;
+	}
+
+	const tiers = { ...RATE_LIMIT_TIERS };
+	for (const [name, limits] of Object.entries(overrides || {})) {
+		tiers[name] = { ...tiers[name] };
+		for (const [field, property] of Object.entries(RATE_LIMIT_FIELDS)) {
+			if (limits?.[field] !== undefined) {
+				tiers[name][property] = limits[field];
+			}
+		}
+	}
+	return tiers;
+}
+
+/**
+ * Resolve the effective limits for a principal: the key's own override, else its tier, else the default tier.
+ * @param {Object|undefined} principal - The authenticated principal
+ * @param {Object} env - Worker environment bindings
+ * @returns {{tier: string, requestsPerMinute: number|null, requestBurst: number|null, tokensPerMinute: number|null,
+ *   tokensPerDay: number|null, maxConcurrentRequests: number|null}} null means unlimited (or, for requestBurst, the same as requestsPerMinute)
+ */
+export function resolveRateLimit(principal, env = {}) {
+	const tiers = getRateLimitTiers(env);
+	const defaultTier = tiers[env.RATE_LIMIT_DEFAULT_TIER] ? env.RATE_LIMIT_DEFAULT_TIER : DEFAULT_RATE_LIMIT_TIER;
+	const keyLimits = principal?.rateLimits || {};
+	const tier = tiers[keyLimits.tier] ? keyLimits.tier : defaultTier;
+
+	const limits = { tier };
+	for (const property of Object.values(RATE_LIMIT_FIELDS)) {
+		limits[property] = keyLimits[property] ?? tiers[tier]?.[property] ?? null;
+	}
+	return limits;
+}
+
+/**
+ * Identify who a request is counted against: the API key, or the client IP for the shared ACCESS_TOKEN.
+ * @param {Request} request - The incoming request, after authentication
+ * @returns {string}
+ */
+export function getRateLimitIdentifier(request) {
+	const principal = request.principal;
+	if (principal && !principal.legacy) {
+		return `key:${principal.id}`;
+	}
+	return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+}
+
+/**
+ * Call an endpoint of the identifier's Durable Object. Each identifier gets its own instance.
+ * @param {DurableObjectNamespace} namespace - The RATE_LIMITER binding
+ * @param {string} identifier - Key or IP identifier
+ * @param {string} path - /check, /tokens/reserve or /tokens/reconcile
+ * @param {Object} body - Endpoint parameters
+ * @returns {Promise<Object>} The parsed JSON answer
+ */
+async function callRateLimiter(namespace, identifier, path, body) {
+	const stub = namespace.get(namespace.idFromName(identifier));
+	const response = await stub.fetch(`https://rate-limiter${path}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ identifier, ...body }),
+	});
+
+	// The Durable Object answers 429 with a JSON body when the limit is reached
+	if (!response.ok && response.status !== 429) {
+		throw new Error(`Rate limiter returned ${response.status}`);
+	}
+	return response.json();
+}
+
+/**
+ * Take one request from the identifier's request bucket.
+ * @param {DurableObjectNamespace} namespace - The RATE_LIMITER binding
+ * @param {string} identifier - Key or IP identifier
+ * @param {number} limit - Requests refilled per minute
+ * @param {number|null} [burst] - Bucket size; defaults to limit
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetTime: number, retryAfter: number}>}
+ */
+export function checkRateLimit(namespace, identifier, limit, burst = null) {
+	return callRateLimiter(namespace, identifier, '/check', { limit, windowMs: WINDOW_MS, burst });
+}
+
+// Pick the window to report in the x-ratelimit-*-tokens headers: the one with the fewest tokens left
+function tightestWindow(windows) {
+	return Object.values(windows || {}).reduce(
+		(tightest, window) => (!tightest || window.remaining < tightest.remaining ? window : tightest),
+		null,
+	);
+}
+
+/**
+ * Build the usage hook enforcing token limits: checks reserve the estimated prompt tokens before the model
+ * runs, reports reconcile the reservation with the final prompt + completion tokens.
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Worker environment bindings
+ * @param {Object} ctx - Execution context, used to finish reconciliation in the background
+ * @param {string} identifier - Key or IP identifier
+ * @param {Object} limits - Resolved limits from resolveRateLimit
+ * @returns {Object} Usage hook for addUsageHook
+ */
+export function createTokenLimitHook(request, env, ctx, identifier, limits) {
+	const windowLimits = { minute: limits.tokensPerMinute, day: limits.tokensPerDay };
+	let reserved = 0;
+
+	return {
+		async check({ promptTokens }) {
+			// Calls billed per call (audio, images) consume no tokens
+			if (!promptTokens) {
+				return;
+			}
+
+			// A prompt larger than a whole window could never be admitted, so there is nothing to wait for
+			for (const [name, limit] of Object.entries(windowLimits)) {
+				if (limit && promptTokens > limit) {
+					throw new RateLimitError(
+						`Request too large: about ${promptTokens} prompt tokens exceeds the limit of ${limit} tokens per ${name}.`,
+					);
+				}
+			}
+
+			let result;
+			try {
+				result = await callRateLimiter(env.RATE_LIMITER, identifier, '/tokens/reserve', {
+					tokens: promptTokens,
+					limits: windowLimits,
+				});
+			} catch (error) {
+				console.error('Rate limiter unavailable, allowing request:', error);
+				return;
+			}
+
+			request.rateLimit = { ...request.rateLimit, tokens: tightestWindow(result.windows) };
+
+			if (!result.allowed) {
+				throw new RateLimitError(
+					`Token rate limit reached: ${windowLimits[result.window]} tokens per ${result.window}. Please retry after ${result.retryAfter}s.`,
+					result.retryAfter,
+				);
+			}
+			reserved = promptTokens;
+		},
+
+		report({ totalTokens, cached }) {
+			// Responses served from the cache did not run a model
+			const difference = (cached ? 0 : totalTokens) - reserved;
+			if (!difference) {
+				return;
+			}
+			const reconcile = callRateLimiter(env.RATE_LIMITER, identifier, '/tokens/reconcile', {
+				tokens: difference,
+			}).catch(error => console.error('Failed to reconcile token usage:', error));
+			ctx?.waitUntil?.(reconcile);
+		},
+	};
+}
+
+/**
+ * Format a duration the way OpenAI's x-ratelimit-reset-* headers do, e.g. "20ms", "1s", "6m0s".
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatResetDuration(ms) {
+	if (ms < 1000) {
+		return `${Math.max(0, Math.ceil(ms))}ms`;
+	}
+	const totalSeconds = Math.ceil(ms / 1000);
+	const hours = Math.floor(totalSeconds / 3600);
+	const minutes = Math.floor((totalSeconds % 3600) / 60);
+	const seconds = totalSeconds % 60;
+	return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${seconds}s`;
+}
+
+// MIDDLEWARE: rateLimit - counts the request and returns a 429 once the caller's request limit is reached,
+// and registers the token limit hook that handlers trigger through checkUsage/reportUsage (utils/usage.js).
+// Runs after authenticate. Fails open if the Durable Object is not bound or unavailable.
+export const rateLimit = async (request, env, ctx) => {
+	if (!env.RATE_LIMITER) {
+		return;
+	}
+
+	const limits = resolveRateLimit(request.principal, env);
+	const identifier = getRateLimitIdentifier(request);
+
+	if (limits.tokensPerMinute || limits.tokensPerDay) {
+		addUsageHook(request, createTokenLimitHook(request, env, ctx, identifier, limits));
+	}
+
+	if (!limits.requestsPerMinute) {
+		return;
+	}
+
+	let result;
+	try {
+		result = await checkRateLimit(env.RATE_LIMITER, identifier, limits.requestsPerMinute, limits.requestBurst);
+	} catch (error) {
+		console.error('Rate limiter unavailable, allowing request:', error);
+		return;
+	}
+
+	// Picked up by withRateLimitHeaders once the response is ready
+	request.rateLimit = {
+		...request.rateLimit,
+		requests: {
+			limit: result.limit,
+			remaining: result.remaining,
+			resetTime: result.resetTime,
+		},
+	};
+
+	if (!result.allowed) {
+		return createErrorResponse(
+			new RateLimitError(
+				`Request rate limit reached: ${result.limit} requests per minute. Please retry after ${result.retryAfter}s.`,
+				result.retryAfter,
+			),
+		);
+	}
+};
+
+// FINALLY HANDLER: withRateLimitHeaders - adds the x-ratelimit-* headers to every rate-limited response
+export const withRateLimitHeaders = (response, request) => {
+	if (!request.rateLimit || !(response instanceof Response)) {
+		return response;
+	}
+
+	const headers = new Headers(response.headers);
+	for (const [kind, window] of Object.entries(request.rateLimit)) {
+		if (window) {
+			headers.set(`x-ratelimit-limit-${kind}`, String(window.limit));
+			headers.set(`x-ratelimit-remaining-${kind}`, String(Math.max(0, window.remaining)));
+			headers.set(`x-ratelimit-reset-${kind}`, formatResetDuration(window.resetTime - Date.now()));
+		}
+	}
+	const exposed = headers.get('Access-Control-Expose-Headers');
+	headers.set(
+		'Access-Control-Expose-Headers',
+		[exposed, ...RATE_LIMIT_HEADERS, 'Retry-After'].filter(Boolean).join(', '),
+	);
+
+	// Re-wrap the response: headers of fetched or cached responses are immutable
+	return new Response(response.body, {
+		status: response.status,
+		statusText: response.statusText,
+		headers,
+	});
+};
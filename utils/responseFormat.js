@@ -0,0 +1,127 @@
+import { ValidationError } from './errors.js';
+import { findJsonObjects } from './functionCalling.js';
+import { validateJsonSchema } from './jsonSchema.js';
+
+/**
+ * Validate and normalize the OpenAI response_format parameter
+ * @param {Object} [responseFormat] - {type: 'text'}, {type: 'json_object'} or {type: 'json_schema', json_schema: {...}}
+ * @returns {{type: string, name?: string, schema?: Object, strict?: boolean}}
+ */
+export function resolveResponseFormat(responseFormat) {
+	if (responseFormat === undefined || responseFormat === null || responseFormat.type === 'text') {
+		return { type: 'text' };
+	}
+	if (responseFormat.type === 'json_object') {
+		return { type: 'json_object' };
+	}
+	if (responseFormat.type !== 'json_schema') {
+		throw new ValidationError(
+			`Unsupported response_format type: ${responseFormat.type}. Use 'text', 'json_object' or 'json_schema'.`,
+			'response_format',
+		);
+	}
+
+	const { name, schema, strict = false } = responseFormat.json_schema ?? {};
+	if (typeof name !== 'string' || !/^[\w-]{1,64}$/.test(name)) {
+		throw new ValidationError(
+			'response_format.json_schema.name must be 1-64 letters, digits, underscores or dashes',
+			'response_format',
+		);
+	}
+	if (schema !== undefined && (schema === null || typeof schema !== 'object' || Array.isArray(schema))) {
+		throw new ValidationError('response_format.json_schema.schema must be an object', 'response_format');
+	}
+	return { type: 'json_schema', name, schema: schema ?? {}, strict: strict === true };
+}
+
+/**
+ * The Workers AI response_format parameter for models with native JSON mode
+ * @param {Object} format - Resolved response_format (see resolveResponseFormat)
+ * @returns {Object}
+ */
+export function nativeResponseFormat(format) {
+	return format.type === 'json_schema' ? { type: 'json_schema', json_schema: format.schema } : { type: 'json_object' };
+}
+
+/**
+ * Instruct the model to answer with JSON, for models without native JSON mode
+ * @param {Array} messages - Conversation messages
+ * @param {Object} format - Resolved response_format (see resolveResponseFormat)
+ * @returns {Array} Messages with the instruction added to the system message
+ */
+export function addResponseFormatContext(messages, format) {
+	let instruction = 'Respond only with a single valid JSON object. Do not add any text before or after it.';
+	if (format.type === 'json_schema') {
+		instruction += ` The JSON object must conform to this JSON Schema:\n${JSON.stringify(format.schema)}`;
+	}
+	instruction += '\nIf you cannot comply with the request, reply with a short explanation in plain text instead.';
+
+	const updatedMessages = [...messages];
+	const systemMessageIndex = updatedMessages.findIndex(msg => msg.role === 'system');
+	if (systemMessageIndex >= 0) {
+		updatedMessages[systemMessageIndex] = {
+			...updatedMessages[systemMessageIndex],
+			content: `${updatedMessages[systemMessageIndex].content}\n\n${instruction}`,
+		};
+	} else {
+		updatedMessages.unshift({ role: 'system', content: instruction });
+	}
+	return updatedMessages;
+}
+
+/**
+ * Check model output against response_format.
+ * Problem codes: 'refusal' when the model answered in prose instead of JSON, 'response_format_not_satisfied'
+ * for broken JSON or output that breaks a strict schema, and null for output that only breaks a non-strict schema.
+ * @param {Object} format - Resolved response_format (see resolveResponseFormat)
+ * @param {string} content - Model output
+ * @returns {{json: string|undefined, problems: Array<{message: string, code: string|null}>}} json is the JSON
+ *   object extracted from the output, re-serialized, when there is one
+ */
+export function checkResponseFormat(format, content) {
+	if (format.type === 'text') {
+		return { json: undefined, problems: [] };
+	}
+
+	const text = typeof content === 'string' ? content.trim() : '';
+	let value;
+	for (const candidate of [text, ...findJsonObjects(text)]) {
+		try {
+			value = JSON.parse(candidate);
+			break;
+		} catch {
+			// Try the next candidate
+		}
+	}
+
+	if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+		// Output that never opens a JSON object is an answer in prose; anything else is JSON gone wrong
+		const problem = text.includes('{')
+			? { message: 'the reply is not valid JSON', code: 'response_format_not_satisfied' }
+			: { message: 'the reply is not a JSON object', code: 'refusal' };
+		return { json: undefined, problems: [problem] };
+	}
+
+	const json = JSON.stringify(value);
+	if (format.type === 'json_object') {
+		return { json, problems: [] };
+	}
+
+	const code = format.strict ? 'response_format_not_satisfied' : null;
+	return {
+		json,
+		problems: validateJsonSchema(value, format.schema).map(error => ({ message: error, code })),
+	};
+}
+
+/**
+ * Build the follow-up instruction sent when a reply did not match response_format
+ * @param {Object} format - Resolved response_format (see resolveResponseFormat)
+ * @param {Array} problems - What was wrong, from checkResponseFormat
+ * @returns {string}
+ */
+export function responseFormatReminder(format, problems) {
+	const list = problems.map(problem => `- ${problem.message}`).join('\n');
+	const target = format.type === 'json_schema' ? 'a JSON object that conforms to the schema' : 'a valid JSON object';
+	return `Your previous reply was not accepted:\n${list}\nReply only with ${target}.`;
+}
@@ -1,3 +1,12 @@
+import {
+	createToolCallStreamParser,
+	formatToolCallArguments,
+	generateToolCallId,
+	normalizeToolCalls,
+} from './functionCalling.js';
+import { estimateTokens, reportedFinishReason, resolveFinishReason } from './format.js';
+import { applyStopSequences } from './parameters.js';
+
 // Helper function for streaming models (if needed)
 export async function streamToBuffer(stream) {
 	const reader = stream.getReader();
@@ -27,167 +36,665 @@ export async function streamToBuffer(stream) {
 	return buffer;
 }
 
+const THINK_TAG_START = '<think>';
+const THINK_TAG_END = '</think>';
+
+// Characters of an expected think block without its <think> tag held back before they are streamed as reasoning
+const UNCONFIRMED_THINK_LIMIT = 2048;
+
+// Length of the longest end of text that could be the start of tag
+function partialTagLength(text, tag) {
+	for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+		if (tag.startsWith(text.slice(-length))) {
+			return length;
+		}
+	}
+	return 0;
+}
+
+// Split streamed text into reasoning and content as it arrives. Models that think open with a
+// reasoning block, often without its <think> tag; other models stream content straight away but
+// may still open a think block mid-stream. What may be the start of a tag split across chunks is
+// held back until the next chunk shows whether it is one. An expected block without its <think> tag is
+// held back until </think> or UNCONFIRMED_THINK_LIMIT characters confirm it, and a reply that ends
+// before either is content, as splitThink reads it.
+function createThinkParser({ thinking = false } = {}) {
+	let state = thinking ? 'reasoning' : 'content';
+	let held = '';
+	// An expected think block may or may not start with its <think> tag
+	let opening = thinking;
+	let unconfirmed = thinking;
+	let trimNext = thinking;
+
+	const event = (type, text) => {
+		// Drop the line breaks that follow a tag
+		const trimmed = trimNext ? text.trimStart() : text;
+		if (!trimmed) return [];
+		trimNext = false;
+		return [{ type, text: trimmed }];
+	};
+
+	return {
+		push(text) {
+			held += text;
+			const events = [];
+			while (held) {
+				if (opening) {
+					const trimmed = held.trimStart();
+					if (THINK_TAG_START.startsWith(trimmed)) return events;
+					opening = false;
+					if (trimmed.startsWith(THINK_TAG_START)) {
+						held = trimmed.slice(THINK_TAG_START.length);
+						unconfirmed = false;
+					}
+				}
+				if (unconfirmed) {
+					if (!held.includes(THINK_TAG_END) && held.length < UNCONFIRMED_THINK_LIMIT) return events;
+					unconfirmed = false;
+				}
+
+				const tag = state === 'reasoning' ? THINK_TAG_END : THINK_TAG_START;
+				const tagIndex = held.indexOf(tag);
+				if (tagIndex === -1) {
+					const keep = partialTagLength(held, tag);
+					events.push(...event(state, held.slice(0, held.length - keep)));
+					held = held.slice(held.length - keep);
+					return events;
+				}
+
+				events.push(...event(state, held.slice(0, tagIndex)));
+				held = held.slice(tagIndex + tag.length);
+				state = state === 'reasoning' ? 'content' : 'reasoning';
+				trimNext = true;
+			}
+			return events;
+		},
+
+		// Release held text; a tag cut off by the end of the stream is only text
+		end() {
+			const text = held;
+			held = '';
+			opening = false;
+			if (unconfirmed) {
+				unconfirmed = false;
+				state = 'content';
+			}
+			return event(state, text);
+		},
+	};
+}
+
+// Cut streamed content at the first stop sequence, for models that do not stop by themselves.
+// What may be the start of a stop sequence split across chunks is held back until the next chunk.
+function createStopFilter(stop) {
+	let held = '';
+	let stopped = false;
+
+	return {
+		push(text) {
+			if (stopped) return '';
+			held += text;
+			const cut = applyStopSequences(held, stop);
+			if (cut.stopped) {
+				held = '';
+				stopped = true;
+				return cut.text;
+			}
+			const keep = Math.max(0, ...stop.map(sequence => partialTagLength(held, sequence)));
+			const released = held.slice(0, held.length - keep);
+			held = held.slice(held.length - keep);
+			return released;
+		},
+
+		end() {
+			const text = held;
+			held = '';
+			return text;
+		},
+
+		stopped: () => stopped,
+	};
+}
+
+// Decode a Workers AI byte stream into the payloads of its SSE data lines. Decoding with
+// {stream: true} keeps multi-byte characters split across chunks intact.
+function createSSEDataReader() {
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	const take = lines => lines.filter(line => line.startsWith('data: ')).map(line => line.slice('data: '.length));
+
+	return {
+		push(chunk) {
+			buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+			const lines = buffer.split('\n');
+			buffer = lines.pop();
+			return take(lines);
+		},
+
+		// The last line may have no newline after it
+		end() {
+			buffer += decoder.decode();
+			const lines = buffer.split('\n');
+			buffer = '';
+			return take(lines);
+		},
+	};
+}
+
+// Usage of a finished stream: the counts Workers AI reported, or else the up-front prompt count
+// and a count of the streamed text
+function streamUsage(promptTokens, completion, reported, countTokens) {
+	const prompt_tokens = reported?.prompt_tokens ?? promptTokens;
+	const completion_tokens = reported?.completion_tokens ?? countTokens(completion);
+	return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+/**
+ * Add up the usage of several choices
+ * @param {Array<{prompt_tokens: number, completion_tokens: number}>} usages - Usage of each choice
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+export function sumUsage(usages) {
+	const prompt_tokens = usages.reduce((sum, usage) => sum + usage.prompt_tokens, 0);
+	const completion_tokens = usages.reduce((sum, usage) => sum + usage.completion_tokens, 0);
+	return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
 /**
  * Create a TransformStream for chat completion SSE streaming.
- * Handles think-tag stripping, SSE line parsing, and OpenAI-format chunk emission.
+ * Handles SSE line parsing, think blocks and OpenAI-format chunk emission.
  * @param {string} uuid - The request UUID for the response id field
  * @param {number} created - The epoch-seconds creation timestamp
  * @param {string} model - The model name to include in chunks
+ * @param {Object} [options]
+ * @param {Function} [options.onComplete] - Called once with the full streamed text and its usage when the stream ends
+ * @param {Function} [options.onText] - Called with each piece of generated text as it arrives, so a stream the
+ *   client cancels can still be metered
+ * @param {number} [options.promptTokens=0] - Prompt tokens, used unless Workers AI reports its own count
+ * @param {Function} [options.countTokens=estimateTokens] - Counts the streamed text's tokens when Workers AI
+ *   reports no usage
+ * @param {boolean} [options.includeUsage=false] - End with a chunk that has empty choices and the usage
+ * @param {number} [options.index=0] - Index of the choice the chunks belong to
+ * @param {boolean} [options.standalone=true] - End with the usage chunk and [DONE]; off for a choice that is
+ *   merged with others (see mergeEventStreams)
+ * @param {string[]} [options.stop=[]] - Stop sequences to end the content at
+ * @param {number} [options.maxTokens] - The max_tokens the model ran with, to tell output cut off by it
+ * @param {boolean} [options.thinking=false] - The model opens its reply with a think block
+ * @param {boolean} [options.reasoning=true] - Stream think blocks as delta.reasoning_content rather than dropping them
+ * @param {boolean} [options.toolCalls=false] - Detect tool call JSON in the text and stream it as delta.tool_calls
+ *   (structured tool_calls from models with native function calling are always streamed)
+ * @param {boolean} [options.parallelToolCalls=true] - Stream every tool call rather than only the first
  * @returns {TransformStream}
  */
-export function createChatStreamTransformer(uuid, created, model) {
-	let buffer = '';
-	const decoder = new TextDecoder();
+export function createChatStreamTransformer(
+	uuid,
+	created,
+	model,
+	{
+		onComplete,
+		onText,
+		promptTokens = 0,
+		countTokens = estimateTokens,
+		includeUsage = false,
+		index = 0,
+		standalone = true,
+		stop = [],
+		maxTokens,
+		thinking = false,
+		reasoning = true,
+		toolCalls = false,
+		parallelToolCalls = true,
+	} = {},
+) {
 	const encoder = new TextEncoder();
+	const reader = createSSEDataReader();
+	const thinkParser = createThinkParser({ thinking });
+	const stopFilter = createStopFilter(stop);
+	const toolCallParser = toolCalls ? createToolCallStreamParser({ parallelToolCalls }) : null;
 	let isFinished = false;
-	let pastThinkTag = false;
-	const thinkTagEnd = '</think>';
+	let completion = '';
+	let reportedUsage = null;
+	let reportedFinish = null;
+	let nativeToolCalls = 0;
 
-	return new TransformStream({
-		transform(chunk, controller) {
-			if (isFinished) return;
+	const enqueueChunk = (controller, delta, finishReason = null) => {
+		const chunk = {
+			id: uuid,
+			created,
+			object: 'chat.completion.chunk',
+			model,
+			choices: [{ delta, index, finish_reason: finishReason }],
+			...(includeUsage && { usage: null }),
+		};
+		controller.enqueue(encoder.encode('data: ' + JSON.stringify(chunk) + '\n\n'));
+	};
 
-			buffer += decoder.decode(chunk);
+	// Turn parser events into content and tool_calls deltas
+	const enqueueEvents = (controller, events) => {
+		for (const event of events) {
+			if (event.type === 'content') {
+				enqueueChunk(controller, { role: 'assistant', content: event.text });
+			} else if (event.type === 'tool_call') {
+				enqueueChunk(controller, {
+					role: 'assistant',
+					tool_calls: [
+						{ index: event.index, id: event.id, type: 'function', function: { name: event.name, arguments: '' } },
+					],
+				});
+			} else {
+				enqueueChunk(controller, { tool_calls: [{ index: event.index, function: { arguments: event.text } }] });
+			}
+		}
+	};
 
-			if (!pastThinkTag) {
-				const thinkIndex = buffer.indexOf(thinkTagEnd);
-				if (thinkIndex !== -1) {
-					buffer = buffer.substring(thinkIndex + thinkTagEnd.length);
-					pastThinkTag = true;
-				} else {
-					return;
+	const enqueueContent = (controller, text) => {
+		if (!text) return;
+		if (toolCallParser) {
+			enqueueEvents(controller, toolCallParser.push(text));
+		} else {
+			enqueueChunk(controller, { role: 'assistant', content: text });
+		}
+	};
+
+	// Route text through the think parser, then content through the stop filter and the tool call parser
+	const enqueueText = (controller, events) => {
+		for (const event of events) {
+			if (stopFilter.stopped()) return;
+			if (event.type === 'reasoning') {
+				if (reasoning) {
+					enqueueChunk(controller, { role: 'assistant', reasoning_content: event.text });
 				}
+			} else {
+				enqueueContent(controller, stopFilter.push(event.text));
+			}
+		}
+	};
+
+	const finish = controller => {
+		isFinished = true;
+		enqueueText(controller, thinkParser.end());
+		enqueueContent(controller, stopFilter.end());
+		if (toolCallParser) {
+			enqueueEvents(controller, toolCallParser.end());
+		}
+		const calledTools = nativeToolCalls > 0 || toolCallParser?.hasToolCalls();
+		const usage = streamUsage(promptTokens, completion, reportedUsage, countTokens);
+		const finishReason = calledTools
+			? 'tool_calls'
+			: resolveFinishReason({
+				reported: reportedFinish,
+				stopped: stopFilter.stopped(),
+				completionTokens: usage.completion_tokens,
+				maxTokens,
+				text: completion,
+			});
+		enqueueChunk(controller, {}, finishReason);
+		if (standalone) {
+			if (includeUsage) {
+				const chunk = { id: uuid, created, object: 'chat.completion.chunk', model, choices: [], usage };
+				controller.enqueue(encoder.encode('data: ' + JSON.stringify(chunk) + '\n\n'));
+			}
+			controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+		}
+		onComplete?.(completion, usage);
+	};
+
+	const handleData = (controller, payloads) => {
+		for (const payload of payloads) {
+			if (isFinished) return;
+			if (payload.trim() === '[DONE]') {
+				finish(controller);
+				return;
 			}
 
-			while (true) {
-				const newlineIndex = buffer.indexOf('\n');
-				if (newlineIndex === -1) break;
-
-				const line = buffer.slice(0, newlineIndex + 1);
-				buffer = buffer.slice(newlineIndex + 1);
-
-				try {
-					if (line.startsWith('data: ')) {
-						const content = line.slice('data: '.length);
-						if (content.trim() === '[DONE]') {
-							const finalChunk = 'data: ' + JSON.stringify({
-								id: uuid,
-								created,
-								object: 'chat.completion.chunk',
-								model,
-								choices: [{ delta: {}, index: 0, finish_reason: 'stop' }],
-							}) + '\n\n';
-							controller.enqueue(encoder.encode(finalChunk));
-							controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-							isFinished = true;
-							return;
-						}
-
-						const data = JSON.parse(content);
-						if (data.response) {
-							const actualContent = typeof data.response === 'string'
-								? data.response
-								: data.response?.text || data.response?.content || JSON.stringify(data.response);
-
-							const newChunk = 'data: ' + JSON.stringify({
-								id: uuid,
-								created,
-								object: 'chat.completion.chunk',
-								model,
-								choices: [{
-									delta: { role: 'assistant', content: actualContent },
-									index: 0,
-									finish_reason: null,
-								}],
-							}) + '\n\n';
-							controller.enqueue(encoder.encode(newChunk));
-						}
+			try {
+				const data = JSON.parse(payload);
+				if (data.usage) {
+					reportedUsage = data.usage;
+				}
+				reportedFinish = reportedFinishReason(data) ?? reportedFinish;
+				if (data.response) {
+					const actualContent = typeof data.response === 'string'
+						? data.response
+						: data.response?.text || data.response?.content || JSON.stringify(data.response);
+					completion += actualContent;
+					onText?.(actualContent);
+					enqueueText(controller, thinkParser.push(actualContent));
+					// The rest of the output is discarded once a stop sequence is reached
+					if (stopFilter.stopped()) {
+						finish(controller);
+						return;
 					}
-				} catch (err) {
-					console.error('Error parsing streaming line:', err);
 				}
+
+				// Native function calling sends each call whole
+				for (const functionCall of normalizeToolCalls(data.tool_calls)) {
+					if (!parallelToolCalls && nativeToolCalls > 0) break;
+					const index = nativeToolCalls++;
+					const args = formatToolCallArguments(functionCall.arguments);
+					completion += args;
+					onText?.(args);
+					enqueueEvents(controller, [
+						{ type: 'tool_call', index, id: functionCall.id || generateToolCallId(), name: functionCall.name },
+						{ type: 'arguments', index, text: args },
+					]);
+				}
+			} catch (err) {
+				console.error('Error parsing streaming line:', err);
+			}
+		}
+	};
+
+	return new TransformStream({
+		transform(chunk, controller) {
+			if (!isFinished) {
+				handleData(controller, reader.push(chunk));
 			}
 		},
 
 		flush(controller) {
 			if (!isFinished) {
-				const finalChunk = 'data: ' + JSON.stringify({
-					id: uuid,
-					created,
-					object: 'chat.completion.chunk',
-					model,
-					choices: [{ delta: {}, index: 0, finish_reason: 'stop' }],
-				}) + '\n\n';
-				controller.enqueue(encoder.encode(finalChunk));
-				controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+				handleData(controller, reader.end());
 			}
+			if (!isFinished) {
+				finish(controller);
+			}
+		},
+	});
+}
+
+/**
+ * Replay a finished chat.completion as the SSE chunks a streamed request would have received.
+ * Used when the response has to be checked in full before any of it is sent.
+ * @param {Object} completion - A chat.completion response body
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUsage=false] - End with a chunk that has empty choices and the usage
+ * @returns {ReadableStream}
+ */
+export function createChatCompletionReplay(completion, { includeUsage = false } = {}) {
+	const encoder = new TextEncoder();
+	const chunk = choices => ({
+		id: completion.id,
+		created: completion.created,
+		object: 'chat.completion.chunk',
+		model: completion.model,
+		choices,
+		...(includeUsage && { usage: null }),
+	});
+
+	const chunks = [];
+	for (const { index, message, finish_reason } of completion.choices) {
+		const delta = (fields, finishReason = null) => chunk([{ delta: fields, index, finish_reason: finishReason }]);
+		if (message.reasoning_content) {
+			chunks.push(delta({ role: 'assistant', reasoning_content: message.reasoning_content }));
+		}
+		if (message.content) {
+			chunks.push(delta({ role: 'assistant', content: message.content }));
+		}
+		if (message.refusal) {
+			chunks.push(delta({ role: 'assistant', refusal: message.refusal }));
+		}
+		(message.tool_calls ?? []).forEach((toolCall, callIndex) => {
+			chunks.push(delta({ role: 'assistant', tool_calls: [{ index: callIndex, ...toolCall }] }));
+		});
+		chunks.push(delta({}, finish_reason));
+	}
+	if (includeUsage) {
+		const gatewayInfo = completion.x_gateway ? { x_gateway: completion.x_gateway } : {};
+		chunks.push({ ...chunk([]), usage: completion.usage, ...gatewayInfo });
+	}
+
+	return new ReadableStream({
+		start(controller) {
+			for (const data of chunks) {
+				controller.enqueue(encoder.encode('data: ' + JSON.stringify(data) + '\n\n'));
+			}
+			controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+			controller.close();
 		},
 	});
 }
 
 /**
  * Create a TransformStream for text completion SSE streaming.
- * Handles think-tag stripping, SSE line parsing, and OpenAI completion-format chunk emission.
+ * Handles SSE line parsing, think-block stripping and OpenAI completion-format chunk emission.
  * @param {string} uuid - The request UUID for the response id field
  * @param {number} created - The epoch-seconds creation timestamp
  * @param {string} model - The model name to include in chunks
+ * @param {Object} [options]
+ * @param {Function} [options.onComplete] - Called once with the full streamed text and its usage when the stream ends
+ * @param {Function} [options.onText] - Called with each piece of generated text as it arrives, so a stream the
+ *   client cancels can still be metered
+ * @param {number} [options.promptTokens=0] - Prompt tokens, used unless Workers AI reports its own count
+ * @param {Function} [options.countTokens=estimateTokens] - Counts the streamed text's tokens when Workers AI
+ *   reports no usage
+ * @param {boolean} [options.includeUsage=false] - End with a chunk that has empty choices and the usage
+ * @param {number} [options.index=0] - Index of the choice the chunks belong to
+ * @param {boolean} [options.standalone=true] - End with the usage chunk and [DONE]; off for a choice that is
+ *   merged with others (see mergeEventStreams)
+ * @param {string[]} [options.stop=[]] - Stop sequences to end the text at
+ * @param {number} [options.maxTokens] - The max_tokens the model ran with, to tell output cut off by it
+ * @param {boolean} [options.thinking=false] - The model opens its reply with a think block
  * @returns {TransformStream}
  */
-export function createCompletionStreamTransformer(uuid, created, model) {
-	let buffer = '';
-	const decoder = new TextDecoder();
+export function createCompletionStreamTransformer(
+	uuid,
+	created,
+	model,
+	{
+		onComplete,
+		onText,
+		promptTokens = 0,
+		countTokens = estimateTokens,
+		includeUsage = false,
+		index = 0,
+		standalone = true,
+		stop = [],
+		maxTokens,
+		thinking = false,
+	} = {},
+) {
 	const encoder = new TextEncoder();
-	let pastThinkTag = false;
-	const thinkTagEnd = '</think>';
+	const reader = createSSEDataReader();
+	const thinkParser = createThinkParser({ thinking });
+	const stopFilter = createStopFilter(stop);
+	let completion = '';
+	let reportedUsage = null;
+	let reportedFinish = null;
+	let isFinished = false;
+
+	const enqueueChoice = (controller, text, finishReason = null) => {
+		const newChunk = 'data: ' + JSON.stringify({
+			id: uuid,
+			created,
+			object: 'text_completion',
+			model,
+			choices: [{
+				text,
+				index,
+				logprobs: null,
+				finish_reason: finishReason,
+			}],
+			...(includeUsage && { usage: null }),
+		}) + '\n\n';
+		controller.enqueue(encoder.encode(newChunk));
+	};
+
+	const enqueueContent = (controller, text) => {
+		if (text) enqueueChoice(controller, text);
+	};
+
+	// Text completions have no place for reasoning, so only content is sent
+	const enqueueText = (controller, events) => {
+		for (const event of events) {
+			if (event.type === 'content') {
+				enqueueContent(controller, stopFilter.push(event.text));
+			}
+		}
+	};
+
+	const finish = controller => {
+		isFinished = true;
+		enqueueText(controller, thinkParser.end());
+		enqueueContent(controller, stopFilter.end());
+		const usage = streamUsage(promptTokens, completion, reportedUsage, countTokens);
+		const finishReason = resolveFinishReason({
+			reported: reportedFinish,
+			stopped: stopFilter.stopped(),
+			completionTokens: usage.completion_tokens,
+			maxTokens,
+			text: completion,
+		});
+		enqueueChoice(controller, '', finishReason);
+		if (standalone) {
+			if (includeUsage) {
+				const chunk = { id: uuid, created, object: 'text_completion', model, choices: [], usage };
+				controller.enqueue(encoder.encode('data: ' + JSON.stringify(chunk) + '\n\n'));
+			}
+			controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+		}
+		onComplete?.(completion, usage);
+	};
+
+	const handleData = (controller, payloads) => {
+		for (const payload of payloads) {
+			if (isFinished) return;
+			if (payload.trim() === '[DONE]') {
+				finish(controller);
+				return;
+			}
+
+			try {
+				const data = JSON.parse(payload);
+				if (data.usage) {
+					reportedUsage = data.usage;
+				}
+				reportedFinish = reportedFinishReason(data) ?? reportedFinish;
+				if (typeof data.response === 'string') {
+					completion += data.response;
+					onText?.(data.response);
+					enqueueText(controller, thinkParser.push(data.response));
+					// The rest of the output is discarded once a stop sequence is reached
+					if (stopFilter.stopped()) {
+						finish(controller);
+						return;
+					}
+				}
+			} catch (err) {
+				console.error('Error parsing line:', err);
+			}
+		}
+	};
 
 	return new TransformStream({
 		transform(chunk, controller) {
-			buffer += decoder.decode(chunk);
+			if (!isFinished) {
+				handleData(controller, reader.push(chunk));
+			}
+		},
 
-			if (!pastThinkTag) {
-				const thinkIndex = buffer.indexOf(thinkTagEnd);
-				if (thinkIndex !== -1) {
-					buffer = buffer.substring(thinkIndex + thinkTagEnd.length);
-					pastThinkTag = true;
-				} else {
-					return;
-				}
+		flush(controller) {
+			if (!isFinished) {
+				handleData(controller, reader.end());
+			}
+			if (!isFinished) {
+				finish(controller);
 			}
+		},
+	});
+}
+
+/**
+ * Interleave several SSE streams into one as their events arrive, e.g. the choices of an n > 1 request.
+ * Each stream must send whole events and no [DONE] of its own (see the standalone transformer option).
+ * @param {ReadableStream[]} streams - The streams to merge
+ * @param {Function} [trailer] - Called once every stream has ended; returns the payloads of the events
+ *   to send before [DONE]
+ * @param {Function} [onCancel] - Called when the client cancels the merged stream before it ends
+ * @returns {ReadableStream}
+ */
+export function mergeEventStreams(streams, trailer, onCancel) {
+	const encoder = new TextEncoder();
+	const readers = streams.map(stream => stream.getReader());
 
-			while (true) {
-				const newlineIndex = buffer.indexOf('\n');
-				if (newlineIndex === -1) break;
-
-				const line = buffer.slice(0, newlineIndex + 1);
-				buffer = buffer.slice(newlineIndex + 1);
-
-				try {
-					if (line.startsWith('data: ')) {
-						const content = line.slice('data: '.length);
-						if (content.trim() === '[DONE]') {
-							controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-							return;
-						}
-
-						const data = JSON.parse(content);
-						const newChunk = 'data: ' + JSON.stringify({
-							id: uuid,
-							created,
-							object: 'text_completion',
-							model,
-							choices: [{
-								text: data.response,
-								index: 0,
-								logprobs: null,
-								finish_reason: null,
-							}],
-						}) + '\n\n';
-						controller.enqueue(encoder.encode(newChunk));
+	return new ReadableStream({
+		start(controller) {
+			// Forward events in the background so start() does not wait for every stream to end
+			const forward = async reader => {
+				while (true) {
+					const { done, value } = await reader.read();
+					if (done) break;
+					controller.enqueue(value);
+				}
+			};
+			Promise.all(readers.map(forward))
+				.then(() => {
+					for (const data of trailer?.() ?? []) {
+						controller.enqueue(encoder.encode('data: ' + JSON.stringify(data) + '\n\n'));
 					}
-				} catch (err) {
-					console.error('Error parsing line:', err);
+					controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+					controller.close();
+				})
+				.catch(error => controller.error(error));
+		},
+		cancel(reason) {
+			onCancel?.();
+			return Promise.all(readers.map(reader => reader.cancel(reason)));
+		},
+	});
+}
+
+/**
+ * Pass a response body through unchanged, calling back once when it has been fully read,
+ * has failed or the client has gone away. Responses without a body call back immediately.
+ * @param {Response} response - The response to watch
+ * @param {Function} callback - Called once when the body is done
+ * @returns {Response} The response to return in place of the original
+ */
+export function onResponseEnd(response, callback) {
+	let called = false;
+	const done = () => {
+		if (!called) {
+			called = true;
+			callback();
+		}
+	};
+
+	if (!response.body) {
+		done();
+		return response;
+	}
+
+	const reader = response.body.getReader();
+	const body = new ReadableStream({
+		async pull(controller) {
+			try {
+				const { done: finished, value } = await reader.read();
+				if (finished) {
+					controller.close();
+					done();
+				} else {
+					controller.enqueue(value);
 				}
+			} catch (error) {
+				done();
+				controller.error(error);
 			}
 		},
+		// The body is cancelled first, so usage it reports on cancel is in before the callback runs
+		async cancel(reason) {
+			try {
+				await reader.cancel(reason);
+			} finally {
+				done();
+			}
+		},
+	});
+
+	return new Response(body, {
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
 	});
 }
@@ -0,0 +1,110 @@
+// Token counting with the vocabularies of the main model families, falling back to a character estimate
+import { estimateTokens } from './format.js';
+
+// Tokens a chat template adds around each message, and before the reply
+const MESSAGE_OVERHEAD = 4;
+const REPLY_OVERHEAD = 3;
+
+// Bundled vocabularies, imported and built the first time a model needs them.
+// Each loader resolves to a function that counts the tokens of a string.
+const VOCABULARIES = {
+	cl100k_base: async () => {
+		const [{ Tiktoken }, { default: ranks }] = await Promise.all([
+			import('js-tiktoken/lite'),
+			import('js-tiktoken/ranks/cl100k_base'),
+		]);
+		const encoder = new Tiktoken(ranks);
+		// Special tokens in user text are counted as the plain text they are
+		return text => encoder.encode(text, [], []).length;
+	},
+	mistral: async () => {
+		const { default: mistralTokenizer } = await import('mistral-tokenizer-js');
+		return text => mistralTokenizer.encode(text, false, false).length;
+	},
+};
+
+// Model families and the vocabulary they are counted with. Llama 3 and Qwen build their vocabularies
+// on cl100k_base. Gemma's SentencePiece vocabulary is not bundled, so its counts are only an estimate
+// made with cl100k_base.
+const MODEL_FAMILIES = [
+	{ pattern: /llama-3|llama-guard-3/, vocabulary: 'cl100k_base' },
+	{ pattern: /qwen|qwq/, vocabulary: 'cl100k_base' },
+	{ pattern: /gemma/, vocabulary: 'cl100k_base', estimate: true },
+	{ pattern: /mistral-7b/, vocabulary: 'mistral' },
+];
+
+// Loaded vocabularies, kept for the life of the isolate
+const loadedVocabularies = new Map();
+
+/**
+ * Add a vocabulary and the models counted with it. Registered models take precedence over the bundled ones.
+ * @param {string} name - Vocabulary name, reported by /v1/tokenize
+ * @param {RegExp} pattern - Matches the Cloudflare model paths that use the vocabulary
+ * @param {Function} load - Resolves to a function that counts the tokens of a string
+ */
+export function registerTokenizer(name, pattern, load) {
+	VOCABULARIES[name] = load;
+	loadedVocabularies.delete(name);
+	MODEL_FAMILIES.unshift({ pattern, vocabulary: name });
+}
+
+// Wrap a counting function with the helpers routes need. Estimates are counts made without the
+// model's own vocabulary.
+function createTokenizer(name, countText, estimate = false) {
+	const count = text => (typeof text === 'string' && text.length > 0 ? countText(text) : 0);
+
+	// Text of a message's content, whether a string or an array of content parts
+	const contentText = content =>
+		Array.isArray(content)
+			? content
+				.filter(part => part?.type === 'text')
+				.map(part => part.text)
+				.join('\n')
+			: content;
+
+	return {
+		name,
+		estimate,
+		count,
+		countMessages(messages) {
+			return messages.reduce((sum, message) => {
+				const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+				return sum + MESSAGE_OVERHEAD + count(contentText(message.content)) + count(toolCalls);
+			}, REPLY_OVERHEAD);
+		},
+	};
+}
+
+// The character estimate, for models without a bundled vocabulary
+const HEURISTIC_TOKENIZER = createTokenizer('heuristic', estimateTokens, true);
+
+/**
+ * Get the tokenizer for a model.
+ * Models outside the bundled families, and all models when TOKENIZER is "heuristic", get the character estimate.
+ * @param {string} model - The Cloudflare model path
+ * @param {Object} [env] - Worker environment
+ * @returns {Promise<{name: string, estimate: boolean, count: Function, countMessages: Function}>} count takes
+ *   a string, countMessages an array of chat messages, template overhead included; estimate is set when the
+ *   counts are not made with the model's own vocabulary
+ */
+export async function loadTokenizer(model, env = {}) {
+	const family = MODEL_FAMILIES.find(({ pattern }) => pattern.test(model ?? ''));
+	if (!family || env.TOKENIZER === 'heuristic') {
+		return HEURISTIC_TOKENIZER;
+	}
+
+	if (!loadedVocabularies.has(family.vocabulary)) {
+		loadedVocabularies.set(family.vocabulary, VOCABULARIES[family.vocabulary]());
+	}
+	try {
+		return createTokenizer(
+			family.vocabulary,
+			await loadedVocabularies.get(family.vocabulary),
+			Boolean(family.estimate),
+		);
+	} catch (error) {
+		console.error(`Failed to load the ${family.vocabulary} tokenizer:`, error);
+		loadedVocabularies.delete(family.vocabulary);
+		return HEURISTIC_TOKENIZER;
+	}
+}
@@ -0,0 +1,63 @@
+// Usage hooks let middleware meter requests without knowing each endpoint's payload.
+// Middleware registers hooks on the request; handlers call checkUsage() with their prompt estimate
+// before running a model and reportUsage() with the final usage once the response (or stream) is done.
+
+/**
+ * Register a usage hook on a request.
+ * @param {Request} request - The incoming request
+ * @param {Object} hook - { check?: (estimate) => Promise<void>, report?: (usage) => void }
+ */
+export function addUsageHook(request, hook) {
+	request.usageHooks = [...(request.usageHooks || []), hook];
+}
+
+/**
+ * Run every hook's pre-flight check. Hooks reject a request by throwing an APIError.
+ * @param {Request} request - The incoming request
+ * @param {Object} estimate - { model, promptTokens }
+ */
+export async function checkUsage(request, estimate) {
+	for (const hook of request.usageHooks || []) {
+		if (hook.check) {
+			await hook.check(estimate);
+		}
+	}
+}
+
+/**
+ * Hand the final usage to every hook. Never throws: usage accounting must not fail a finished response.
+ * @param {Request} request - The incoming request
+ * @param {Object} usage - { model, requestedModel, promptTokens, completionTokens, calls, cached }; calls counts
+ * model invocations billed per call rather than per token (audio, images), and cached marks a response served
+ * from the cache without running the model
+ */
+export function reportUsage(request, usage) {
+	const promptTokens = usage.promptTokens || 0;
+	const completionTokens = usage.completionTokens || 0;
+	const totals = { ...usage, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+
+	for (const hook of request.usageHooks || []) {
+		try {
+			hook.report?.(totals);
+		} catch (error) {
+			console.error('Usage hook failed:', error);
+		}
+	}
+}
+
+/**
+ * Run a model call that checkUsage reserved tokens for. When the call fails, no usage is reported for it,
+ * which hands the reservation back, and the error is rethrown.
+ * @param {Request} request - The incoming request
+ * @param {string} model - The model being run
+ * @param {Function} run - Makes the model call; resolves to its result
+ * @returns {Promise<*>} What run resolves to
+ */
+export async function runReserved(request, model, run) {
+	try {
+		return await run();
+	} catch (error) {
+		reportUsage(request, { model, promptTokens: 0, completionTokens: 0 });
+		throw error;
+	}
+}
@@ -0,0 +1,164 @@
+// Usage ledger: one usage_log row per /v1 request (see schema.sql), written in the background once the
+// response body has been sent, and the aggregation queries behind GET /v1/usage.
+import { addUsageHook } from './usage.js';
+import { onResponseEnd } from './stream.js';
+
+// GET /v1/usage grouping dimensions and the column expression each one selects
+export const USAGE_GROUPS = {
+	day: { column: 'day', expression: 'substr(created_at, 1, 10)' },
+	model: { column: 'model', expression: 'model' },
+	key: { column: 'key_id', expression: 'key_id' },
+};
+
+// Aggregates reported for every group, in output order
+const USAGE_AGGREGATES = [
+	['requests', 'COUNT(*)'],
+	['prompt_tokens', 'SUM(prompt_tokens)'],
+	['completion_tokens', 'SUM(completion_tokens)'],
+	['total_tokens', 'SUM(prompt_tokens + completion_tokens)'],
+	['cache_hits', 'SUM(cache_hit)'],
+	['errors', 'SUM(status >= 400)'],
+	['avg_latency_ms', 'CAST(ROUND(AVG(latency_ms)) AS INTEGER)'],
+];
+
+/**
+ * Output columns of a usage query.
+ * @param {Array<string>} groupBy - Keys of USAGE_GROUPS
+ * @returns {Array<string>}
+ */
+export function usageColumns(groupBy) {
+	return [...groupBy.map(name => USAGE_GROUPS[name].column), ...USAGE_AGGREGATES.map(([name]) => name)];
+}
+
+/**
+ * Write one usage record.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} record - { createdAt, keyId, route, model, requestedModel, promptTokens, completionTokens,
+ *   latencyMs, status, cacheHit }
+ */
+export async function writeUsageRecord(db, record) {
+	await db
+		.prepare(
+			`INSERT INTO usage_log (created_at, key_id, route, model, requested_model, prompt_tokens, completion_tokens,
+			latency_ms, status, cache_hit) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+		)
+		.bind(
+			record.createdAt,
+			record.keyId,
+			record.route,
+			record.model,
+			record.requestedModel,
+			record.promptTokens,
+			record.completionTokens,
+			record.latencyMs,
+			record.status,
+			record.cacheHit ? 1 : 0,
+		)
+		.run();
+}
+
+/**
+ * Aggregate usage records.
+ * @param {D1Database} db - The D1 database binding
+ * @param {Object} query
+ * @param {string} query.startDate - First day included (YYYY-MM-DD, UTC)
+ * @param {string} query.endDate - Last day included (YYYY-MM-DD, UTC)
+ * @param {Array<string>} query.groupBy - Keys of USAGE_GROUPS
+ * @param {string|null} [query.keyId] - Only count this key's requests
+ * @param {string|null} [query.model] - Only count requests served by this model
+ * @returns {Promise<Array<Object>>} One row per group, with the group columns followed by the aggregates
+ */
+export async function queryUsage(db, { startDate, endDate, groupBy, keyId = null, model = null }) {
+	const groups = groupBy.map(name => USAGE_GROUPS[name]);
+	const conditions = ['created_at >= ?', 'created_at < ?'];
+	const params = [startDate, nextDay(endDate)];
+	if (keyId) {
+		conditions.push('key_id = ?');
+		params.push(keyId);
+	}
+	if (model) {
+		conditions.push('model = ?');
+		params.push(model);
+	}
+
+	const columns = [
+		...groups.map(group => `${group.expression} AS ${group.column}`),
+		...USAGE_AGGREGATES.map(([name, expression]) => `${expression} AS ${name}`),
+	];
+	const groupColumns = groups.map(group => group.column).join(', ');
+	const grouping = groups.length > 0 ? ` GROUP BY ${groupColumns} ORDER BY ${groupColumns}` : '';
+
+	const { results } = await db
+		.prepare(`SELECT ${columns.join(', ')} FROM usage_log WHERE ${conditions.join(' AND ')}${grouping}`)
+		.bind(...params)
+		.all();
+	return results || [];
+}
+
+// The day after a YYYY-MM-DD date, as an exclusive upper bound for created_at
+function nextDay(date) {
+	const day = new Date(`${date}T00:00:00Z`);
+	day.setUTCDate(day.getUTCDate() + 1);
+	return day.toISOString().slice(0, 10);
+}
+
+// MIDDLEWARE: startUsageLog - starts the request's usage record and collects the usage handlers report.
+// Runs first so that requests rejected by authentication or rate limits are recorded too.
+export const startUsageLog = (request, env) => {
+	if (!env.DB || request.method === 'OPTIONS') {
+		return;
+	}
+
+	const record = {
+		startedAt: Date.now(),
+		model: null,
+		requestedModel: null,
+		promptTokens: 0,
+		completionTokens: 0,
+		cacheHit: false,
+	};
+	request.usageLog = record;
+
+	addUsageHook(request, {
+		report(usage) {
+			// A report naming the client's model (rather than e.g. the embedding step of a RAG chat) describes the request
+			if (!record.model || (usage.requestedModel && !record.requestedModel)) {
+				record.model = usage.model;
+				record.requestedModel = usage.requestedModel ?? null;
+			}
+			record.promptTokens += usage.promptTokens;
+			record.completionTokens += usage.completionTokens;
+			record.cacheHit = record.cacheHit || Boolean(usage.cached);
+		},
+	});
+};
+
+// FINALLY HANDLER: withUsageLog - writes the request's usage record once its response body has been sent
+export const withUsageLog = (response, request, env, ctx) => {
+	const record = request.usageLog;
+	if (!record) {
+		return response;
+	}
+
+	// The matched route pattern (e.g. /v1/images/get/:name), or the path when the request stopped in a '*' middleware
+	const route = request.route && !request.route.includes('*') ? request.route : new URL(request.url).pathname;
+
+	const write = () => {
+		const pending = writeUsageRecord(env.DB, {
+			...record,
+			createdAt: new Date(record.startedAt).toISOString(),
+			keyId: request.principal?.id ?? null,
+			route,
+			latencyMs: Date.now() - record.startedAt,
+			status: response?.status ?? 500,
+		}).catch(error => console.error('Failed to write usage record:', error));
+		ctx?.waitUntil?.(pending);
+	};
+
+	if (!(response instanceof Response)) {
+		write();
+		return response;
+	}
+
+	return onResponseEnd(response, write);
+};